@@ -17,7 +17,7 @@ export default defineConfig({
       changefreq: 'weekly',
       priority: 0.7,
       lastmod: new Date(),
-      filter: (page) => !page.includes('/pay') && !page.includes('/test-payment') && !page.includes('/manage'),
+      filter: (page) => !page.includes('/pay') && !page.includes('/report') && !page.includes('/portal') && !page.includes('/test-payment') && !page.includes('/manage'),
       serialize(item) {
         if (item.url === 'https://showersautodetail.com/') {
           item.priority = 1.0;
@@ -0,0 +1,55 @@
+import pool from './database.js';
+
+/**
+ * Load raw values from the settings table, keyed by setting name.
+ * Missing keys are omitted from the result.
+ */
+export async function getSettings(keys, db = pool) {
+  const result = await db.query(
+    'SELECT key, value FROM settings WHERE key = ANY($1)',
+    [keys]
+  );
+
+  return result.rows.reduce((acc, row) => {
+    acc[row.key] = row.value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Parse a JSON setting, falling back when it is missing or malformed
+ */
+export function parseJsonSetting(value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid JSON setting value:', value);
+    return fallback;
+  }
+}
+
+/**
+ * Parse a numeric setting, falling back when it is missing or not a number
+ */
+export function parseNumberSetting(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Upsert several settings at once. Objects and arrays are stored as JSON.
+ */
+export async function saveSettings(values, db = pool) {
+  for (const [key, value] of Object.entries(values)) {
+    const stored = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    await db.query(
+      `INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+      [key, stored]
+    );
+  }
+}
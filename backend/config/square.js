@@ -0,0 +1,13 @@
+import { SquareClient, SquareEnvironment } from 'square';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const squareClient = new SquareClient({
+  token: process.env.SQUARE_ACCESS_TOKEN,
+  environment: process.env.SQUARE_ENVIRONMENT === 'production'
+    ? SquareEnvironment.Production
+    : SquareEnvironment.Sandbox
+});
+
+export default squareClient;
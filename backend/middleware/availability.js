@@ -0,0 +1,384 @@
+import pool from '../config/database.js';
+import { getSettings, parseJsonSetting, parseNumberSetting } from '../config/settings.js';
+
+// Start times are offered on this grid (e.g. 9:00, 9:30, 10:00)
+export const SLOT_INTERVAL_MINUTES = 30;
+
+// Used when neither the service nor the legacy package has a duration on record
+export const DEFAULT_DURATION_MINUTES = 60;
+
+// Defaults used until an admin saves scheduling settings
+export const DEFAULT_MIN_LEAD_TIME_HOURS = 12;
+export const DEFAULT_MAX_BOOKING_DAYS = 90;
+export const DEFAULT_CANCELLATION_WINDOW_HOURS = 24;
+export const DEFAULT_DEPOSIT_HOLD_MINUTES = 60;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" into minutes after midnight
+ */
+export function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Convert minutes after midnight into "HH:MM"
+ */
+export function fromMinutes(total) {
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Normalize a Date (as produced by the validators' toDate()) or an ISO string to "YYYY-MM-DD"
+ */
+export function toDateString(date) {
+  if (date instanceof Date) {
+    return date.toISOString().split('T')[0];
+  }
+  return String(date).split('T')[0];
+}
+
+/**
+ * Lowercase weekday name for a "YYYY-MM-DD" date
+ */
+export function getWeekday(date) {
+  return WEEKDAYS[new Date(`${toDateString(date)}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Parse a business hours range such as "9:00-18:00" into { open, close } minutes.
+ * Returns null for "closed" or anything unparseable.
+ */
+export function parseHoursRange(range) {
+  if (!range || typeof range !== 'string' || range.toLowerCase() === 'closed') {
+    return null;
+  }
+
+  const [open, close] = range.split('-');
+  if (!open || !close) {
+    return null;
+  }
+
+  const hours = { open: toMinutes(open), close: toMinutes(close) };
+  if (Number.isNaN(hours.open) || Number.isNaN(hours.close) || hours.close <= hours.open) {
+    return null;
+  }
+  return hours;
+}
+
+/**
+ * Current date ("YYYY-MM-DD") and minutes after midnight in the business's timezone.
+ * Booking dates and times are stored as local wall-clock values, so "now" must be too.
+ */
+export function getBusinessNow(timeZone = process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date()).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Whole days from one "YYYY-MM-DD" date to another
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${toDateString(to)}T00:00:00Z`) - Date.parse(`${toDateString(from)}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Add whole days to a "YYYY-MM-DD" date
+ */
+export function addDays(date, days) {
+  const result = new Date(`${toDateString(date)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Minutes from now until a local booking date and time (negative once it has passed)
+ */
+export function minutesUntil(date, time, now = getBusinessNow()) {
+  return daysBetween(now.date, date) * 24 * 60 + toMinutes(time) - now.minutes;
+}
+
+/**
+ * Whether two [start, start + duration) ranges overlap
+ */
+export function rangesOverlap(startA, durationA, startB, durationB) {
+  return startA < startB + durationB && startB < startA + durationA;
+}
+
+/**
+ * Load working hours, blackout dates, lead time, booking horizon, the customer
+ * cancellation window and how long an unpaid booking holds its slot from settings
+ */
+export async function getSchedulingRules(db = pool) {
+  const settings = await getSettings(
+    ['business_hours', 'blackout_dates', 'min_lead_time_hours', 'max_booking_days', 'cancellation_window_hours',
+      'deposit_hold_minutes'],
+    db
+  );
+
+  return {
+    businessHours: parseJsonSetting(settings.business_hours, {}),
+    blackoutDates: parseJsonSetting(settings.blackout_dates, []),
+    minLeadTimeHours: parseNumberSetting(settings.min_lead_time_hours, DEFAULT_MIN_LEAD_TIME_HOURS),
+    maxBookingDays: parseNumberSetting(settings.max_booking_days, DEFAULT_MAX_BOOKING_DAYS),
+    cancellationWindowHours: parseNumberSetting(settings.cancellation_window_hours, DEFAULT_CANCELLATION_WINDOW_HOURS),
+    depositHoldMinutes: parseNumberSetting(settings.deposit_hold_minutes, DEFAULT_DEPOSIT_HOLD_MINUTES)
+  };
+}
+
+/**
+ * Opening hours for a date, or null when the business is closed that weekday
+ */
+export function getHoursForDate(date, rules) {
+  return parseHoursRange(rules.businessHours[getWeekday(date)]);
+}
+
+/**
+ * Reason a whole date can't be booked (past, beyond the horizon, blackout, closed), or null
+ */
+export function getDateRestriction(date, rules, now = getBusinessNow()) {
+  const dateString = toDateString(date);
+  const daysAhead = daysBetween(now.date, dateString);
+
+  if (daysAhead < 0) {
+    return 'Booking date cannot be in the past';
+  }
+
+  if (daysAhead > rules.maxBookingDays) {
+    return `Bookings can only be made up to ${rules.maxBookingDays} days in advance`;
+  }
+
+  const blackout = rules.blackoutDates.find(entry => entry.date === dateString);
+  if (blackout) {
+    return blackout.reason
+      ? `We are closed on ${dateString} (${blackout.reason})`
+      : `We are closed on ${dateString}`;
+  }
+
+  if (!getHoursForDate(dateString, rules)) {
+    return 'We are closed on that day';
+  }
+
+  return null;
+}
+
+/**
+ * Earliest start (minutes after midnight on the given date) allowed by the lead time.
+ * Can be negative (any time is fine) or beyond 24h (nothing that day is).
+ */
+export function getEarliestStart(date, rules, now = getBusinessNow()) {
+  return now.minutes + rules.minLeadTimeHours * 60 - daysBetween(now.date, date) * 24 * 60;
+}
+
+/**
+ * Check a requested start time against the scheduling rules.
+ * Pass a duration to also require the job to finish before closing.
+ * Returns an error message, or null when the slot is allowed.
+ */
+export function checkBookingWindow({ date, time, duration }, rules, now = getBusinessNow()) {
+  const restriction = getDateRestriction(date, rules, now);
+  if (restriction) {
+    return restriction;
+  }
+
+  const hours = getHoursForDate(date, rules);
+  const start = toMinutes(time);
+
+  if (start < hours.open || start >= hours.close) {
+    return `Selected time is outside business hours (${fromMinutes(hours.open)}-${fromMinutes(hours.close)})`;
+  }
+
+  if (duration && start + duration > hours.close) {
+    return `This service takes ${duration} minutes and must finish by ${fromMinutes(hours.close)}`;
+  }
+
+  if (start < getEarliestStart(date, rules, now)) {
+    return `Bookings must be made at least ${rules.minLeadTimeHours} hours in advance`;
+  }
+
+  return null;
+}
+
+/**
+ * Work out how long a job runs from the service (or legacy package) and add-ons
+ */
+export async function getJobDuration({ serviceId, packageId, addonIds = [] }, db = pool) {
+  let duration = DEFAULT_DURATION_MINUTES;
+
+  if (serviceId) {
+    const serviceResult = await db.query(
+      'SELECT duration_minutes FROM services WHERE id = $1',
+      [serviceId]
+    );
+
+    if (serviceResult.rows.length === 0) {
+      return null;
+    }
+    duration = serviceResult.rows[0].duration_minutes || DEFAULT_DURATION_MINUTES;
+  } else if (!packageId) {
+    return null;
+  }
+
+  if (addonIds.length > 0) {
+    const placeholders = addonIds.map((_, i) => `$${i + 1}`).join(',');
+    const addonResult = await db.query(
+      `SELECT COALESCE(SUM(duration_minutes), 0) as total FROM addons
+       WHERE id IN (${placeholders}) AND is_active = true`,
+      addonIds
+    );
+    duration += parseInt(addonResult.rows[0].total, 10);
+  }
+
+  return duration;
+}
+
+/**
+ * Get the time ranges already taken by non-cancelled bookings on a date,
+ * with the technicians assigned to each
+ */
+export async function getBookedRanges(date, { excludeBookingId } = {}, db = pool) {
+  const result = await db.query(
+    `SELECT b.id, b.booking_time,
+            COALESCE(b.duration_minutes, s.duration_minutes, $2) as duration_minutes,
+            COALESCE((SELECT array_agg(bt.user_id) FROM booking_technicians bt WHERE bt.booking_id = b.id), '{}') as technician_ids
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     WHERE b.booking_date = $1 AND b.status NOT IN ('cancelled', 'no_show', 'expired')
+       AND ($3::integer IS NULL OR b.id != $3)`,
+    [toDateString(date), DEFAULT_DURATION_MINUTES, excludeBookingId || null]
+  );
+
+  return result.rows.map(row => ({
+    bookingId: row.id,
+    start: toMinutes(row.booking_time),
+    duration: parseInt(row.duration_minutes, 10),
+    technicianIds: row.technician_ids
+  }));
+}
+
+/**
+ * Active technicians working on a date, with their shift as { open, close } minutes.
+ * Technicians on time off or not scheduled that weekday are left out. Returns null
+ * while no technicians are set up, in which case the business runs as a single crew.
+ */
+export async function getCrewOnDuty(date, db = pool) {
+  const dateString = toDateString(date);
+  const result = await db.query(
+    `SELECT u.id, u.name, u.working_hours,
+            EXISTS (SELECT 1 FROM staff_time_off t
+                    WHERE t.user_id = u.id AND $1::date BETWEEN t.start_date AND t.end_date) as on_time_off
+     FROM admin_users u
+     WHERE u.role = 'technician' AND u.is_active = true
+     ORDER BY u.id`,
+    [dateString]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const weekday = getWeekday(dateString);
+  return result.rows
+    .filter(row => !row.on_time_off)
+    .map(row => ({
+      userId: row.id,
+      name: row.name,
+      hours: parseHoursRange((row.working_hours || {})[weekday])
+    }))
+    .filter(member => member.hours);
+}
+
+/**
+ * Whether a crew is free for [start, start + duration). Technicians assigned to an
+ * overlapping booking are busy, and each overlapping booking with nobody assigned
+ * yet still needs a technician of its own. With no crew set up (null), any
+ * overlapping booking takes the slot.
+ */
+export function hasFreeCrew(start, duration, booked, crew) {
+  const overlapping = booked.filter(range => rangesOverlap(start, duration, range.start, range.duration));
+  if (!crew) {
+    return overlapping.length === 0;
+  }
+
+  const busy = new Set(overlapping.flatMap(range => range.technicianIds));
+  const free = crew.filter(member =>
+    member.hours.open <= start && start + duration <= member.hours.close && !busy.has(member.userId)
+  );
+  const unassigned = overlapping.filter(range => range.technicianIds.length === 0).length;
+
+  return free.length > unassigned;
+}
+
+/**
+ * Take a transaction-scoped lock on a booking date so concurrent requests
+ * can't both claim the same slot. Must be called inside BEGIN/COMMIT.
+ */
+export async function lockBookingDate(client, date) {
+  await client.query(
+    'SELECT pg_advisory_xact_lock(hashtext($1))',
+    ['booking-date-' + toDateString(date)]
+  );
+}
+
+/**
+ * Check that a crew is free for the requested slot. Returns null when it is,
+ * otherwise an overlapping booking, or { bookingId: null } when no technician
+ * is working at that time.
+ */
+export async function findConflictingBooking({ date, time, duration, excludeBookingId }, db = pool) {
+  const start = toMinutes(time);
+  const booked = await getBookedRanges(date, { excludeBookingId }, db);
+  const crew = await getCrewOnDuty(date, db);
+
+  if (hasFreeCrew(start, duration, booked, crew)) {
+    return null;
+  }
+  return booked.find(range => rangesOverlap(start, duration, range.start, range.duration)) || { bookingId: null };
+}
+
+/**
+ * List open start times ("HH:MM") on a date for a job of the given duration
+ */
+export async function getAvailableSlots(date, duration, rules, { excludeBookingId } = {}, db = pool) {
+  const now = getBusinessNow();
+  if (getDateRestriction(date, rules, now)) {
+    return [];
+  }
+
+  const hours = getHoursForDate(date, rules);
+  const earliest = getEarliestStart(date, rules, now);
+  const booked = await getBookedRanges(date, { excludeBookingId }, db);
+  const crew = await getCrewOnDuty(date, db);
+  const slots = [];
+
+  for (let start = hours.open; start + duration <= hours.close; start += SLOT_INTERVAL_MINUTES) {
+    if (start < earliest) {
+      continue;
+    }
+
+    if (hasFreeCrew(start, duration, booked, crew)) {
+      slots.push(fromMinutes(start));
+    }
+  }
+
+  return slots;
+}
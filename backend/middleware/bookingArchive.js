@@ -0,0 +1,76 @@
+import { diffBooking, recordBookingAudit } from './bookingAudit.js';
+
+// Only bookings that no longer hold a slot can be archived
+export const ARCHIVABLE_STATUSES = ['cancelled', 'completed', 'no_show', 'expired'];
+
+const ARCHIVE_FIELDS = ['archived_at', 'archive_reason'];
+
+/**
+ * Whether any money has been taken for a booking, by Square or marked by hand.
+ * These bookings are kept for revenue history and can only be archived.
+ */
+export function hasRecordedPayment(booking) {
+  return Boolean(
+    booking.deposit_paid ||
+    booking.final_paid ||
+    booking.deposit_payment_id ||
+    booking.final_payment_id
+  );
+}
+
+/**
+ * Hide a booking locked with lockBooking from the default listings and record
+ * who did it and why. Returns the updated booking, or { error }.
+ */
+export async function archiveBooking(client, booking, { reason, archivedBy }) {
+  if (booking.archived_at) {
+    return { error: 'Booking is already archived' };
+  }
+  if (!ARCHIVABLE_STATUSES.includes(booking.status)) {
+    return { error: 'Only cancelled, completed, no-show or expired bookings can be archived' };
+  }
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET archived_at = CURRENT_TIMESTAMP, archived_by = $1, archive_reason = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *, booking_date::text as booking_date`,
+    [archivedBy || null, reason, booking.id]
+  );
+
+  await recordBookingAudit({
+    bookingId: booking.id,
+    changedBy: archivedBy,
+    action: 'archive',
+    changes: diffBooking(booking, result.rows[0], ARCHIVE_FIELDS),
+    note: reason
+  }, client);
+
+  return { booking: result.rows[0] };
+}
+
+/**
+ * Bring an archived booking back into the listings. Returns the updated booking, or { error }.
+ */
+export async function restoreBooking(client, booking, { restoredBy }) {
+  if (!booking.archived_at) {
+    return { error: 'Booking is not archived' };
+  }
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET archived_at = NULL, archived_by = NULL, archive_reason = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *, booking_date::text as booking_date`,
+    [booking.id]
+  );
+
+  await recordBookingAudit({
+    bookingId: booking.id,
+    changedBy: restoredBy,
+    action: 'restore',
+    changes: diffBooking(booking, result.rows[0], ARCHIVE_FIELDS)
+  }, client);
+
+  return { booking: result.rows[0] };
+}
@@ -0,0 +1,83 @@
+import pool from '../config/database.js';
+
+// Booking columns compared when an admin edits a booking
+export const AUDITED_FIELDS = [
+  'customer_name',
+  'customer_email',
+  'customer_phone',
+  'vehicle_type',
+  'booking_date',
+  'booking_time',
+  'address',
+  'notes',
+  'total_amount',
+  'deposit_amount',
+  'status',
+  'deposit_paid',
+  'deposit_payment_id',
+  'final_paid',
+  'final_payment_id'
+];
+
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+}
+
+/**
+ * Fields that differ between two versions of a booking row, as
+ * { field: { from, to } }. Both rows should be read the same way
+ * (e.g. with lockBooking) so dates and amounts compare as text.
+ */
+export function diffBooking(before, after, fields = AUDITED_FIELDS) {
+  const changes = {};
+  for (const field of fields) {
+    const from = normalizeValue(before[field]);
+    const to = normalizeValue(after[field]);
+    if (String(from) !== String(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Store an admin change to a booking. Nothing is written when there are no changes.
+ * action describes what was done: 'update', 'status', 'deposit_marked_paid',
+ * 'final_marked_paid', 'technicians', 'archive', 'restore', 'deposit_outcome',
+ * 'hold_released' or 'refund'.
+ */
+export async function recordBookingAudit({ bookingId, changedBy, action, changes, note }, db = pool) {
+  if (!changes || Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const result = await db.query(
+    `INSERT INTO booking_audit_log (booking_id, changed_by, action, changes, note)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [bookingId, changedBy || null, action, JSON.stringify(changes), note || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Every recorded admin change to a booking, oldest first
+ */
+export async function getBookingAudit(bookingId, db = pool) {
+  const result = await db.query(
+    `SELECT a.id, a.action, a.changes, a.note, a.created_at,
+            a.changed_by, u.name as changed_by_name, u.email as changed_by_email
+     FROM booking_audit_log a
+     LEFT JOIN admin_users u ON a.changed_by = u.id
+     WHERE a.booking_id = $1
+     ORDER BY a.created_at ASC, a.id ASC`,
+    [bookingId]
+  );
+  return result.rows;
+}
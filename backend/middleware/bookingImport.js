@@ -0,0 +1,223 @@
+import { validationResult } from 'express-validator';
+import pool from '../config/database.js';
+import { bookingImportRowValidation } from './validators.js';
+import { generatePaymentToken, insertBooking } from './bookings.js';
+import {
+  DEFAULT_DURATION_MINUTES,
+  findConflictingBooking,
+  getBusinessNow,
+  lockBookingDate
+} from './availability.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const DEFAULT_IMPORT_TIME = '09:00';
+const TRUE_VALUES = ['true', 'yes', '1'];
+
+// Imported bookings in these statuses on or after today take a slot on the schedule
+const SCHEDULED_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// Run the row validators against one CSV record, returning sanitized values and error messages
+async function validateRecord(record) {
+  const req = { body: { ...record } };
+  for (const chain of bookingImportRowValidation) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req).array().map(error => error.msg);
+  return { values: req.body, errors: [...new Set(errors)] };
+}
+
+// Services and packages as { id, durationMinutes } keyed by lower-cased name.
+// Packages have no duration of their own, so they take the default.
+async function getServiceNames(db) {
+  const services = await db.query('SELECT id, name, duration_minutes FROM services');
+  const packages = await db.query('SELECT id, name FROM packages');
+  return {
+    services: new Map(services.rows.map(row => [row.name.toLowerCase(), {
+      id: row.id,
+      durationMinutes: row.duration_minutes || DEFAULT_DURATION_MINUTES
+    }])),
+    packages: new Map(packages.rows.map(row => [row.name.toLowerCase(), {
+      id: row.id,
+      durationMinutes: DEFAULT_DURATION_MINUTES
+    }]))
+  };
+}
+
+/**
+ * Import historical bookings from parsed CSV records (see parseCsvRecords).
+ * Every row is checked first; nothing is saved if any row has an error or on a
+ * dry run. Rows matching an existing booking (same email, date and time) are
+ * skipped, so a file can be imported again safely. Upcoming bookings that would
+ * overlap another booking (or an earlier row) are errors; past ones aren't
+ * checked against availability. Imported bookings are dated by their job date
+ * so revenue stats land in the right month.
+ * Returns { dryRun, imported, skipped, failed, rows } or { error }.
+ */
+export async function importBookings(records, { dryRun = false, importedBy } = {}) {
+  if (records.length === 0) {
+    return { error: 'The file has no booking rows' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+  }
+
+  const client = await pool.connect();
+  const rows = [];
+  const seen = new Map();
+  const savedRows = new Map();
+
+  try {
+    await client.query('BEGIN');
+
+    const names = await getServiceNames(client);
+    const today = getBusinessNow().date;
+
+    for (const [index, record] of records.entries()) {
+      // Row 1 is the header
+      const rowNumber = index + 2;
+      const { values, errors } = await validateRecord(record);
+      const warnings = [];
+
+      let serviceId = null;
+      let packageId = null;
+      let durationMinutes = DEFAULT_DURATION_MINUTES;
+      if (values.service) {
+        const key = values.service.toLowerCase();
+        const service = names.services.get(key);
+        const pkg = service ? null : names.packages.get(key);
+        serviceId = service ? service.id : null;
+        packageId = pkg ? pkg.id : null;
+        if (service || pkg) {
+          durationMinutes = (service || pkg).durationMinutes;
+        } else {
+          errors.push(`Unknown service "${values.service}"`);
+        }
+      }
+
+      const totalAmount = values.total_amount;
+      const depositAmount = values.deposit_amount || 0;
+      if (typeof totalAmount === 'number' && depositAmount > totalAmount) {
+        errors.push('deposit_amount cannot be more than total_amount');
+      }
+
+      const finalPaid = TRUE_VALUES.includes(values.final_paid);
+      const depositPaid = finalPaid || TRUE_VALUES.includes(values.deposit_paid);
+      const bookingTime = (values.booking_time || DEFAULT_IMPORT_TIME).slice(0, 5);
+      const status = values.status || (values.booking_date < today ? 'completed' : 'pending');
+      const scheduled = values.booking_date >= today && SCHEDULED_STATUSES.includes(status);
+
+      const result = {
+        row: rowNumber,
+        customerName: values.customer_name || null,
+        bookingDate: values.booking_date || null,
+        status: 'ok',
+        errors,
+        warnings,
+        bookingId: null
+      };
+      rows.push(result);
+
+      if (errors.length > 0) {
+        result.status = 'error';
+        continue;
+      }
+
+      const duplicateKey = [values.customer_email.toLowerCase(), values.booking_date, bookingTime].join('|');
+      if (seen.has(duplicateKey)) {
+        result.status = 'skipped';
+        warnings.push(`Same customer, date and time as row ${seen.get(duplicateKey)}`);
+        continue;
+      }
+      seen.set(duplicateKey, rowNumber);
+
+      const existing = await client.query(
+        `SELECT id FROM bookings
+         WHERE LOWER(customer_email) = LOWER($1) AND booking_date = $2 AND booking_time = $3
+         LIMIT 1`,
+        [values.customer_email, values.booking_date, bookingTime]
+      );
+      if (existing.rows.length > 0) {
+        result.status = 'skipped';
+        result.bookingId = existing.rows[0].id;
+        warnings.push(`Already saved as booking #${existing.rows[0].id}`);
+        continue;
+      }
+
+      // Earlier rows are already saved in this transaction, so they count too
+      if (scheduled) {
+        await lockBookingDate(client, values.booking_date);
+        const conflict = await findConflictingBooking({
+          date: values.booking_date,
+          time: bookingTime,
+          duration: durationMinutes
+        }, client);
+
+        if (conflict) {
+          result.status = 'error';
+          const conflictRow = savedRows.get(conflict.bookingId);
+          errors.push(conflict.bookingId
+            ? `Overlaps ${conflictRow ? `row ${conflictRow}` : `booking #${conflict.bookingId}`} on the schedule`
+            : 'No technician is working at that time');
+          continue;
+        }
+      }
+
+      // A dry run saves rows too, so later rows are checked against them, and then rolls back
+      const booking = await insertBooking(client, {
+        customerName: values.customer_name,
+        customerEmail: values.customer_email,
+        customerPhone: values.customer_phone,
+        vehicles: [{
+          vehicleType: values.vehicle_type || 'sedan',
+          serviceId,
+          packageId,
+          servicePrice: totalAmount,
+          subtotal: totalAmount,
+          durationMinutes,
+          addons: []
+        }],
+        bookingDate: values.booking_date,
+        bookingTime,
+        durationMinutes,
+        address: values.address || null,
+        notes: values.notes || null,
+        totalAmount,
+        depositAmount,
+        paymentToken: generatePaymentToken()
+      });
+
+      await client.query(
+        `UPDATE bookings
+         SET status = $1, deposit_paid = $2, final_paid = $3, created_at = $4::date,
+             imported_at = CURRENT_TIMESTAMP, imported_by = $5
+         WHERE id = $6`,
+        [status, depositPaid, finalPaid, values.booking_date, importedBy || null, booking.id]
+      );
+      savedRows.set(booking.id, rowNumber);
+      if (!dryRun) {
+        result.bookingId = booking.id;
+      }
+    }
+
+    const failed = rows.filter(row => row.status === 'error').length;
+    if (dryRun || failed > 0) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    return {
+      dryRun,
+      imported: dryRun || failed > 0 ? 0 : rows.filter(row => row.status === 'ok').length,
+      skipped: rows.filter(row => row.status === 'skipped').length,
+      failed,
+      rows
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,51 @@
+import { diffBooking, recordBookingAudit } from './bookingAudit.js';
+import { lockBooking } from './bookingStatus.js';
+import { reverseBookingLoyalty } from './loyalty.js';
+
+const REFUND_FIELDS = ['refunded_at', 'refund_note'];
+
+/**
+ * Record that a completed booking locked with lockBooking was refunded, through
+ * Square or by hand. The points and punches it earned are taken back and a
+ * reward redeemed on it is returned, so nothing from a refunded job stays
+ * spendable. Its price stays what was charged; refunded jobs are left out of
+ * lifetime spend and revenue instead. Must run inside a transaction. Returns
+ * the updated booking, or { error }.
+ */
+export async function recordRefund(client, booking, { note, refundedBy }) {
+  if (booking.refunded_at) {
+    return { error: 'This booking has already been refunded' };
+  }
+  if (booking.status !== 'completed') {
+    return { error: 'Only completed jobs can be refunded. Cancel an upcoming booking instead.' };
+  }
+  if (!booking.deposit_paid && !booking.final_paid) {
+    return { error: 'Nothing has been paid on this booking' };
+  }
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET refunded_at = CURRENT_TIMESTAMP, refunded_by = $1, refund_note = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [refundedBy || null, note, booking.id]
+  );
+
+  await reverseBookingLoyalty(client, result.rows[0], {
+    changedBy: refundedBy,
+    note: `Booking #${booking.id} was refunded`,
+    keepPrice: true
+  });
+
+  const refunded = await lockBooking(client, booking.id);
+
+  await recordBookingAudit({
+    bookingId: booking.id,
+    changedBy: refundedBy,
+    action: 'refund',
+    changes: diffBooking(booking, refunded, REFUND_FIELDS),
+    note
+  }, client);
+
+  return { booking: refunded };
+}
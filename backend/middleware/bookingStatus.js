@@ -0,0 +1,299 @@
+import pool from '../config/database.js';
+import { sendNotification } from './notifications.js';
+import {
+  DEFAULT_DURATION_MINUTES,
+  findConflictingBooking,
+  lockBookingDate,
+  toDateString
+} from './availability.js';
+import { offerOpenSlots } from './waitlist.js';
+import { DEPOSIT_SETTLING_STATUSES, refundDeposit, settleDeposit } from './cancellationPolicy.js';
+import { LOYALTY_REVERSING_STATUSES, reverseBookingLoyalty } from './loyalty.js';
+import { REFERRAL_CANCELLING_STATUSES, cancelBookingReferral } from './referrals.js';
+
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'expired'];
+
+// Allowed moves between statuses. Completed and no-show are final; a cancelled
+// booking can only be reopened as pending (and only if its slot is still free).
+// An expired booking can also be confirmed by a deposit that arrives late.
+export const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['in_progress', 'completed', 'cancelled', 'no_show'],
+  in_progress: ['completed', 'confirmed'],
+  completed: [],
+  cancelled: ['pending'],
+  no_show: [],
+  expired: ['pending', 'confirmed']
+};
+
+// Statuses only the app sets: a pending booking expires when its deposit hold runs out
+export const SYSTEM_STATUSES = ['expired'];
+
+// Bookings still to happen: they hold their slot and can still take a deposit
+export const UPCOMING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// Statuses whose bookings no longer hold their slot
+const RELEASED_STATUSES = ['cancelled', 'expired'];
+
+/**
+ * Why a booking can't move to the given status, or null if it can
+ */
+export function getStatusTransitionError(booking, toStatus) {
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    return 'Invalid status';
+  }
+
+  const allowed = STATUS_TRANSITIONS[booking.status] || [];
+  if (!allowed.includes(toStatus)) {
+    return `Cannot change status from ${booking.status} to ${toStatus}`;
+  }
+
+  if (toStatus === 'completed' && !booking.deposit_paid) {
+    return 'A booking cannot be completed before its deposit is paid';
+  }
+
+  if (toStatus === 'pending' && ['refund', 'credit'].includes(booking.deposit_outcome)) {
+    return `This booking's deposit was ${booking.deposit_outcome === 'refund' ? 'refunded' : 'turned into credit'}. Create a new booking instead.`;
+  }
+
+  return null;
+}
+
+/**
+ * Record a status change. source is who made it: 'admin', 'technician', 'customer', 'payment' or 'system'.
+ */
+export async function recordStatusChange({ bookingId, fromStatus, toStatus, changedBy, source, note }, db = pool) {
+  await db.query(
+    `INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, source, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [bookingId, fromStatus, toStatus, changedBy || null, source, note || null]
+  );
+}
+
+/**
+ * Load and lock a booking row for a status change. booking_date is read as text
+ * so slot checks aren't shifted by the server timezone. Must run inside a transaction.
+ */
+export async function lockBooking(client, bookingId) {
+  const result = await client.query(
+    'SELECT *, booking_date::text as booking_date FROM bookings WHERE id = $1 FOR UPDATE',
+    [bookingId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lock a booking's date, and any other dates given (e.g. one it's moving to),
+ * then its row: dates before rows, like booking creation, so changes that
+ * check slots can't deadlock. Dates are locked in order for the same reason.
+ * Use it instead of lockBooking when a change may take back or move to a slot.
+ * Must run inside a transaction. Returns the booking as lockBooking does, or null.
+ */
+export async function lockBookingWithDates(client, bookingId, otherDates = []) {
+  const current = await client.query('SELECT booking_date::text as booking_date FROM bookings WHERE id = $1', [bookingId]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+
+  const dates = [...new Set([current.rows[0].booking_date, ...otherDates.map(toDateString)])].sort();
+  for (const date of dates) {
+    await lockBookingDate(client, date);
+  }
+  return lockBooking(client, bookingId);
+}
+
+/**
+ * Move a booking locked with lockBooking to a new status and record it.
+ * Cancelling or marking a no-show settles a paid deposit under the
+ * cancellation policy; depositOutcome lets an admin override it. A booking
+ * that won't go ahead gives back its loyalty rewards, and calls off its
+ * referral unless the deposit was kept. Reopening a cancelled or expired
+ * booking needs it locked with lockBookingWithDates.
+ * Must run inside a transaction. Returns the updated booking, or { error } when
+ * the transition isn't allowed.
+ */
+export async function transitionBookingStatus(client, booking, toStatus, { changedBy, source, note, depositOutcome } = {}) {
+  const error = getStatusTransitionError(booking, toStatus);
+  if (error) {
+    return { error };
+  }
+
+  // Reopening a cancelled or expired booking takes its slot back, so it must still be free
+  // (the caller took the date lock before the row; taking it again is a no-op)
+  if (RELEASED_STATUSES.includes(booking.status)) {
+    await lockBookingDate(client, booking.booking_date);
+    const conflict = await findConflictingBooking({
+      date: booking.booking_date,
+      time: booking.booking_time,
+      duration: booking.duration_minutes || DEFAULT_DURATION_MINUTES,
+      excludeBookingId: booking.id
+    }, client);
+
+    if (conflict) {
+      return {
+        error: conflict.bookingId
+          ? `This slot has been taken by booking #${conflict.bookingId}`
+          : 'No technician is working at that time'
+      };
+    }
+  }
+
+  // A reopened booking's kept deposit counts toward it again, and a reopened
+  // expired booking is kept until paid rather than expiring straight away
+  const clearOutcome = booking.status === 'cancelled'
+    ? ', deposit_outcome = NULL, deposit_outcome_amount = NULL, deposit_outcome_hours = NULL, deposit_outcome_at = NULL'
+    : '';
+  const clearHold = booking.status === 'expired' ? ', hold_expires_at = NULL' : '';
+
+  const result = await client.query(
+    `UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP${clearOutcome}${clearHold} WHERE id = $2 RETURNING *`,
+    [toStatus, booking.id]
+  );
+
+  await recordStatusChange({
+    bookingId: booking.id,
+    fromStatus: booking.status,
+    toStatus,
+    changedBy,
+    source,
+    note
+  }, client);
+
+  let updated = result.rows[0];
+  if (LOYALTY_REVERSING_STATUSES.includes(toStatus)) {
+    updated = await reverseBookingLoyalty(client, updated, { changedBy }) || updated;
+  }
+
+  if (DEPOSIT_SETTLING_STATUSES.includes(toStatus)) {
+    updated = await settleDeposit(client, booking, toStatus, { outcome: depositOutcome, changedBy, note }) || updated;
+  }
+
+  if (REFERRAL_CANCELLING_STATUSES.includes(toStatus)) {
+    await cancelBookingReferral(client, updated, { changedBy });
+  }
+
+  return { booking: updated };
+}
+
+/**
+ * Status changes made by payments: a paid deposit confirms a pending booking (or
+ * an expired one whose slot is still free) and a paid balance completes it.
+ * Bookings already past that point are left alone. Lock the booking first,
+ * with lockBookingWithDates when it may be expired.
+ * Must run inside a transaction.
+ */
+export async function applyPaymentStatus(client, bookingId, toStatus, { note, changedBy } = {}) {
+  const booking = await lockBooking(client, bookingId);
+
+  if (!booking || getStatusTransitionError(booking, toStatus)) {
+    return null;
+  }
+
+  const { booking: updated, error } = await transitionBookingStatus(client, booking, toStatus, {
+    changedBy,
+    source: 'payment',
+    note
+  });
+  if (error) {
+    return null;
+  }
+  return { booking: updated, previousStatus: booking.status };
+}
+
+/**
+ * Status history for a booking, newest first, with the admin who made each change
+ */
+export async function getStatusHistory(bookingId, db = pool) {
+  const result = await db.query(
+    `SELECT h.id, h.from_status, h.to_status, h.source, h.note, h.created_at,
+            h.changed_by, u.name as changed_by_name, u.email as changed_by_email
+     FROM booking_status_history h
+     LEFT JOIN admin_users u ON h.changed_by = u.id
+     WHERE h.booking_id = $1
+     ORDER BY h.created_at DESC, h.id DESC`,
+    [bookingId]
+  );
+  return result.rows;
+}
+
+function getReviewLink() {
+  if (process.env.REVIEW_URL) {
+    return process.env.REVIEW_URL;
+  }
+  if (process.env.GOOGLE_PLACE_ID) {
+    return `https://search.google.com/local/writereview?placeid=${process.env.GOOGLE_PLACE_ID}`;
+  }
+  return `${process.env.APP_URL || 'https://showersautodetail.com'}/#reviews`;
+}
+
+/**
+ * Notifications that follow a status change. Call after the transaction commits.
+ */
+export async function runStatusSideEffects(booking, previousStatus, { source, note } = {}) {
+  if (booking.status === previousStatus) {
+    return;
+  }
+
+  try {
+    const details = await pool.query(
+      `SELECT b.booking_date::text as booking_date, COALESCE(s.name, p.name) as service_name
+       FROM bookings b
+       LEFT JOIN services s ON b.service_id = s.id
+       LEFT JOIN packages p ON b.package_id = p.id
+       WHERE b.id = $1`,
+      [booking.id]
+    );
+    const { booking_date: bookingDate, service_name: serviceName } = details.rows[0] || {};
+
+    const data = {
+      bookingId: booking.id,
+      customerName: booking.customer_name,
+      customerEmail: booking.customer_email,
+      customerPhone: booking.customer_phone,
+      serviceName,
+      bookingDate,
+      bookingTime: booking.booking_time,
+      depositPaid: booking.deposit_paid,
+      depositOutcome: booking.deposit_outcome,
+      depositOutcomeAmount: booking.deposit_outcome_amount,
+      depositCreditCode: booking.deposit_credit_code
+    };
+
+    if (DEPOSIT_SETTLING_STATUSES.includes(booking.status)) {
+      data.depositRefunded = Boolean(await refundDeposit(booking));
+    }
+
+    if (booking.status === 'cancelled') {
+      await sendNotification({
+        type: 'booking_cancelled',
+        data: { ...data, cancelledBy: source === 'customer' ? 'customer' : 'business', reason: note || '' }
+      });
+
+      // The freed slot goes to the waitlist for that day
+      await offerOpenSlots(bookingDate);
+    }
+
+    if (booking.status === 'no_show') {
+      await sendNotification({ type: 'booking_no_show', data });
+    }
+
+    if (booking.status === 'expired') {
+      await sendNotification({
+        type: 'booking_expired',
+        data: { ...data, bookingLink: `${process.env.APP_URL || 'https://showersautodetail.com'}/#book` }
+      });
+
+      await offerOpenSlots(bookingDate);
+    }
+
+    if (booking.status === 'completed') {
+      await sendNotification({
+        type: 'review_request',
+        data: { ...data, reviewLink: getReviewLink() }
+      });
+    }
+  } catch (error) {
+    console.error('Error running status change side effects:', error);
+    // The status change is already saved; don't fail the request over a notification
+  }
+}
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { insertBookingVehicles } from './vehicles.js';
+import { getDepositPercentage, priceVehicles } from './pricing.js';
+import { resolveServiceZone } from './serviceZones.js';
+import { checkBookingWindow, getSchedulingRules } from './availability.js';
+import { matchCustomer } from './customers.js';
+
+/**
+ * Random token used in customer payment and manage links
+ */
+export function generatePaymentToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function buildPaymentLink(bookingId, token) {
+  const baseUrl = process.env.APP_URL || 'https://showersautodetail.com';
+  return `${baseUrl}/pay?id=${bookingId}&token=${token}`;
+}
+
+export function buildManageLink(bookingId, token) {
+  const baseUrl = process.env.APP_URL || 'https://showersautodetail.com';
+  return `${baseUrl}/booking?id=${bookingId}&token=${token}`;
+}
+
+export function buildReportLink(bookingId, token) {
+  const baseUrl = process.env.APP_URL || 'https://showersautodetail.com';
+  return `${baseUrl}/report?id=${bookingId}&token=${token}`;
+}
+
+/**
+ * Price a new booking and check it fits the day: vehicles (see priceVehicles),
+ * custom line items, the travel fee for the address and whether the job
+ * finishes before closing. Returns the values insertBooking takes (apart from
+ * the customer, slot and token), or { error, status }.
+ */
+export async function prepareBooking({ vehicles, customLineItems, address, bookingDate, bookingTime }) {
+  const pricing = await priceVehicles(vehicles);
+  if (pricing.error) {
+    return pricing;
+  }
+
+  let totalAmount = pricing.total;
+
+  const customItems = [];
+  if (customLineItems && Array.isArray(customLineItems)) {
+    if (customLineItems.length > 20) {
+      return { status: 400, error: 'Too many custom line items' };
+    }
+    for (const item of customLineItems) {
+      if (item.name && typeof item.name === 'string' && typeof item.price === 'number' && item.price > 0 && item.price < 10000) {
+        totalAmount += parseFloat(item.price);
+        customItems.push({
+          name: item.name.substring(0, 200),
+          price: parseFloat(item.price)
+        });
+      }
+    }
+  }
+
+  // Travel fee (or out-of-area rejection) for the service address's ZIP code
+  const serviceZone = await resolveServiceZone(address);
+  if (serviceZone.error) {
+    return serviceZone;
+  }
+  totalAmount += serviceZone.travelFee;
+
+  // Now that the job length is known, make sure it also finishes before closing
+  const windowError = checkBookingWindow({
+    date: bookingDate,
+    time: bookingTime,
+    duration: pricing.durationMinutes
+  }, await getSchedulingRules());
+
+  if (windowError) {
+    return { status: 400, error: windowError };
+  }
+
+  const depositPercentage = await getDepositPercentage();
+
+  return {
+    vehicles: pricing.vehicles,
+    durationMinutes: pricing.durationMinutes,
+    totalAmount,
+    depositAmount: totalAmount * depositPercentage,
+    customItems,
+    travelFee: serviceZone.travelFee,
+    serviceZoneId: serviceZone.zone ? serviceZone.zone.id : null
+  };
+}
+
+/**
+ * Insert a pending booking with its priced vehicles (from priceVehicles) and
+ * custom line items. The first vehicle (and its saved customer vehicle) is
+ * mirrored onto the bookings row. The booking is linked to its customer (see matchCustomer).
+ * totalAmount must already include the travel fee. With holdMinutes the slot is
+ * only held that long for the deposit (see expireDepositHolds).
+ * Must run inside a transaction, after the slot has been checked.
+ */
+export async function insertBooking(client, {
+  customerName,
+  customerEmail,
+  customerPhone,
+  vehicles,
+  bookingDate,
+  bookingTime,
+  durationMinutes,
+  address,
+  notes,
+  totalAmount,
+  depositAmount,
+  paymentToken,
+  customItems = [],
+  travelFee = 0,
+  serviceZoneId = null,
+  holdMinutes = 0
+}) {
+  const [primaryVehicle] = vehicles;
+  const customerId = await matchCustomer(client, { name: customerName, email: customerEmail, phone: customerPhone });
+
+  const result = await client.query(
+    `INSERT INTO bookings
+     (customer_name, customer_email, customer_phone, vehicle_type, package_id, service_id,
+      booking_date, booking_time, duration_minutes, address, notes, total_amount, deposit_amount,
+      status, payment_token, travel_fee, service_zone_id, hold_expires_at, customer_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+             CASE WHEN $18::integer > 0 THEN CURRENT_TIMESTAMP + make_interval(mins => $18::integer) END, $19)
+     RETURNING *`,
+    [customerName, customerEmail, customerPhone, primaryVehicle.vehicleType,
+     primaryVehicle.packageId, primaryVehicle.serviceId, bookingDate, bookingTime, durationMinutes,
+     address, notes, totalAmount, depositAmount, 'pending', paymentToken, travelFee, serviceZoneId,
+     Math.round(holdMinutes), customerId]
+  );
+
+  let booking = result.rows[0];
+
+  // Insert each vehicle with its selected addons
+  const [primaryVehicleId] = await insertBookingVehicles(client, booking.id, vehicles, {
+    id: customerId,
+    email: customerEmail,
+    phone: customerPhone
+  });
+
+  if (primaryVehicleId) {
+    booking = (await client.query(
+      'UPDATE bookings SET customer_vehicle_id = $1 WHERE id = $2 RETURNING *',
+      [primaryVehicleId, booking.id]
+    )).rows[0];
+  }
+
+  // Insert custom line items
+  for (const item of customItems) {
+    await client.query(
+      'INSERT INTO custom_line_items (booking_id, name, price) VALUES ($1, $2, $3)',
+      [booking.id, item.name, item.price]
+    );
+  }
+
+  return booking;
+}
@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { getSettings, saveSettings } from '../config/settings.js';
+import { DEFAULT_DURATION_MINUTES, getBusinessNow, toMinutes } from './availability.js';
+import { buildManageLink } from './bookings.js';
+
+const PRODUCT_ID = '-//Showers Auto Detail//Bookings//EN';
+const FEED_TOKEN_SETTING = 'calendar_feed_token';
+
+// Customer emails of these types carry an invite for the booking
+export const CALENDAR_INVITE_TYPES = ['new_booking', 'booking_rescheduled', 'booking_cancelled', 'booking_expired'];
+
+// Invite types that take the event off the customer's calendar
+const CANCELLING_INVITE_TYPES = ['booking_cancelled', 'booking_expired'];
+
+const EVENT_SELECT = `
+  SELECT b.id, b.customer_name, b.customer_email, b.customer_phone, b.address, b.notes,
+         b.status, b.booking_date::text as booking_date, b.booking_time, b.vehicle_type,
+         b.payment_token, b.calendar_sequence,
+         COALESCE(b.duration_minutes, s.duration_minutes, ${DEFAULT_DURATION_MINUTES}) as duration_minutes,
+         COALESCE(s.name, p.name) as service_name,
+         (SELECT string_agg(u.name, ', ' ORDER BY u.name)
+          FROM booking_technicians bt JOIN admin_users u ON bt.user_id = u.id
+          WHERE bt.booking_id = b.id) as technician_names
+  FROM bookings b
+  LEFT JOIN services s ON b.service_id = s.id
+  LEFT JOIN packages p ON b.package_id = p.id`;
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+// Content lines longer than 75 characters continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+  }
+  return parts.join('\r\n');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Minutes the time zone is ahead of UTC at an instant
+function timeZoneOffset(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).reduce((acc, part) => {
+    acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - instant.getTime()) / 60000);
+}
+
+/**
+ * Convert a local booking date and start minute into a UTC Date. Events are
+ * written in UTC so every calendar app places them correctly without VTIMEZONE data.
+ */
+export function localToUtc(date, minutes, timeZone = process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles') {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = timeZoneOffset(new Date(wallClock), timeZone);
+  const corrected = timeZoneOffset(new Date(wallClock - offset * 60000), timeZone);
+  return new Date(wallClock - corrected * 60000);
+}
+
+function getCalendarDomain() {
+  try {
+    return new URL(process.env.APP_URL || 'https://showersautodetail.com').hostname;
+  } catch (error) {
+    return 'showersautodetail.com';
+  }
+}
+
+/**
+ * Stable UID for a booking's event, so updates and cancellations replace it
+ */
+export function bookingUid(bookingId) {
+  return `booking-${bookingId}@${getCalendarDomain()}`;
+}
+
+/**
+ * VEVENT lines for a booking row loaded with EVENT_SELECT
+ */
+function buildBookingEvent(booking, { summary, description, attendee = false, cancelled = false }) {
+  const start = localToUtc(booking.booking_date, toMinutes(booking.booking_time));
+  const end = new Date(start.getTime() + parseInt(booking.duration_minutes, 10) * 60000);
+  const businessName = process.env.BUSINESS_NAME || 'Showers Auto Detailing';
+  const organizerEmail = process.env.BUSINESS_EMAIL || process.env.NOTIFICATION_EMAIL_FROM;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${bookingUid(booking.id)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `SEQUENCE:${booking.calendar_sequence || 0}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (booking.address) {
+    lines.push(`LOCATION:${escapeText(booking.address)}`);
+  }
+
+  if (attendee && organizerEmail) {
+    lines.push(`ORGANIZER;CN=${escapeText(businessName)}:mailto:${organizerEmail}`);
+    lines.push(`ATTENDEE;CN=${escapeText(booking.customer_name)};RSVP=FALSE:mailto:${booking.customer_email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap VEVENT lines in a VCALENDAR. method is REQUEST/CANCEL for emailed
+ * invites and omitted for subscription feeds.
+ */
+export function buildCalendar(eventLines, { method, name } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  lines.push(...eventLines, 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the .ics invite for a customer email. Reschedules and cancellations
+ * bump the booking's sequence so calendar apps replace the earlier event.
+ * Returns null when the booking no longer exists.
+ */
+export async function buildBookingInvite(type, bookingId, db = pool) {
+  if (type !== 'new_booking') {
+    await db.query(
+      'UPDATE bookings SET calendar_sequence = COALESCE(calendar_sequence, 0) + 1 WHERE id = $1',
+      [bookingId]
+    );
+  }
+
+  const result = await db.query(`${EVENT_SELECT} WHERE b.id = $1`, [bookingId]);
+  const booking = result.rows[0];
+  if (!booking) {
+    return null;
+  }
+
+  const businessName = process.env.BUSINESS_NAME || 'Showers Auto Detailing';
+  const cancelled = CANCELLING_INVITE_TYPES.includes(type);
+  const description = [
+    `${booking.service_name || 'Detailing service'} with ${businessName}`,
+    cancelled ? `This appointment has been ${type === 'booking_expired' ? 'released' : 'cancelled'}.` : `Reschedule or cancel: ${buildManageLink(booking.id, booking.payment_token)}`
+  ].join('\n');
+
+  const event = buildBookingEvent(booking, {
+    summary: `${booking.service_name || 'Auto Detail'} - ${businessName}`,
+    description,
+    attendee: true,
+    cancelled
+  });
+
+  return buildCalendar(event, { method: cancelled ? 'CANCEL' : 'REQUEST' });
+}
+
+/**
+ * The owner's subscription feed: every upcoming booking that isn't cancelled or expired
+ */
+export async function buildOwnerFeed(db = pool) {
+  const result = await db.query(
+    `${EVENT_SELECT}
+     WHERE b.booking_date >= $1 AND b.status NOT IN ('cancelled', 'expired')
+     ORDER BY b.booking_date ASC, b.booking_time ASC`,
+    [getBusinessNow().date]
+  );
+
+  const events = result.rows.flatMap(booking => buildBookingEvent(booking, {
+    summary: `${booking.customer_name} - ${booking.service_name || 'Detail'}`,
+    description: [
+      `Booking #${booking.id} (${booking.status.replace('_', ' ')})`,
+      `Phone: ${booking.customer_phone}`,
+      `Vehicle: ${booking.vehicle_type}`,
+      booking.technician_names ? `Crew: ${booking.technician_names}` : 'Crew: unassigned',
+      booking.notes ? `Notes: ${booking.notes}` : ''
+    ].filter(Boolean).join('\n')
+  }));
+
+  return buildCalendar(events, { name: `${process.env.BUSINESS_NAME || 'Showers Auto Detailing'} Bookings` });
+}
+
+/**
+ * The feed's secret token, created the first time it's asked for
+ */
+export async function getFeedToken(db = pool) {
+  const settings = await getSettings([FEED_TOKEN_SETTING], db);
+  if (settings[FEED_TOKEN_SETTING]) {
+    return settings[FEED_TOKEN_SETTING];
+  }
+  return rotateFeedToken(db);
+}
+
+/**
+ * Replace the feed token; subscriptions using the old URL stop updating
+ */
+export async function rotateFeedToken(db = pool) {
+  const token = crypto.randomBytes(24).toString('hex');
+  await saveSettings({ [FEED_TOKEN_SETTING]: token }, db);
+  return token;
+}
+
+/**
+ * Check a token from a feed URL against the stored one
+ */
+export async function verifyFeedToken(token, db = pool) {
+  const settings = await getSettings([FEED_TOKEN_SETTING], db);
+  const expected = settings[FEED_TOKEN_SETTING];
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+export function buildFeedUrl(token) {
+  const baseUrl = process.env.APP_URL || 'https://showersautodetail.com';
+  return `${baseUrl}/api/calendar/feed.ics?token=${token}`;
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import squareClient from '../config/square.js';
+import { getSettings, parseJsonSetting, parseNumberSetting } from '../config/settings.js';
+import { DEFAULT_CANCELLATION_WINDOW_HOURS, getBusinessNow, minutesUntil } from './availability.js';
+import { diffBooking, recordBookingAudit } from './bookingAudit.js';
+
+// What can happen to a paid deposit when a booking is cancelled or missed
+export const DEPOSIT_OUTCOMES = ['refund', 'credit', 'keep'];
+
+// Statuses that settle the deposit
+export const DEPOSIT_SETTLING_STATUSES = ['cancelled', 'no_show'];
+
+// Free cancellation up to the customer cancellation window, deposit kept after that
+export const DEFAULT_CANCELLATION_POLICY = {
+  rules: [
+    { hoursBefore: DEFAULT_CANCELLATION_WINDOW_HOURS, outcome: 'refund' },
+    { hoursBefore: 0, outcome: 'keep' }
+  ],
+  noShowOutcome: 'keep',
+  creditValidDays: 365
+};
+
+const OUTCOME_FIELDS = ['deposit_outcome', 'deposit_outcome_amount', 'deposit_credit_code'];
+
+/**
+ * Load the cancellation policy from settings. rules are sorted with the
+ * longest notice first; a cancellation gets the first rule whose hoursBefore
+ * it meets.
+ */
+export async function getCancellationPolicy(db = pool) {
+  const settings = await getSettings(['cancellation_policy'], db);
+  const stored = parseJsonSetting(settings.cancellation_policy, {});
+
+  const rules = Array.isArray(stored.rules) && stored.rules.length > 0
+    ? stored.rules
+      .filter(rule => DEPOSIT_OUTCOMES.includes(rule.outcome))
+      .map(rule => ({ hoursBefore: parseNumberSetting(rule.hoursBefore, 0), outcome: rule.outcome }))
+    : DEFAULT_CANCELLATION_POLICY.rules;
+
+  return {
+    rules: [...rules].sort((a, b) => b.hoursBefore - a.hoursBefore),
+    noShowOutcome: DEPOSIT_OUTCOMES.includes(stored.noShowOutcome)
+      ? stored.noShowOutcome
+      : DEFAULT_CANCELLATION_POLICY.noShowOutcome,
+    creditValidDays: parseNumberSetting(stored.creditValidDays, DEFAULT_CANCELLATION_POLICY.creditValidDays)
+  };
+}
+
+/**
+ * What the policy does with a booking's deposit when it moves to toStatus
+ * ('cancelled' or 'no_show'), judged by how many hours before the appointment
+ * that happens. Cancelling after the start time is treated as a no-show.
+ * Returns { outcome, amount, hoursBefore, rule } or null when no deposit was paid.
+ */
+export function decideDepositOutcome(booking, toStatus, policy, now = getBusinessNow()) {
+  const amount = parseFloat(booking.deposit_amount);
+  if (!booking.deposit_paid || !(amount > 0)) {
+    return null;
+  }
+
+  const hoursBefore = Math.round(minutesUntil(booking.booking_date, booking.booking_time, now) / 6) / 10;
+
+  if (toStatus === 'no_show') {
+    return { outcome: policy.noShowOutcome, amount, hoursBefore, rule: 'No-show' };
+  }
+
+  const rule = hoursBefore >= 0 && policy.rules.find(candidate => hoursBefore >= candidate.hoursBefore);
+  if (!rule) {
+    return { outcome: policy.noShowOutcome, amount, hoursBefore, rule: 'Cancelled after the appointment time' };
+  }
+
+  return {
+    outcome: rule.outcome,
+    amount,
+    hoursBefore,
+    rule: rule.hoursBefore > 0 ? `Cancelled at least ${rule.hoursBefore} hours ahead` : 'Late cancellation'
+  };
+}
+
+// Single-use coupon worth the deposit, for the customer's next booking
+async function issueDepositCredit(client, booking, amount, validDays) {
+  const code = `CREDIT-${booking.id}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  await client.query(
+    `INSERT INTO coupons (code, discount_type, discount_value, max_uses, expires_at, source_booking_id)
+     VALUES ($1, 'fixed', $2, 1, CURRENT_TIMESTAMP + make_interval(days => $3), $4)`,
+    [code, amount, Math.round(validDays), booking.id]
+  );
+  return code;
+}
+
+/**
+ * Apply the cancellation policy to a booking locked with lockBooking that has
+ * just moved to toStatus, recording the outcome on the booking and in its audit
+ * log. outcome overrides the policy (admins only). Credits are issued here;
+ * refunds are sent to Square after the transaction commits (see refundDeposit).
+ * Must run inside a transaction. Returns the updated booking, or null when
+ * there's no paid deposit to settle.
+ */
+export async function settleDeposit(client, booking, toStatus, { outcome, changedBy, note } = {}) {
+  const policy = await getCancellationPolicy(client);
+  const decision = decideDepositOutcome(booking, toStatus, policy);
+  if (!decision) {
+    return null;
+  }
+
+  const finalOutcome = outcome || decision.outcome;
+  const creditCode = finalOutcome === 'credit'
+    ? await issueDepositCredit(client, booking, decision.amount, policy.creditValidDays)
+    : null;
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET deposit_outcome = $1, deposit_outcome_amount = $2, deposit_outcome_hours = $3,
+         deposit_outcome_at = CURRENT_TIMESTAMP, deposit_credit_code = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *, booking_date::text as booking_date`,
+    [finalOutcome, decision.amount, decision.hoursBefore, creditCode, booking.id]
+  );
+
+  const ruleNote = outcome && outcome !== decision.outcome
+    ? `Policy said ${decision.outcome} (${decision.rule}), set to ${outcome}`
+    : decision.rule;
+
+  await recordBookingAudit({
+    bookingId: booking.id,
+    changedBy,
+    action: 'deposit_outcome',
+    changes: diffBooking(booking, result.rows[0], OUTCOME_FIELDS),
+    note: note ? `${ruleNote}: ${note}` : ruleNote
+  }, client);
+
+  return result.rows[0];
+}
+
+/**
+ * Refund a deposit the policy decided to give back, through Square. Deposits
+ * marked paid by hand have no Square payment and are refunded outside the app.
+ * Safe to retry: Square ignores a repeated idempotency key.
+ * Returns the refund id, or null when there's nothing to refund or it failed.
+ */
+export async function refundDeposit(booking) {
+  if (booking.deposit_outcome !== 'refund' || booking.deposit_refund_id || !booking.deposit_payment_id) {
+    return null;
+  }
+
+  try {
+    const response = await squareClient.refunds.refundPayment({
+      idempotencyKey: `booking-${booking.id}-deposit-refund`,
+      paymentId: booking.deposit_payment_id,
+      amountMoney: {
+        amount: BigInt(Math.round(parseFloat(booking.deposit_outcome_amount) * 100)),
+        currency: 'USD'
+      },
+      reason: `Deposit refund for booking #${booking.id}`
+    });
+
+    await pool.query(
+      'UPDATE bookings SET deposit_refund_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [response.refund.id, booking.id]
+    );
+    return response.refund.id;
+  } catch (error) {
+    console.error(`Error refunding deposit for booking #${booking.id}:`, error);
+    return null;
+  }
+}
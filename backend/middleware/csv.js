@@ -0,0 +1,125 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Entities produced by the validators' escape(), turned back into plain text for spreadsheets
+const ESCAPED_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`'
+};
+
+/**
+ * Undo input escaping on a stored text value
+ */
+export function decodeEscaped(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => ESCAPED_ENTITIES[entity]);
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = "'" + text;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document from rows. columns is a list of { header, value(row) }.
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(column => formatCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(column.value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows, each an array of cell strings.
+ * Handles quoted cells with commas, newlines and doubled quotes. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text whose first row is a header into objects keyed by
+ * lower-cased, snake_cased header names
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return rows.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+}
+
+/**
+ * Send a CSV document as a file download
+ */
+export function sendCsv(res, filename, csv) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+}
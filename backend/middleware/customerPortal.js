@@ -0,0 +1,177 @@
+import pool from '../config/database.js';
+import { getBusinessNow } from './availability.js';
+import { buildManageLink, buildPaymentLink, buildReportLink, generatePaymentToken } from './bookings.js';
+import { AMOUNT_PAID_SQL, BALANCE_STATUSES } from './customers.js';
+import { decodeEscaped } from './csv.js';
+import { getBookingVehicles } from './vehicles.js';
+
+// Bookings still ahead of the customer, once their date hasn't passed
+const UPCOMING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// Bookings the customer can still reschedule or cancel from their manage link
+const MANAGEABLE_STATUSES = ['pending', 'confirmed'];
+
+const PORTAL_BOOKING_SQL = `
+  SELECT b.*, b.booking_date::text as booking_date, COALESCE(s.name, p.name) as service_name,
+         ${AMOUNT_PAID_SQL} as amount_paid,
+         EXISTS (SELECT 1 FROM job_reports r WHERE r.booking_id = b.id) as has_report
+  FROM bookings b
+  LEFT JOIN services s ON b.service_id = s.id
+  LEFT JOIN packages p ON b.package_id = p.id`;
+
+// Customer links need the booking's token; imported bookings may not have one yet
+async function ensurePaymentToken(booking, db) {
+  if (!booking.payment_token) {
+    const updated = await db.query(
+      'UPDATE bookings SET payment_token = COALESCE(payment_token, $1) WHERE id = $2 RETURNING payment_token',
+      [generatePaymentToken(), booking.id]
+    );
+    booking.payment_token = updated.rows[0].payment_token;
+  }
+  return booking;
+}
+
+function formatPortalBooking(booking, vehicles) {
+  const total = parseFloat(booking.total_amount || 0);
+  const paid = parseFloat(booking.amount_paid || 0);
+  const balanceDue = BALANCE_STATUSES.includes(booking.status) && booking.deposit_paid && !booking.final_paid
+    ? total - paid
+    : 0;
+  const token = booking.payment_token;
+
+  return {
+    id: booking.id,
+    bookingDate: booking.booking_date,
+    bookingTime: booking.booking_time.slice(0, 5),
+    status: booking.status,
+    serviceName: booking.service_name,
+    vehicles: vehicles.map(vehicle => ({
+      vehicleType: vehicle.vehicleType,
+      serviceName: vehicle.serviceName,
+      label: vehicle.customerVehicle ? vehicle.customerVehicle.label : null
+    })),
+    address: decodeEscaped(booking.address),
+    totalAmount: total,
+    depositAmount: parseFloat(booking.deposit_amount || 0),
+    depositPaid: booking.deposit_paid,
+    finalPaid: booking.final_paid,
+    depositOutcome: booking.deposit_outcome,
+    amountPaid: paid,
+    balanceDue,
+    depositLink: booking.status === 'pending' && !booking.deposit_paid ? buildPaymentLink(booking.id, token) : null,
+    balanceLink: balanceDue > 0 ? `${buildPaymentLink(booking.id, token)}&type=final` : null,
+    manageLink: MANAGEABLE_STATUSES.includes(booking.status) ? buildManageLink(booking.id, token) : null,
+    reportLink: booking.status === 'completed' && booking.has_report ? buildReportLink(booking.id, token) : null,
+    receiptAvailable: paid > 0
+  };
+}
+
+/**
+ * A customer's bookings for the portal, split into upcoming (soonest first)
+ * and past (newest first), with links to pay, manage, see the job report and
+ * the receipt.
+ */
+export async function listPortalBookings(customerId, db = pool) {
+  const result = await db.query(
+    `${PORTAL_BOOKING_SQL}
+     WHERE b.customer_id = $1
+     ORDER BY b.booking_date ASC, b.booking_time ASC`,
+    [customerId]
+  );
+
+  const today = getBusinessNow().date;
+  const upcoming = [];
+  const past = [];
+
+  for (const row of result.rows) {
+    const booking = formatPortalBooking(await ensurePaymentToken(row, db), await getBookingVehicles(row.id, db));
+    if (UPCOMING_STATUSES.includes(row.status) && row.booking_date >= today) {
+      upcoming.push(booking);
+    } else {
+      past.unshift(booking);
+    }
+  }
+
+  return { upcoming, past };
+}
+
+/**
+ * One of the customer's bookings (the raw row), or null when it isn't theirs
+ */
+export async function getPortalBooking(customerId, bookingId, db = pool) {
+  const result = await db.query(
+    `${PORTAL_BOOKING_SQL}
+     WHERE b.id = $1 AND b.customer_id = $2`,
+    [bookingId, customerId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Receipt for a booking: what was charged line by line (services, add-ons,
+ * custom items, travel fee, coupon, loyalty reward), the payments received and
+ * what's still owed.
+ */
+export async function buildReceipt(booking, db = pool) {
+  const [vehicles, customItems] = await Promise.all([
+    getBookingVehicles(booking.id, db),
+    db.query('SELECT name, price FROM custom_line_items WHERE booking_id = $1 ORDER BY id', [booking.id])
+  ]);
+
+  const lineItems = [];
+  for (const vehicle of vehicles) {
+    const label = vehicle.customerVehicle ? ` - ${vehicle.customerVehicle.label}` : '';
+    lineItems.push({ description: `${vehicle.serviceName} (${vehicle.vehicleType}${label})`, amount: vehicle.servicePrice });
+    for (const addon of vehicle.addons) {
+      lineItems.push({ description: `Add-on: ${addon.name}`, amount: addon.price });
+    }
+  }
+  for (const item of customItems.rows) {
+    lineItems.push({ description: decodeEscaped(item.name), amount: parseFloat(item.price) });
+  }
+  if (parseFloat(booking.travel_fee) > 0) {
+    lineItems.push({ description: 'Travel fee', amount: parseFloat(booking.travel_fee) });
+  }
+  if (parseFloat(booking.coupon_discount) > 0) {
+    lineItems.push({ description: `Coupon ${booking.coupon_code}`, amount: -parseFloat(booking.coupon_discount) });
+  }
+  if (parseFloat(booking.loyalty_discount) > 0) {
+    lineItems.push({ description: 'Loyalty reward', amount: -parseFloat(booking.loyalty_discount) });
+  }
+
+  const total = parseFloat(booking.total_amount);
+  const deposit = parseFloat(booking.deposit_amount);
+  const payments = [];
+  if (booking.deposit_paid) {
+    payments.push({
+      description: 'Deposit',
+      amount: deposit,
+      refunded: booking.deposit_outcome === 'refund'
+    });
+  }
+  if (booking.final_paid) {
+    payments.push({ description: 'Balance', amount: total - deposit, refunded: false });
+  }
+  const amountPaid = parseFloat(booking.amount_paid);
+
+  return {
+    receiptNumber: `SAD-${String(booking.id).padStart(6, '0')}`,
+    business: {
+      name: process.env.BUSINESS_NAME || 'Showers Auto Detailing',
+      email: process.env.BUSINESS_EMAIL || process.env.NOTIFICATION_EMAIL_TO || null,
+      phone: process.env.BUSINESS_PHONE || null
+    },
+    bookingId: booking.id,
+    customerName: decodeEscaped(booking.customer_name),
+    customerEmail: booking.customer_email,
+    address: decodeEscaped(booking.address),
+    bookingDate: booking.booking_date,
+    bookingTime: booking.booking_time.slice(0, 5),
+    status: booking.status,
+    lineItems,
+    totalAmount: total,
+    payments,
+    amountPaid,
+    balanceDue: BALANCE_STATUSES.includes(booking.status) && !booking.final_paid ? total - amountPaid : 0
+  };
+}
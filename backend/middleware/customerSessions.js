@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+
+// Cookie holding a signed-in customer's portal session. It's httpOnly and only
+// sent to /api/portal, so admin JWTs and customer sessions never mix.
+export const CUSTOMER_SESSION_COOKIE = 'customer_session';
+
+// How long a sign-in code works, and how many wrong guesses it allows
+export const LOGIN_CODE_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+const SESSION_DAYS = 30;
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Issue a 6-digit sign-in code for a customer, replacing any unused one.
+ * Returns the code to send; only its hash is stored.
+ */
+export async function createLoginCode(customerId, channel, db = pool) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await db.query(
+    'UPDATE customer_login_codes SET used_at = CURRENT_TIMESTAMP WHERE customer_id = $1 AND used_at IS NULL',
+    [customerId]
+  );
+  await db.query(
+    `INSERT INTO customer_login_codes (customer_id, code_hash, channel, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4::integer))`,
+    [customerId, hashSecret(code), channel, LOGIN_CODE_MINUTES]
+  );
+
+  return code;
+}
+
+/**
+ * Check a sign-in code against the customer's latest one. A matching code is
+ * used up; a wrong guess counts against the code's attempts.
+ */
+export async function verifyLoginCode(customerId, code, db = pool) {
+  const result = await db.query(
+    `UPDATE customer_login_codes SET attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM customer_login_codes
+       WHERE customer_id = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP AND attempts < $2
+       ORDER BY created_at DESC
+       LIMIT 1
+     )
+     RETURNING id, code_hash`,
+    [customerId, MAX_CODE_ATTEMPTS]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const { id, code_hash: codeHash } = result.rows[0];
+  const matches = crypto.timingSafeEqual(Buffer.from(codeHash), Buffer.from(hashSecret(code)));
+  if (matches) {
+    await db.query('UPDATE customer_login_codes SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  }
+  return matches;
+}
+
+/**
+ * Start a portal session for a customer. Returns the session token for the cookie.
+ */
+export async function createCustomerSession(customerId, deviceInfo, db = pool) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `INSERT INTO customer_sessions (customer_id, token_hash, expires_at, device_info)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3::integer), $4)`,
+    [customerId, hashSecret(token), SESSION_DAYS, String(deviceInfo || 'Unknown').slice(0, 500)]
+  );
+
+  return token;
+}
+
+export async function revokeCustomerSession(token, db = pool) {
+  await db.query('UPDATE customer_sessions SET is_revoked = true WHERE token_hash = $1', [hashSecret(token)]);
+}
+
+export function setSessionCookie(res, token) {
+  res.cookie(CUSTOMER_SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/portal',
+    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(CUSTOMER_SESSION_COOKIE, { path: '/api/portal' });
+}
+
+/**
+ * Require a signed-in customer (portal session cookie). Sets req.customer to
+ * { id, sessionToken }; a merged customer's session acts as the customer it
+ * was merged into.
+ */
+export async function authenticateCustomer(req, res, next) {
+  const token = req.cookies?.[CUSTOMER_SESSION_COOKIE];
+  if (!token) {
+    return res.status(401).json({ error: 'Please sign in' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE customer_sessions cs SET last_used_at = CURRENT_TIMESTAMP
+       FROM customers c
+       WHERE cs.token_hash = $1 AND cs.is_revoked = false AND cs.expires_at > CURRENT_TIMESTAMP
+         AND c.id = cs.customer_id
+       RETURNING COALESCE(c.merged_into, c.id) as customer_id`,
+      [hashSecret(token)]
+    );
+
+    if (result.rows.length === 0) {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    req.customer = { id: result.rows[0].customer_id, sessionToken: token };
+    next();
+  } catch (error) {
+    console.error('Customer session error:', error);
+    res.status(500).json({ error: 'Failed to check your session' });
+  }
+}
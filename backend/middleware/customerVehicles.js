@@ -0,0 +1,228 @@
+import pool from '../config/database.js';
+
+// Size classes a saved vehicle is priced as, the same values as a booking's vehicle_type
+export const VEHICLE_SIZE_CLASSES = ['sedan', 'suv', 'commercial'];
+
+const VEHICLE_COLUMNS = `id, customer_email, customer_phone, make, model, year, color, plate,
+  size_class, notes, created_at, updated_at`;
+
+/**
+ * Short description of a saved vehicle, e.g. "2019 Toyota Camry (Silver)"
+ */
+export function formatVehicleLabel(vehicle) {
+  const name = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Vehicle';
+  return vehicle.color ? `${name} (${vehicle.color})` : name;
+}
+
+/**
+ * Whether vehicle details from a form say enough to save the vehicle
+ */
+export function hasVehicleDetails(details) {
+  return Boolean(details && (details.make || details.model || details.plate));
+}
+
+function formatVehicle(row) {
+  return {
+    id: row.id,
+    customerEmail: row.customer_email,
+    customerPhone: row.customer_phone,
+    make: row.make,
+    model: row.model,
+    year: row.year,
+    color: row.color,
+    plate: row.plate,
+    sizeClass: row.size_class,
+    notes: row.notes,
+    label: formatVehicleLabel(row),
+    lastServiced: row.last_serviced || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * A customer's saved vehicles, most recently serviced first
+ */
+export async function listCustomerVehicles(customerEmail, db = pool) {
+  const result = await db.query(
+    `SELECT ${VEHICLE_COLUMNS},
+            (SELECT MAX(b.booking_date)::text FROM booking_vehicles bv
+             JOIN bookings b ON bv.booking_id = b.id
+             WHERE bv.customer_vehicle_id = cv.id AND b.status = 'completed') as last_serviced
+     FROM customer_vehicles cv
+     WHERE LOWER(cv.customer_email) = LOWER($1)
+     ORDER BY last_serviced DESC NULLS LAST, cv.created_at DESC`,
+    [customerEmail]
+  );
+  return result.rows.map(formatVehicle);
+}
+
+/**
+ * A saved vehicle, or null
+ */
+export async function getCustomerVehicle(id, db = pool) {
+  const result = await db.query(`SELECT ${VEHICLE_COLUMNS} FROM customer_vehicles WHERE id = $1`, [id]);
+  return result.rows.length > 0 ? formatVehicle(result.rows[0]) : null;
+}
+
+/**
+ * Save a new vehicle for a customer
+ */
+export async function createCustomerVehicle(db, {
+  customerId, customerEmail, customerPhone, make, model, year, color, plate, sizeClass, notes
+}) {
+  const result = await db.query(
+    `INSERT INTO customer_vehicles
+     (customer_email, customer_phone, make, model, year, color, plate, size_class, notes, customer_id)
+     VALUES (LOWER($1), $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING ${VEHICLE_COLUMNS}`,
+    [customerEmail, customerPhone || null, make || null, model || null, year || null, color || null,
+     plate ? plate.toUpperCase() : null, sizeClass, notes || null, customerId || null]
+  );
+  return formatVehicle(result.rows[0]);
+}
+
+/**
+ * Update the fields given on a saved vehicle. Returns the vehicle, or null when it doesn't exist.
+ */
+export async function updateCustomerVehicle(db, id, fields) {
+  const columns = {
+    make: 'make',
+    model: 'model',
+    year: 'year',
+    color: 'color',
+    plate: 'plate',
+    sizeClass: 'size_class',
+    notes: 'notes'
+  };
+
+  const sets = [];
+  const values = [];
+  for (const [field, column] of Object.entries(columns)) {
+    if (fields[field] !== undefined) {
+      const value = field === 'plate' && fields.plate ? fields.plate.toUpperCase() : fields[field];
+      values.push(value === '' ? null : value);
+      sets.push(`${column} = $${values.length}`);
+    }
+  }
+
+  if (sets.length === 0) {
+    return getCustomerVehicle(id, db);
+  }
+
+  values.push(id);
+  const result = await db.query(
+    `UPDATE customer_vehicles SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length}
+     RETURNING ${VEHICLE_COLUMNS}`,
+    values
+  );
+  return result.rows.length > 0 ? formatVehicle(result.rows[0]) : null;
+}
+
+/**
+ * Check the saved vehicles picked for a booking or quote belong to the customer,
+ * and price each one as its saved size class. Vehicles are
+ * { vehicleType, customerVehicleId, ... }. Returns { vehicles } or { error, status }.
+ */
+export async function resolveCustomerVehicles(vehicles, customerEmail, db = pool) {
+  const resolved = [];
+
+  for (const [index, vehicle] of vehicles.entries()) {
+    if (!vehicle.customerVehicleId) {
+      resolved.push({ ...vehicle, customerVehicleId: null });
+      continue;
+    }
+
+    const saved = await getCustomerVehicle(vehicle.customerVehicleId, db);
+    if (!saved || saved.customerEmail !== String(customerEmail).toLowerCase()) {
+      const label = vehicles.length > 1 ? ` for vehicle ${index + 1}` : '';
+      return { status: 400, error: `Saved vehicle not found${label}` };
+    }
+
+    resolved.push({ ...vehicle, vehicleType: saved.sizeClass, customerVehicleId: saved.id });
+  }
+
+  return { vehicles: resolved };
+}
+
+/**
+ * Saved vehicles for the quote form, when the email and phone both match the
+ * customer's. Only what's needed to pick a vehicle is returned.
+ */
+export async function lookupCustomerVehicles(customerEmail, customerPhone, db = pool) {
+  const digits = String(customerPhone || '').replace(/\D/g, '');
+  if (digits.length < 10) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT id, make, model, year, color, size_class
+     FROM customer_vehicles
+     WHERE LOWER(customer_email) = LOWER($1)
+       AND RIGHT(regexp_replace(customer_phone, '\\D', '', 'g'), 10) = RIGHT($2, 10)
+     ORDER BY updated_at DESC`,
+    [customerEmail, digits]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    make: row.make,
+    model: row.model,
+    year: row.year,
+    color: row.color,
+    sizeClass: row.size_class,
+    label: formatVehicleLabel(row)
+  }));
+}
+
+/**
+ * Every visit for a saved vehicle, newest first, with the service, add-ons,
+ * who did the work and the job report notes. Cancelled and expired bookings are left out.
+ */
+export async function getVehicleHistory(id, db = pool) {
+  const result = await db.query(
+    `SELECT b.id as booking_id, b.booking_date::text as booking_date, b.booking_time, b.status,
+            bv.vehicle_type, COALESCE(s.name, p.name) as service_name, r.notes as report_notes,
+            COALESCE((SELECT array_agg(a.name ORDER BY a.name)
+                      FROM booking_addons ba JOIN addons a ON ba.addon_id = a.id
+                      WHERE ba.booking_vehicle_id = bv.id), '{}') as addons,
+            COALESCE((SELECT array_agg(u.name ORDER BY u.name)
+                      FROM booking_technicians bt JOIN admin_users u ON bt.user_id = u.id
+                      WHERE bt.booking_id = b.id), '{}') as technicians
+     FROM booking_vehicles bv
+     JOIN bookings b ON bv.booking_id = b.id
+     LEFT JOIN services s ON bv.service_id = s.id
+     LEFT JOIN packages p ON bv.package_id = p.id
+     LEFT JOIN job_reports r ON r.booking_id = b.id
+     WHERE bv.customer_vehicle_id = $1 AND b.status NOT IN ('cancelled', 'expired')
+     ORDER BY b.booking_date DESC, b.booking_time DESC`,
+    [id]
+  );
+
+  return result.rows.map(row => ({
+    bookingId: row.booking_id,
+    bookingDate: row.booking_date,
+    bookingTime: row.booking_time.slice(0, 5),
+    status: row.status,
+    vehicleType: row.vehicle_type,
+    serviceName: row.service_name,
+    addons: row.addons,
+    technicians: row.technicians,
+    reportNotes: row.report_notes
+  }));
+}
+
+/**
+ * Whether a technician is assigned to any booking for a saved vehicle
+ */
+export async function isVehicleTechnician(id, userId, db = pool) {
+  const result = await db.query(
+    `SELECT 1 FROM booking_vehicles bv
+     JOIN booking_technicians bt ON bt.booking_id = bv.booking_id
+     WHERE bv.customer_vehicle_id = $1 AND bt.user_id = $2
+     LIMIT 1`,
+    [id, userId]
+  );
+  return result.rows.length > 0;
+}
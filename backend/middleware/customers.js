@@ -0,0 +1,328 @@
+import pool from '../config/database.js';
+
+// Tables whose rows belong to a customer (customer_id), moved over when customers are merged
+const CUSTOMER_TABLES = ['bookings', 'quote_requests', 'reviews', 'customer_vehicles', 'loyalty_ledger'];
+
+// What a booking has been paid. A refunded deposit no longer counts as paid.
+export const AMOUNT_PAID_SQL = `CASE WHEN b.final_paid THEN b.total_amount
+  WHEN b.deposit_paid AND b.deposit_outcome IS DISTINCT FROM 'refund' THEN b.deposit_amount ELSE 0 END`;
+
+// Bookings that still owe their balance once the work is on the books
+export const BALANCE_STATUSES = ['confirmed', 'in_progress', 'completed'];
+
+// Per-customer booking totals, joined LATERAL as `s` onto customers `c`
+export const CUSTOMER_STATS_SQL = `
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) FILTER (WHERE b.status = 'completed') as visits,
+           COUNT(*) FILTER (WHERE b.status NOT IN ('cancelled', 'no_show', 'expired')) as bookings,
+           COALESCE(SUM(${AMOUNT_PAID_SQL}) FILTER (WHERE b.refunded_at IS NULL), 0) as lifetime_spend,
+           COALESCE(SUM(b.total_amount - (${AMOUNT_PAID_SQL}))
+             FILTER (WHERE b.status IN (${BALANCE_STATUSES.map(status => `'${status}'`).join(', ')})
+               AND NOT b.final_paid AND b.refunded_at IS NULL), 0) as balance_due,
+           MIN(b.booking_date) FILTER (WHERE b.status = 'completed')::text as first_visit,
+           MAX(b.booking_date) FILTER (WHERE b.status = 'completed')::text as last_visit
+    FROM bookings b
+    WHERE b.customer_id = c.id
+  ) s ON true`;
+
+/**
+ * Format a customers row (with CUSTOMER_STATS_SQL columns when selected)
+ */
+export function formatCustomer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    phone: row.phone,
+    notes: row.notes || '',
+    tags: row.tags || [],
+    visits: parseInt(row.visits || 0, 10),
+    bookings: parseInt(row.bookings || 0, 10),
+    lifetimeSpend: parseFloat(row.lifetime_spend || 0),
+    balanceDue: parseFloat(row.balance_due || 0),
+    firstVisit: row.first_visit || null,
+    lastVisit: row.last_visit || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function customerKeys(email, phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return {
+    emailKey: email ? String(email).trim().toLowerCase() : null,
+    phoneKey: digits.length >= 10 ? digits.slice(-10) : null
+  };
+}
+
+/**
+ * The id of the customer with this email or, failing that, this phone number
+ * (compared on its last 10 digits), or null. A merged customer resolves to the
+ * customer it was merged into.
+ */
+export async function findCustomer(db, { email, phone }) {
+  const { emailKey, phoneKey } = customerKeys(email, phone);
+  if (!emailKey && !phoneKey) {
+    return null;
+  }
+
+  const match = await db.query(
+    `SELECT COALESCE(merged_into, id) as id
+     FROM customers
+     WHERE email_key = $1 OR phone_key = $2
+     ORDER BY COALESCE(email_key = $1, false) DESC, merged_into IS NULL DESC, updated_at DESC
+     LIMIT 1`,
+    [emailKey, phoneKey]
+  );
+  return match.rows.length > 0 ? match.rows[0].id : null;
+}
+
+/**
+ * The customer a booking or quote belongs to (see findCustomer), created when
+ * nobody matches. A matched customer's missing name, email and phone are
+ * filled in. Returns the customer id, or null without an email or phone.
+ */
+export async function matchCustomer(db, { name, email, phone }) {
+  const { emailKey, phoneKey } = customerKeys(email, phone);
+  if (!emailKey && !phoneKey) {
+    return null;
+  }
+
+  const id = await findCustomer(db, { email, phone });
+  if (id) {
+    await db.query(
+      `UPDATE customers
+       SET name = COALESCE(NULLIF(name, ''), $2), phone = COALESCE(phone, $3), email = COALESCE(email, $4)
+       WHERE id = $1`,
+      [id, name || null, phone || null, emailKey]
+    );
+    return id;
+  }
+
+  // A concurrent insert of the same email wins; this one then reuses its row
+  const created = await db.query(
+    `INSERT INTO customers (name, email, phone)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (email_key) DO UPDATE SET updated_at = customers.updated_at
+     RETURNING COALESCE(merged_into, id) as id`,
+    [name || '', emailKey, phone || null]
+  );
+  return created.rows[0].id;
+}
+
+/**
+ * A customer with their booking totals, or null. A merged customer is
+ * returned as the customer it was merged into.
+ */
+export async function getCustomer(id, db = pool) {
+  const result = await db.query(
+    `SELECT c.*, s.*
+     FROM customers c
+     ${CUSTOMER_STATS_SQL}
+     WHERE c.id = (SELECT COALESCE(merged_into, id) FROM customers WHERE id = $1)`,
+    [id]
+  );
+  return result.rows.length > 0 ? formatCustomer(result.rows[0]) : null;
+}
+
+/**
+ * A customer's profile: their details and totals, every booking (newest
+ * first, with what was paid and what's still owed), quotes, reviews and
+ * saved vehicles. Returns null when the customer doesn't exist.
+ */
+export async function getCustomerProfile(id, db = pool) {
+  const customer = await getCustomer(id, db);
+  if (!customer) {
+    return null;
+  }
+
+  const [bookings, quotes, reviews, vehicles] = await Promise.all([
+    db.query(
+      `SELECT b.id, b.booking_date::text as booking_date, b.booking_time, b.status, b.vehicle_type,
+              COALESCE(s.name, p.name) as service_name, b.total_amount, b.deposit_paid, b.final_paid,
+              ${AMOUNT_PAID_SQL} as amount_paid, b.archived_at
+       FROM bookings b
+       LEFT JOIN services s ON b.service_id = s.id
+       LEFT JOIN packages p ON b.package_id = p.id
+       WHERE b.customer_id = $1
+       ORDER BY b.booking_date DESC, b.booking_time DESC, b.id DESC`,
+      [customer.id]
+    ),
+    db.query(
+      `SELECT id, vehicle_type, service_level, estimated_price, status, booking_id, created_at
+       FROM quote_requests WHERE customer_id = $1
+       ORDER BY created_at DESC`,
+      [customer.id]
+    ),
+    db.query(
+      `SELECT id, rating, review_text, is_approved, booking_id, created_at
+       FROM reviews WHERE customer_id = $1
+       ORDER BY created_at DESC`,
+      [customer.id]
+    ),
+    db.query(
+      `SELECT id, make, model, year, color, plate, size_class
+       FROM customer_vehicles WHERE customer_id = $1
+       ORDER BY updated_at DESC`,
+      [customer.id]
+    )
+  ]);
+
+  return {
+    ...customer,
+    bookingHistory: bookings.rows.map(row => {
+      const total = parseFloat(row.total_amount || 0);
+      const paid = parseFloat(row.amount_paid || 0);
+      return {
+        id: row.id,
+        bookingDate: row.booking_date,
+        bookingTime: row.booking_time.slice(0, 5),
+        status: row.status,
+        vehicleType: row.vehicle_type,
+        serviceName: row.service_name,
+        totalAmount: total,
+        amountPaid: paid,
+        balanceDue: BALANCE_STATUSES.includes(row.status) && !row.final_paid ? total - paid : 0,
+        archived: Boolean(row.archived_at)
+      };
+    }),
+    quotes: quotes.rows,
+    reviews: reviews.rows,
+    vehicles: vehicles.rows
+  };
+}
+
+/**
+ * Update the fields given on a customer. Returns the customer, null when it
+ * doesn't exist, or { error } when the email belongs to another customer.
+ */
+export async function updateCustomer(db, id, fields) {
+  const columns = { name: 'name', email: 'email', phone: 'phone', notes: 'notes', tags: 'tags' };
+
+  const sets = [];
+  const values = [];
+  for (const [field, column] of Object.entries(columns)) {
+    if (fields[field] !== undefined) {
+      values.push(fields[field] === '' ? null : fields[field]);
+      sets.push(`${column} = $${values.length}`);
+    }
+  }
+
+  if (sets.length > 0) {
+    if (fields.email) {
+      const taken = await db.query(
+        'SELECT id FROM customers WHERE email_key = LOWER(TRIM($1)) AND id <> $2',
+        [fields.email, id]
+      );
+      if (taken.rows.length > 0) {
+        return { error: `Customer #${taken.rows[0].id} already has this email. Merge the two instead.` };
+      }
+    }
+
+    values.push(id);
+    const result = await db.query(
+      `UPDATE customers SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length} AND merged_into IS NULL`,
+      values
+    );
+    if (result.rowCount === 0) {
+      return null;
+    }
+  }
+
+  return getCustomer(id, db);
+}
+
+/**
+ * Merge duplicate customers into one. Their bookings, quotes, reviews, saved
+ * vehicles, loyalty balances and referrals move to the kept customer, tags are
+ * combined, notes are appended and a missing phone or referrer is filled in.
+ * Merged customers stay behind as pointers to the kept one, so later bookings
+ * with their email (or referral code) still match.
+ * Must run inside a transaction. Returns { customer } or { error, status }.
+ */
+export async function mergeCustomers(client, keepId, mergeIds) {
+  const ids = [...new Set(mergeIds)].filter(id => id !== keepId);
+  if (ids.length === 0) {
+    return { status: 400, error: 'Pick at least one other customer to merge' };
+  }
+
+  const locked = await client.query(
+    'SELECT * FROM customers WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+    [[keepId, ...ids]]
+  );
+  const keep = locked.rows.find(row => row.id === keepId);
+  const merging = locked.rows.filter(row => row.id !== keepId);
+
+  if (!keep || keep.merged_into) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  const missing = ids.find(id => !merging.some(row => row.id === id && !row.merged_into));
+  if (missing) {
+    return { status: 404, error: `Customer #${missing} not found or already merged` };
+  }
+
+  for (const table of CUSTOMER_TABLES) {
+    await client.query(`UPDATE ${table} SET customer_id = $1 WHERE customer_id = ANY($2)`, [keepId, ids]);
+  }
+
+  // Referrals made or received by the merged customers become the kept one's
+  await client.query('UPDATE referrals SET referrer_id = $1 WHERE referrer_id = ANY($2)', [keepId, ids]);
+  await client.query('UPDATE referrals SET referred_id = $1 WHERE referred_id = ANY($2)', [keepId, ids]);
+  await client.query(
+    'UPDATE customers SET referred_by = $1 WHERE referred_by = ANY($2) AND id <> $1',
+    [keepId, ids]
+  );
+
+  const tags = [...new Set([keep, ...merging].flatMap(row => row.tags || []))];
+  const notes = [keep, ...merging].map(row => row.notes).filter(Boolean).join('\n\n');
+  const phone = keep.phone || merging.map(row => row.phone).find(Boolean) || null;
+  const referredBy = [keep, ...merging].map(row => row.referred_by)
+    .find(id => id && id !== keepId && !ids.includes(id)) || null;
+
+  await client.query(
+    `UPDATE customers SET tags = $2, notes = $3, phone = $4, referred_by = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [keepId, tags, notes || null, phone, referredBy]
+  );
+
+  // Earlier merges into the merged customers now point at the kept one
+  await client.query(
+    `UPDATE customers SET merged_into = $1, merged_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($2) OR merged_into = ANY($2)`,
+    [keepId, ids]
+  );
+
+  return { customer: await getCustomer(keepId, client) };
+}
+
+/**
+ * Groups of customers who look like the same person: the same phone number or
+ * the same name. Each group lists the customers, the most visits first.
+ */
+export async function findDuplicateCustomers(db = pool) {
+  const result = await db.query(
+    `SELECT d.reason, json_agg(json_build_object('id', c.id, 'name', c.name, 'email', c.email,
+                                                 'phone', c.phone, 'visits', s.visits, 'lastVisit', s.last_visit)
+                               ORDER BY s.visits DESC, c.id) as customers
+     FROM (
+       SELECT 'phone' as reason, phone_key as match_key FROM customers
+       WHERE merged_into IS NULL AND LENGTH(phone_key) = 10
+       GROUP BY phone_key HAVING COUNT(*) > 1
+       UNION ALL
+       SELECT 'name', LOWER(TRIM(name)) FROM customers
+       WHERE merged_into IS NULL AND TRIM(name) <> ''
+       GROUP BY LOWER(TRIM(name)) HAVING COUNT(*) > 1
+     ) d
+     JOIN customers c ON c.merged_into IS NULL
+       AND ((d.reason = 'phone' AND c.phone_key = d.match_key)
+         OR (d.reason = 'name' AND LOWER(TRIM(c.name)) = d.match_key))
+     ${CUSTOMER_STATS_SQL}
+     GROUP BY d.reason, d.match_key
+     ORDER BY d.reason, d.match_key`
+  );
+
+  return result.rows.map(row => ({
+    reason: row.reason,
+    customers: row.customers.map(customer => ({ ...customer, visits: parseInt(customer.visits, 10) }))
+  }));
+}
@@ -0,0 +1,89 @@
+import pool from '../config/database.js';
+import { diffBooking, recordBookingAudit } from './bookingAudit.js';
+import { lockBooking, runStatusSideEffects, transitionBookingStatus } from './bookingStatus.js';
+
+// Unpaid pending bookings whose hold has run out. A booking with a deposit
+// payment on record is left alone: the payment may still be settling.
+const DUE_CONDITION = `status = 'pending' AND deposit_paid = false AND deposit_payment_id IS NULL
+  AND archived_at IS NULL AND hold_expires_at <= CURRENT_TIMESTAMP`;
+
+/**
+ * Expire every pending booking whose deposit hold has run out, freeing its slot
+ * for the waitlist and telling the customer. Each booking is checked again under
+ * lock, so a deposit paid at the last moment wins. Returns how many expired.
+ */
+export async function expireDepositHolds() {
+  const due = await pool.query(`SELECT id FROM bookings WHERE ${DUE_CONDITION} ORDER BY hold_expires_at`);
+  let expired = 0;
+
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+    let booking;
+
+    try {
+      await client.query('BEGIN');
+
+      const still = await client.query(`SELECT id FROM bookings WHERE id = $1 AND ${DUE_CONDITION} FOR UPDATE`, [id]);
+      if (still.rows.length === 0) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const result = await transitionBookingStatus(client, await lockBooking(client, id), 'expired', {
+        source: 'system',
+        note: 'Deposit not paid before the slot hold ran out'
+      });
+
+      if (result.error) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      await client.query('COMMIT');
+      booking = result.booking;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Error expiring hold for booking #${id}:`, error);
+      continue;
+    } finally {
+      client.release();
+    }
+
+    expired++;
+    await runStatusSideEffects(booking, 'pending', { source: 'system' });
+  }
+
+  return expired;
+}
+
+/**
+ * Keep a pending booking's slot until it's paid, e.g. for a customer paying in
+ * person. Must run inside a transaction. Returns the updated booking, or { error }.
+ */
+export async function releaseDepositHold(client, bookingId, { changedBy } = {}) {
+  const booking = await lockBooking(client, bookingId);
+  if (!booking) {
+    return { error: 'Booking not found', status: 404 };
+  }
+
+  if (booking.status !== 'pending' || !booking.hold_expires_at) {
+    return { error: 'This booking has no deposit hold running', status: 400 };
+  }
+
+  const result = await client.query(
+    `UPDATE bookings SET hold_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *, booking_date::text as booking_date`,
+    [bookingId]
+  );
+
+  await recordBookingAudit({
+    bookingId: booking.id,
+    changedBy,
+    action: 'hold_released',
+    changes: diffBooking(booking, result.rows[0], ['hold_expires_at']),
+    note: 'Slot kept until the deposit is paid'
+  }, client);
+
+  return { booking: result.rows[0] };
+}
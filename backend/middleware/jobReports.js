@@ -0,0 +1,203 @@
+import pool from '../config/database.js';
+import { getBookingVehicles } from './vehicles.js';
+import { decodeEscaped } from './csv.js';
+
+export const PHOTO_KINDS = ['before', 'after'];
+export const PHOTO_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+export const MAX_PHOTOS_PER_KIND = 12;
+
+// A report can be filled in from the day of the job until it's paid off
+export const REPORT_STATUSES = ['confirmed', 'in_progress', 'completed'];
+
+/**
+ * The checklist a booking's job report starts from: one section per vehicle,
+ * with the items from its service's checklist. Package bookings and services
+ * without a checklist get no section.
+ */
+export async function buildChecklistTemplate(booking, db = pool) {
+  const vehicles = await getBookingVehicles(booking.id, db);
+  const entries = vehicles.length > 0
+    ? vehicles.map((vehicle, index) => ({
+      serviceId: vehicle.serviceId,
+      label: vehicles.length > 1
+        ? `Vehicle ${index + 1} (${vehicle.vehicleType}) - ${vehicle.serviceName}`
+        : vehicle.serviceName
+    }))
+    : [{ serviceId: booking.service_id, label: booking.service_name }];
+
+  const serviceIds = entries.map(entry => entry.serviceId).filter(Boolean);
+  const services = serviceIds.length > 0
+    ? (await db.query('SELECT id, checklist FROM services WHERE id = ANY($1)', [serviceIds])).rows
+    : [];
+
+  return entries
+    .map(entry => {
+      const service = services.find(row => row.id === entry.serviceId);
+      const items = Array.isArray(service?.checklist) ? service.checklist : [];
+      return { label: entry.label || 'Service', items: items.map(item => ({ item, done: false })) };
+    })
+    .filter(section => section.items.length > 0);
+}
+
+// Tick the template's items that were ticked in `checked`. Items that aren't
+// on the template (e.g. removed from the service since) are dropped.
+function mergeChecklist(template, checked) {
+  const isDone = (label, item) => Array.isArray(checked) && checked.some(section =>
+    section.label === label && Array.isArray(section.items) &&
+    section.items.some(entry => entry.item === item && entry.done === true)
+  );
+
+  return template.map(section => ({
+    label: section.label,
+    items: section.items.map(({ item }) => ({ item, done: isDone(section.label, item) }))
+  }));
+}
+
+function buildPhotoUrl(booking, photoId) {
+  return `/api/bookings/${booking.id}/report/photos/${photoId}?token=${booking.payment_token}`;
+}
+
+/**
+ * A booking's job report: the checklist (with the service checklists as they
+ * are now), notes and photos. submittedAt is null until it's been saved.
+ */
+export async function getJobReport(booking, db = pool) {
+  const [reportResult, photoResult, template] = await Promise.all([
+    db.query(
+      `SELECT r.checklist, r.notes, r.updated_at, u.name as submitted_by_name
+       FROM job_reports r
+       LEFT JOIN admin_users u ON r.submitted_by = u.id
+       WHERE r.booking_id = $1`,
+      [booking.id]
+    ),
+    db.query(
+      `SELECT id, kind, created_at FROM job_report_photos
+       WHERE booking_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [booking.id]
+    ),
+    buildChecklistTemplate(booking, db)
+  ]);
+
+  const report = reportResult.rows[0];
+
+  return {
+    bookingId: booking.id,
+    checklist: mergeChecklist(template, report?.checklist),
+    notes: report?.notes || '',
+    submittedAt: report?.updated_at || null,
+    submittedBy: report?.submitted_by_name || null,
+    photos: photoResult.rows.map(photo => ({
+      id: photo.id,
+      kind: photo.kind,
+      url: buildPhotoUrl(booking, photo.id),
+      createdAt: photo.created_at
+    }))
+  };
+}
+
+/**
+ * Save a booking's checklist and notes, replacing what was there.
+ */
+export async function saveJobReport(booking, { checklist, notes, submittedBy }, db = pool) {
+  const merged = mergeChecklist(await buildChecklistTemplate(booking, db), checklist);
+
+  await db.query(
+    `INSERT INTO job_reports (booking_id, checklist, notes, submitted_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (booking_id) DO UPDATE
+     SET checklist = EXCLUDED.checklist, notes = EXCLUDED.notes,
+         submitted_by = EXCLUDED.submitted_by, updated_at = CURRENT_TIMESTAMP`,
+    [booking.id, JSON.stringify(merged), notes || null, submittedBy]
+  );
+
+  return getJobReport(booking, db);
+}
+
+/**
+ * Whether a booking's job report has been saved
+ */
+export async function hasJobReport(bookingId, db = pool) {
+  const result = await db.query('SELECT 1 FROM job_reports WHERE booking_id = $1', [bookingId]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Store a before or after photo. Returns { photo } or { error }.
+ */
+export async function addReportPhoto(booking, { kind, contentType, data, uploadedBy }, db = pool) {
+  const count = await db.query(
+    'SELECT COUNT(*) FROM job_report_photos WHERE booking_id = $1 AND kind = $2',
+    [booking.id, kind]
+  );
+  if (parseInt(count.rows[0].count, 10) >= MAX_PHOTOS_PER_KIND) {
+    return { error: `A report can have at most ${MAX_PHOTOS_PER_KIND} ${kind} photos` };
+  }
+
+  const result = await db.query(
+    `INSERT INTO job_report_photos (booking_id, kind, content_type, data, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, kind, created_at`,
+    [booking.id, kind, contentType, data, uploadedBy]
+  );
+
+  const photo = result.rows[0];
+  return { photo: { id: photo.id, kind: photo.kind, url: buildPhotoUrl(booking, photo.id), createdAt: photo.created_at } };
+}
+
+/**
+ * Remove a photo from a booking's report. Returns false when it wasn't found.
+ */
+export async function deleteReportPhoto(bookingId, photoId, db = pool) {
+  const result = await db.query(
+    'DELETE FROM job_report_photos WHERE id = $1 AND booking_id = $2',
+    [photoId, bookingId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * A report photo's image, or null when the photo doesn't exist or the
+ * booking's payment token doesn't match
+ */
+export async function getReportPhoto(bookingId, photoId, token, db = pool) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT ph.content_type, ph.data, b.payment_token
+     FROM job_report_photos ph
+     JOIN bookings b ON ph.booking_id = b.id
+     WHERE ph.id = $1 AND ph.booking_id = $2`,
+    [photoId, bookingId]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].payment_token !== token) {
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * The completion report shown to the customer, with stored text unescaped
+ * for display
+ */
+export function formatCustomerReport(booking, report) {
+  return {
+    bookingId: booking.id,
+    customerFirstName: decodeEscaped(booking.customer_name).split(' ')[0],
+    serviceName: booking.service_name,
+    bookingDate: booking.booking_date,
+    bookingTime: booking.booking_time,
+    completedAt: report.submittedAt,
+    checklist: report.checklist.map(section => ({
+      label: decodeEscaped(section.label),
+      items: section.items.map(entry => ({ item: decodeEscaped(entry.item), done: entry.done }))
+    })),
+    notes: decodeEscaped(report.notes),
+    photos: report.photos.map(photo => ({ kind: photo.kind, url: photo.url }))
+  };
+}
@@ -0,0 +1,42 @@
+import { processExpiredOffers } from './waitlist.js';
+import { expireDepositHolds } from './depositHolds.js';
+import { sendDueReminders } from './reminders.js';
+import { generateDueSeriesOccurrences } from './series.js';
+
+// Background work the server does on a timer. Every job is safe to run again
+// after a restart: each records what it has already done in the database.
+const JOBS = [
+  // Hand unclaimed waitlist offers to the next customer in line
+  { name: 'waitlist offers', intervalMs: 5 * 60 * 1000, run: processExpiredOffers },
+  // Free the slots of bookings whose deposit wasn't paid in time
+  { name: 'deposit holds', intervalMs: 60 * 1000, run: expireDepositHolds },
+  // Appointment reminders, on-our-way messages and unpaid-deposit nudges
+  { name: 'reminders', intervalMs: 60 * 1000, run: sendDueReminders },
+  // Book recurring-series visits as they come into the booking horizon
+  { name: 'series occurrences', intervalMs: 60 * 60 * 1000, run: generateDueSeriesOccurrences }
+];
+
+/**
+ * Start every job on its interval. A run is skipped while the job's previous
+ * run is still going, so slow email or SMS sends never overlap.
+ */
+export function startScheduledJobs() {
+  for (const job of JOBS) {
+    let running = false;
+
+    setInterval(async () => {
+      if (running) {
+        return;
+      }
+
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Error running ${job.name} job:`, error);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+  }
+}
@@ -0,0 +1,147 @@
+import { BOOKING_STATUSES } from './bookingStatus.js';
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+// Query parameters that narrow a list, checked against what each list supports
+const FILTER_PARAMS = ['status', 'dateFrom', 'dateTo', 'payment', 'vehicleType', 'service'];
+
+// Filters and sorts for the admin booking list. Multi-vehicle bookings match
+// on any of their vehicles; service is a service or package name.
+export const BOOKING_LIST = {
+  name: 'booking',
+  statuses: BOOKING_STATUSES,
+  columns: {
+    status: 'b.status',
+    date: 'b.booking_date',
+    search: ['b.customer_name', 'b.customer_email', 'b.customer_phone'],
+    phone: 'b.customer_phone'
+  },
+  filters: {
+    payment: value => `(CASE WHEN b.final_paid THEN 'paid' WHEN b.deposit_paid THEN 'deposit' ELSE 'unpaid' END) = ${value}`,
+    vehicleType: value => `(LOWER(b.vehicle_type) = LOWER(${value})
+      OR EXISTS (SELECT 1 FROM booking_vehicles bv WHERE bv.booking_id = b.id AND LOWER(bv.vehicle_type) = LOWER(${value})))`,
+    service: value => `(EXISTS (SELECT 1 FROM services s WHERE LOWER(s.name) = LOWER(${value})
+        AND (s.id = b.service_id OR s.id IN (SELECT bv.service_id FROM booking_vehicles bv WHERE bv.booking_id = b.id)))
+      OR EXISTS (SELECT 1 FROM packages pk WHERE LOWER(pk.name) = LOWER(${value})
+        AND (pk.id = b.package_id OR pk.id IN (SELECT bv.package_id FROM booking_vehicles bv WHERE bv.booking_id = b.id))))`
+  },
+  sorts: {
+    booking_date: ['b.booking_date', 'b.booking_time'],
+    created_at: 'b.created_at',
+    customer_name: 'b.customer_name',
+    total_amount: 'b.total_amount',
+    status: 'b.status',
+    id: 'b.id'
+  },
+  defaultSort: 'booking_date',
+  idColumn: 'b.id'
+};
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => '\\' + char);
+}
+
+/**
+ * Turn the validated query string of an admin list endpoint into SQL pieces.
+ * The list is described by a config:
+ *   name         - used in error messages
+ *   statuses     - allowed values for status (comma-separated in the query)
+ *   columns      - { status, date, search: [...], phone } column expressions
+ *   filters      - { payment, vehicleType, service } functions taking a placeholder
+ *                  and returning a condition; missing ones aren't supported
+ *   sorts        - { name: expression or [expressions] }, defaultSort, idColumn
+ * base holds conditions the route always applies, with their values numbered first.
+ * Unpaged requests (no page or limit) get every matching row, as before.
+ * Returns { where, orderBy, limit, values, paged, page, pageSize } or { error }.
+ */
+export function buildListQuery(query, config, base = {}) {
+  const conditions = [...(base.conditions || [])];
+  const values = [...(base.values || [])];
+  const add = (value) => {
+    values.push(value);
+    return '$' + values.length;
+  };
+
+  for (const param of FILTER_PARAMS) {
+    const supported = param === 'status' ? config.columns.status
+      : param === 'dateFrom' || param === 'dateTo' ? config.columns.date
+        : config.filters[param];
+    if (query[param] !== undefined && query[param] !== '' && !supported) {
+      return { error: `The ${config.name} list can't be filtered by ${param}` };
+    }
+  }
+
+  if (query.status) {
+    const statuses = query.status.split(',');
+    const unknown = statuses.find(status => !config.statuses.includes(status));
+    if (unknown) {
+      return { error: `Unknown status: ${unknown}` };
+    }
+    conditions.push(`${config.columns.status} = ANY(${add(statuses)}::text[])`);
+  }
+
+  if (query.dateFrom) {
+    conditions.push(`${config.columns.date} >= ${add(query.dateFrom)}::date`);
+  }
+  if (query.dateTo) {
+    conditions.push(`${config.columns.date} <= ${add(query.dateTo)}::date`);
+  }
+
+  for (const param of ['payment', 'vehicleType', 'service']) {
+    if (query[param]) {
+      conditions.push(config.filters[param](add(query[param])));
+    }
+  }
+
+  if (query.search) {
+    const pattern = add('%' + escapeLike(query.search) + '%');
+    const matches = config.columns.search.map(column => `${column} ILIKE ${pattern}`);
+
+    // Phone numbers are stored as typed, so compare digits only
+    const digits = query.search.replace(/\D/g, '');
+    if (config.columns.phone && digits.length >= 3) {
+      matches.push(`regexp_replace(${config.columns.phone}, '\\D', '', 'g') LIKE ${add('%' + digits + '%')}`);
+    }
+    conditions.push('(' + matches.join(' OR ') + ')');
+  }
+
+  const sortName = query.sort || config.defaultSort;
+  const sort = config.sorts[sortName];
+  if (!sort) {
+    return { error: `The ${config.name} list can't be sorted by ${sortName}` };
+  }
+  const direction = (query.order || 'desc') === 'asc' ? 'ASC' : 'DESC';
+  const orderBy = 'ORDER BY ' + [].concat(sort, config.idColumn)
+    .map(expression => `${expression} ${direction}`)
+    .join(', ');
+
+  const paged = query.page !== undefined || query.limit !== undefined;
+  const page = query.page || 1;
+  const pageSize = Math.min(query.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  return {
+    where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '',
+    orderBy,
+    limit: paged ? `LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}` : '',
+    values,
+    paged,
+    page,
+    pageSize
+  };
+}
+
+/**
+ * Response body for a paged list
+ */
+export function formatListPage(rows, total, { page, pageSize }) {
+  return {
+    data: rows,
+    pagination: {
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1)
+    }
+  };
+}
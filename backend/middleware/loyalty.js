@@ -0,0 +1,374 @@
+import pool from '../config/database.js';
+import { getSettings, parseJsonSetting, parseNumberSetting } from '../config/settings.js';
+import { getBookingVehicles } from './vehicles.js';
+
+// Points are earned per dollar paid; punches count paid visits toward a free service
+export const LOYALTY_KINDS = ['points', 'punch'];
+
+// A booking that ends up here won't go ahead, so its rewards are given back
+export const LOYALTY_REVERSING_STATUSES = ['cancelled', 'no_show', 'expired'];
+
+// Bookings a reward can still be redeemed on
+const REDEEMABLE_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// Off until an admin sets it up: 1 point per dollar, 100 points for $10 off,
+// no punch cards
+export const DEFAULT_LOYALTY_PROGRAM = {
+  enabled: false,
+  pointsPerDollar: 1,
+  redeemPoints: 100,
+  redeemValue: 10,
+  punchCards: []
+};
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Load the loyalty program from settings. Each punch card gives one free
+ * service (serviceId) after paidVisits paid visits, so paidVisits 5 makes
+ * every 6th one free.
+ */
+export async function getLoyaltyProgram(db = pool) {
+  const settings = await getSettings(['loyalty_program'], db);
+  const stored = parseJsonSetting(settings.loyalty_program, {});
+  const defaults = DEFAULT_LOYALTY_PROGRAM;
+
+  return {
+    enabled: stored.enabled !== undefined ? Boolean(stored.enabled) : defaults.enabled,
+    pointsPerDollar: parseNumberSetting(stored.pointsPerDollar, defaults.pointsPerDollar),
+    redeemPoints: parseNumberSetting(stored.redeemPoints, defaults.redeemPoints),
+    redeemValue: parseNumberSetting(stored.redeemValue, defaults.redeemValue),
+    punchCards: Array.isArray(stored.punchCards)
+      ? stored.punchCards
+        .map(card => ({
+          serviceId: parseInt(card.serviceId, 10),
+          paidVisits: parseInt(card.paidVisits, 10)
+        }))
+        .filter(card => card.serviceId > 0 && card.paidVisits > 0)
+      : defaults.punchCards
+  };
+}
+
+/**
+ * A customer's points balance and punches per service
+ */
+export async function getLoyaltyBalances(customerId, db = pool) {
+  const result = await db.query(
+    `SELECT l.kind, l.service_id, s.name as service_name, SUM(l.amount)::integer as balance
+     FROM loyalty_ledger l
+     LEFT JOIN services s ON l.service_id = s.id
+     WHERE l.customer_id = $1
+     GROUP BY l.kind, l.service_id, s.name
+     ORDER BY s.name`,
+    [customerId]
+  );
+
+  const points = result.rows.find(row => row.kind === 'points');
+  return {
+    points: points ? points.balance : 0,
+    punches: result.rows
+      .filter(row => row.kind === 'punch' && row.service_id)
+      .map(row => ({ serviceId: row.service_id, serviceName: row.service_name, balance: row.balance }))
+  };
+}
+
+/**
+ * What a customer has toward each reward, for the customer portal. Returns
+ * null while the program is off.
+ */
+export async function getLoyaltySummary(customerId, db = pool) {
+  const program = await getLoyaltyProgram(db);
+  if (!program.enabled) {
+    return null;
+  }
+
+  const [balances, services] = await Promise.all([
+    getLoyaltyBalances(customerId, db),
+    db.query('SELECT id, name FROM services WHERE id = ANY($1)', [program.punchCards.map(card => card.serviceId)])
+  ]);
+
+  return {
+    points: balances.points,
+    redeemPoints: program.redeemPoints,
+    redeemValue: program.redeemValue,
+    punchCards: program.punchCards
+      .filter(card => services.rows.some(service => service.id === card.serviceId))
+      .map(card => ({
+        serviceName: services.rows.find(service => service.id === card.serviceId).name,
+        punches: (balances.punches.find(punch => punch.serviceId === card.serviceId) || { balance: 0 }).balance,
+        paidVisits: card.paidVisits
+      }))
+  };
+}
+
+/**
+ * A customer's ledger entries, newest first, with the admin behind each adjustment
+ */
+export async function getLoyaltyLedger(customerId, db = pool) {
+  const result = await db.query(
+    `SELECT l.id, l.booking_id, l.kind, l.service_id, s.name as service_name, l.amount,
+            l.reason, l.note, l.created_at, u.name as created_by_name
+     FROM loyalty_ledger l
+     LEFT JOIN services s ON l.service_id = s.id
+     LEFT JOIN admin_users u ON l.created_by = u.id
+     WHERE l.customer_id = $1
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT 200`,
+    [customerId]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    bookingId: row.booking_id,
+    kind: row.kind,
+    serviceId: row.service_id,
+    serviceName: row.service_name,
+    amount: row.amount,
+    reason: row.reason,
+    note: row.note,
+    createdAt: row.created_at,
+    createdBy: row.created_by_name
+  }));
+}
+
+/**
+ * Rewards a customer could redeem on a booking right now, each with the
+ * discount it would give: whole blocks of points (as many as the balance
+ * allows, up to what's owed), and a free service for each full punch card
+ * whose service is on the booking. Once the deposit is paid only the balance
+ * can be discounted. Returns [] when the booking can't take a reward.
+ */
+export async function getAvailableRewards(booking, db = pool) {
+  const program = await getLoyaltyProgram(db);
+  if (!program.enabled || !booking.customer_id || booking.final_paid || booking.loyalty_reward
+      || !REDEEMABLE_STATUSES.includes(booking.status)) {
+    return [];
+  }
+
+  const total = parseFloat(booking.total_amount);
+  const cap = roundMoney(booking.deposit_paid ? total - parseFloat(booking.deposit_amount) : total);
+  if (cap <= 0) {
+    return [];
+  }
+
+  const [balances, vehicles] = await Promise.all([
+    getLoyaltyBalances(booking.customer_id, db),
+    getBookingVehicles(booking.id, db)
+  ]);
+  const rewards = [];
+
+  if (program.redeemPoints > 0 && program.redeemValue > 0 && balances.points >= program.redeemPoints) {
+    const blocks = Math.min(
+      Math.floor(balances.points / program.redeemPoints),
+      Math.ceil(cap / program.redeemValue)
+    );
+    rewards.push({
+      reward: 'points',
+      label: `${blocks * program.redeemPoints} points`,
+      kind: 'points',
+      serviceId: null,
+      cost: blocks * program.redeemPoints,
+      discount: roundMoney(Math.min(blocks * program.redeemValue, cap))
+    });
+  }
+
+  for (const card of program.punchCards) {
+    const punches = balances.punches.find(punch => punch.serviceId === card.serviceId);
+    const onBooking = vehicles.filter(vehicle => vehicle.serviceId === card.serviceId);
+    if (!punches || punches.balance < card.paidVisits || onBooking.length === 0) {
+      continue;
+    }
+
+    rewards.push({
+      reward: `punch:${card.serviceId}`,
+      label: `Free ${onBooking[0].serviceName}`,
+      kind: 'punch',
+      serviceId: card.serviceId,
+      cost: card.paidVisits,
+      discount: roundMoney(Math.min(Math.max(...onBooking.map(vehicle => vehicle.servicePrice)), cap))
+    });
+  }
+
+  return rewards.filter(reward => reward.discount > 0);
+}
+
+/**
+ * Redeem a reward on a booking locked with lockBooking, taking the discount off
+ * total_amount the way a coupon does. Before the deposit is paid the deposit
+ * shrinks in proportion; after, the discount comes off the balance.
+ * Must run inside a transaction. Returns { booking, reward } or { error }.
+ */
+export async function redeemLoyaltyReward(client, booking, rewardKey) {
+  if (booking.loyalty_reward) {
+    return { error: 'A reward has already been used on this booking' };
+  }
+
+  // Lock the customer so two bookings can't spend the same balance
+  await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [booking.customer_id]);
+
+  const reward = (await getAvailableRewards(booking, client)).find(option => option.reward === rewardKey);
+  if (!reward) {
+    return { error: 'That reward is not available on this booking' };
+  }
+
+  const total = parseFloat(booking.total_amount);
+  const deposit = parseFloat(booking.deposit_amount);
+  const newTotal = total - reward.discount;
+  const newDeposit = booking.deposit_paid ? deposit : newTotal * (deposit / total);
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET loyalty_reward = $1, loyalty_discount = $2, total_amount = $3, deposit_amount = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [reward.reward, reward.discount, newTotal, newDeposit, booking.id]
+  );
+
+  await client.query(
+    `INSERT INTO loyalty_ledger (customer_id, booking_id, kind, service_id, amount, reason, note)
+     VALUES ($1, $2, $3, $4, $5, 'redeemed', $6)`,
+    [booking.customer_id, booking.id, reward.kind, reward.serviceId, -reward.cost, reward.label]
+  );
+
+  return { booking: result.rows[0], reward };
+}
+
+/**
+ * Award points and punches for a fully paid booking: pointsPerDollar for each
+ * dollar of its total, and a punch per vehicle on a punch card's service (not
+ * counting a vehicle that was itself the free one). Each booking earns once.
+ * Must run inside a transaction, with the booking locked. Returns the entries
+ * added.
+ */
+export async function awardLoyalty(client, bookingId) {
+  const program = await getLoyaltyProgram(client);
+  if (!program.enabled) {
+    return [];
+  }
+
+  const result = await client.query(
+    'SELECT id, customer_id, status, total_amount, final_paid, loyalty_reward, refunded_at FROM bookings WHERE id = $1',
+    [bookingId]
+  );
+  const booking = result.rows[0];
+  if (!booking || !booking.customer_id || !booking.final_paid || booking.refunded_at
+      || LOYALTY_REVERSING_STATUSES.includes(booking.status)) {
+    return [];
+  }
+
+  const earned = await client.query(
+    "SELECT 1 FROM loyalty_ledger WHERE booking_id = $1 AND reason = 'earned' LIMIT 1",
+    [booking.id]
+  );
+  if (earned.rows.length > 0) {
+    return [];
+  }
+
+  const entries = [];
+  const points = Math.floor(parseFloat(booking.total_amount) * program.pointsPerDollar);
+  if (points > 0) {
+    entries.push({ kind: 'points', serviceId: null, amount: points });
+  }
+
+  const vehicles = await getBookingVehicles(booking.id, client);
+  for (const card of program.punchCards) {
+    let visits = vehicles.filter(vehicle => vehicle.serviceId === card.serviceId).length;
+    if (booking.loyalty_reward === `punch:${card.serviceId}`) {
+      visits--;
+    }
+    if (visits > 0) {
+      entries.push({ kind: 'punch', serviceId: card.serviceId, amount: visits });
+    }
+  }
+
+  for (const entry of entries) {
+    await client.query(
+      `INSERT INTO loyalty_ledger (customer_id, booking_id, kind, service_id, amount, reason)
+       VALUES ($1, $2, $3, $4, $5, 'earned')`,
+      [booking.customer_id, booking.id, entry.kind, entry.serviceId, entry.amount]
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Undo a booking's loyalty entries when it won't go ahead (cancelled with the
+ * deposit refunded, credited or kept, a no-show, or expired unpaid) or was
+ * refunded after the job (see recordRefund): what it earned is taken back and
+ * what was redeemed on it is returned. A booking that won't go ahead also goes
+ * back to full price; keepPrice leaves a refunded job at what was charged.
+ * Safe to run more than once.
+ * Takes the booking row with its new status and must run inside a transaction.
+ * Returns the updated booking, or null when its price didn't change.
+ */
+export async function reverseBookingLoyalty(client, booking, { changedBy, note, keepPrice = false } = {}) {
+  const net = await client.query(
+    `SELECT customer_id, kind, service_id, SUM(amount)::integer as amount
+     FROM loyalty_ledger
+     WHERE booking_id = $1 AND reason <> 'adjusted'
+     GROUP BY customer_id, kind, service_id
+     HAVING SUM(amount) <> 0`,
+    [booking.id]
+  );
+
+  for (const row of net.rows) {
+    await client.query(
+      `INSERT INTO loyalty_ledger (customer_id, booking_id, kind, service_id, amount, reason, note, created_by)
+       VALUES ($1, $2, $3, $4, $5, 'reversed', $6, $7)`,
+      [row.customer_id, booking.id, row.kind, row.service_id, -row.amount, note || `Booking #${booking.id} is ${booking.status.replace('_', '-')}`, changedBy || null]
+    );
+  }
+
+  const discount = parseFloat(booking.loyalty_discount || 0);
+  if (keepPrice || discount <= 0) {
+    return null;
+  }
+
+  const total = parseFloat(booking.total_amount);
+  const deposit = parseFloat(booking.deposit_amount);
+  const newTotal = total + discount;
+  const newDeposit = booking.deposit_paid || total <= 0 ? deposit : deposit * (newTotal / total);
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET loyalty_reward = NULL, loyalty_discount = 0, total_amount = $1, deposit_amount = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [newTotal, newDeposit, booking.id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Add or take away points or punches by hand. A balance can't go below zero.
+ * Must run inside a transaction. Returns { balances } or { error }.
+ */
+export async function adjustLoyalty(client, customerId, { kind, serviceId, amount, note }, adminId) {
+  if (kind === 'punch') {
+    const service = await client.query('SELECT id FROM services WHERE id = $1', [serviceId]);
+    if (service.rows.length === 0) {
+      return { error: 'Service not found' };
+    }
+  }
+
+  await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+
+  const balances = await getLoyaltyBalances(customerId, client);
+  const current = kind === 'points'
+    ? balances.points
+    : (balances.punches.find(punch => punch.serviceId === serviceId) || { balance: 0 }).balance;
+  if (current + amount < 0) {
+    return { error: `The balance is only ${current}` };
+  }
+
+  await client.query(
+    `INSERT INTO loyalty_ledger (customer_id, kind, service_id, amount, reason, note, created_by)
+     VALUES ($1, $2, $3, $4, 'adjusted', $5, $6)`,
+    [customerId, kind, kind === 'punch' ? serviceId : null, amount, note || null, adminId]
+  );
+
+  return { balances: await getLoyaltyBalances(customerId, client) };
+}
@@ -1,6 +1,7 @@
 import { TransactionalEmailsApi, TransactionalEmailsApiApiKeys, SendSmtpEmail } from '@getbrevo/brevo';
 import Telnyx from 'telnyx';
 import dotenv from 'dotenv';
+import { CALENDAR_INVITE_TYPES, buildBookingInvite } from './calendar.js';
 
 dotenv.config();
 
@@ -17,17 +18,73 @@ if (process.env.TELNYX_API_KEY) {
   telnyxClient = new Telnyx(process.env.TELNYX_API_KEY);
 }
 
+// Messages meant only for the customer; the owner isn't emailed or texted about these
+const CUSTOMER_ONLY_TYPES = [
+  'review_request',
+  'waitlist_slot_available',
+  'booking_no_show',
+  'quote_converted',
+  'booking_expired',
+  'payment_reminder',
+  'appointment_reminder',
+  'on_the_way',
+  'portal_login_code',
+  'referral_credit'
+];
+
+// Customer texts, for the messages that can go out by SMS (see sendCustomerMessage)
+function getCustomerSmsText(type, data) {
+  const businessName = process.env.BUSINESS_NAME || 'Showers Auto Detailing';
+  const templates = {
+    appointment_reminder: `${businessName}: reminder of your appointment on ${data.bookingDate} at ${data.bookingTime}.${data.depositPaid ? '' : ` Pay your deposit to keep it: ${data.paymentLink}`} Need to change it? ${data.manageLink}`,
+    on_the_way: `${businessName}: hi ${data.customerName}, we're on our way to your ${data.bookingTime} appointment today. See you soon!`,
+    portal_login_code: `${businessName}: your sign-in code is ${data.code}. It expires in ${data.codeMinutes} minutes. If you didn't ask for it, ignore this message.`,
+    payment_reminder: `${businessName}: your deposit of $${data.depositAmount} for ${data.bookingDate} at ${data.bookingTime} is still due. Pay here to keep your time: ${data.paymentLink}`
+  };
+  return templates[type] || null;
+}
+
+// Customer phone numbers are stored as typed; Telnyx needs E.164. US numbers only.
+function toE164(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return `+${digits}`;
+  }
+  return null;
+}
+
+// What happened to the deposit of a cancelled or missed booking, for the customer
+function describeDepositOutcome(data) {
+  const amount = `$${parseFloat(data.depositOutcomeAmount).toFixed(2)}`;
+  switch (data.depositOutcome) {
+    case 'refund':
+      return `Your ${amount} deposit ${data.depositRefunded ? 'has been refunded to your card. It can take 5-10 business days to appear.' : 'will be refunded.'}`;
+    case 'credit':
+      return `Your ${amount} deposit has been kept as credit. Enter code ${data.depositCreditCode} when you book your next appointment.`;
+    case 'keep':
+      return `Under our cancellation policy, your ${amount} deposit is non-refundable.`;
+    default:
+      return '';
+  }
+}
+
 /**
  * Send notification via email and/or SMS based on configuration
  */
 export async function sendNotification({ type, data }) {
   const method = process.env.NOTIFICATION_METHOD || 'email';
+  const notifyOwner = !CUSTOMER_ONLY_TYPES.includes(type);
 
   try {
     // Send email if configured
     if ((method === 'email' || method === 'both') && brevoClient) {
       // Send to business owner
-      await sendEmailNotification(type, data);
+      if (notifyOwner) {
+        await sendEmailNotification(type, data);
+      }
       
       // Send confirmation to customer
       if (data.customerEmail) {
@@ -36,7 +93,7 @@ export async function sendNotification({ type, data }) {
     }
 
     // Send SMS if configured
-    if ((method === 'sms' || method === 'both') && telnyxClient) {
+    if ((method === 'sms' || method === 'both') && telnyxClient && notifyOwner) {
       await sendSMSNotification(type, data);
     }
   } catch (error) {
@@ -45,6 +102,46 @@ export async function sendNotification({ type, data }) {
   }
 }
 
+/**
+ * Send a message to the customer only, on the given channels ('email', 'sms'),
+ * whatever NOTIFICATION_METHOD says. Returns { sent: [channels], errors: [messages] }.
+ */
+export async function sendCustomerMessage({ type, data, channels }) {
+  const sent = [];
+  const errors = [];
+
+  if (channels.includes('email')) {
+    if (!brevoClient || !data.customerEmail) {
+      errors.push('email: not configured or no customer email');
+    } else {
+      try {
+        await sendCustomerConfirmation(type, data);
+        sent.push('email');
+      } catch (error) {
+        errors.push(`email: ${error.message}`);
+      }
+    }
+  }
+
+  if (channels.includes('sms')) {
+    const to = toE164(data.customerPhone);
+    const text = getCustomerSmsText(type, data);
+    if (!telnyxClient || !to || !text) {
+      errors.push('sms: not configured or no usable customer phone');
+    } else {
+      try {
+        await telnyxClient.messages.create({ from: process.env.TELNYX_PHONE_NUMBER, to, text });
+        console.log(`Customer SMS sent for ${type}`);
+        sent.push('sms');
+      } catch (error) {
+        errors.push(`sms: ${error.message}`);
+      }
+    }
+  }
+
+  return { sent, errors };
+}
+
 /**
  * Send email notification to business owner via Brevo
  */
@@ -75,10 +172,11 @@ Booking ID: #${data.bookingId}
 Customer: ${data.customerName}
 Email: ${data.customerEmail}
 Phone: ${data.customerPhone}
-Vehicle: ${data.vehicleType}
+Vehicle: ${data.vehicleSummary || data.vehicleType}
 Date: ${data.bookingDate}
 Time: ${data.bookingTime}
-Total: $${data.totalAmount}
+${data.travelFee > 0 ? `Travel Fee: $${data.travelFee}
+` : ''}Total: $${data.totalAmount}
 Deposit: $${data.depositAmount}
       `
     },
@@ -102,6 +200,67 @@ Customer: ${data.customer_name}
 Total Amount: $${data.total_amount}
 Date: ${data.booking_date}
       `
+    },
+    series_created: {
+      subject: `New Recurring Series #${data.seriesId} for ${data.customerName}`,
+      text: `
+New recurring booking series created:
+
+Series ID: #${data.seriesId}
+Customer: ${data.customerName}
+Email: ${data.customerEmail}
+Phone: ${data.customerPhone}
+Vehicle: ${data.vehicleType}
+Service: ${data.serviceName || 'N/A'}
+Repeats: every ${data.intervalWeeks} week(s) at ${data.bookingTime}
+Booked dates: ${data.dates?.length ? data.dates.join(', ') : 'none yet'}
+      `
+    },
+    booking_rescheduled: {
+      subject: data.rescheduledBy === 'business'
+        ? `Booking #${data.bookingId} Rescheduled`
+        : `Booking #${data.bookingId} Rescheduled by ${data.customerName}`,
+      text: `
+${data.rescheduledBy === 'business' ? 'A booking was moved from the dashboard:' : 'A customer rescheduled their booking online:'}
+
+Booking ID: #${data.bookingId}
+Customer: ${data.customerName}
+Phone: ${data.customerPhone}
+Service: ${data.serviceName || 'N/A'}
+Was: ${data.previousDate} at ${data.previousTime}
+Now: ${data.bookingDate} at ${data.bookingTime}
+      `
+    },
+    waitlist_joined: {
+      subject: `Waitlist: ${data.customerName} for ${data.bookingDate}`,
+      text: `
+A customer joined the waitlist for a fully booked day:
+
+Customer: ${data.customerName}
+Email: ${data.customerEmail}
+Phone: ${data.customerPhone}
+Service: ${data.serviceName || 'N/A'}
+Date: ${data.bookingDate}
+Position: #${data.position}
+      `
+    },
+    booking_cancelled: {
+      subject: data.cancelledBy === 'business'
+        ? `Booking #${data.bookingId} Cancelled`
+        : `Booking #${data.bookingId} Cancelled by ${data.customerName}`,
+      text: `
+${data.cancelledBy === 'business' ? 'A booking was cancelled from the dashboard:' : 'A customer cancelled their booking online:'}
+
+Booking ID: #${data.bookingId}
+Customer: ${data.customerName}
+Phone: ${data.customerPhone}
+Service: ${data.serviceName || 'N/A'}
+Date: ${data.bookingDate}
+Time: ${data.bookingTime}
+Deposit Paid: ${data.depositPaid ? 'Yes' : 'No'}
+${data.depositOutcome ? `Deposit: ${data.depositOutcome} ($${parseFloat(data.depositOutcomeAmount).toFixed(2)})
+` : ''}Reason: ${data.reason || 'N/A'}
+      `
     }
   };
 
@@ -169,13 +328,251 @@ Thank you for booking with ${businessName}! Your appointment is confirmed.
 Appointment Details:
 - Date: ${data.bookingDate}
 - Time: ${data.bookingTime}
-- Vehicle: ${data.vehicleType}
-- Service Total: $${data.totalAmount}
+- Vehicle: ${data.vehicleSummary || data.vehicleType}
+${data.travelFee > 0 ? `- Travel Fee: $${data.travelFee}
+` : ''}- Service Total: $${data.totalAmount}
 - Deposit Paid: $${data.depositAmount}
-
+${data.holdMinutes > 0 && data.paymentLink ? `
+We're holding this time for ${data.holdMinutes} minutes. Pay your deposit here to keep it:
+${data.paymentLink}
+` : ''}${data.manageLink ? `
+Need to reschedule or cancel? Use this link:
+${data.manageLink}
+` : ''}
 Questions? Call us at (442) 229-5998 or email at contact@showersautodetail.com.
 
 See you soon!
+${businessName}
+      `
+    },
+    quote_converted: {
+      subject: `Your Appointment is Reserved - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Thanks for requesting a quote from ${businessName}! We've reserved an appointment for you.
+
+Appointment Details:
+- Date: ${data.bookingDate}
+- Time: ${data.bookingTime}
+- Vehicle: ${data.vehicleSummary || data.vehicleType}
+${data.addons?.length ? `- Add-ons: ${data.addons.map(addon => addon.name).join(', ')}
+` : ''}${data.travelFee > 0 ? `- Travel Fee: $${data.travelFee}
+` : ''}- Service Total: $${data.totalAmount}
+- Deposit Due: $${data.depositAmount}
+
+Pay the deposit here to confirm your appointment:
+${data.paymentLink}
+
+Need a different time? Use this link:
+${data.manageLink}
+
+Questions? Call us at (442) 229-5998 or email at ${businessEmail}.
+
+${businessName}
+      `
+    },
+    payment_reminder: {
+      subject: `Deposit Due for Your Appointment - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Your ${data.serviceName || 'detailing'} appointment${data.bookingDate ? ` on ${data.bookingDate} at ${data.bookingTime}` : ''} is waiting on its $${data.depositAmount} deposit.
+
+Pay the deposit here to confirm it:
+${data.paymentLink}
+
+Questions? Call us at (442) 229-5998 or email at ${businessEmail}.
+
+${businessName}
+      `
+    },
+    appointment_reminder: {
+      subject: `Appointment Reminder - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+This is a reminder of your upcoming appointment with ${businessName}.
+
+Appointment Details:
+- Date: ${data.bookingDate}
+- Time: ${data.bookingTime}
+- Service: ${data.serviceName || 'Detailing Service'}
+${data.address ? `- Address: ${data.address}
+` : ''}${data.depositPaid ? '' : `
+Your $${data.depositAmount} deposit is still due. Pay it here to keep your appointment:
+${data.paymentLink}
+`}
+Need to reschedule or cancel? Use this link:
+${data.manageLink}
+
+See you soon!
+${businessName}
+      `
+    },
+    on_the_way: {
+      subject: `We're On Our Way - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+We're on our way to your ${data.bookingTime} appointment today${data.address ? ` at ${data.address}` : ''}.
+
+Please make sure we can get to your vehicle. Questions? Call us at (442) 229-5998.
+
+${businessName}
+      `
+    },
+    series_created: {
+      subject: `Recurring Appointments Scheduled - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Thanks for setting up recurring service with ${businessName}!
+
+Your Schedule:
+- Service: ${data.serviceName || 'Detailing Service'}
+- Vehicle: ${data.vehicleType}
+- Repeats: every ${data.intervalWeeks} week(s) at ${data.bookingTime}
+${data.dates?.length ? `- Upcoming dates: ${data.dates.join(', ')}
+` : ''}
+Questions? Call us at (442) 229-5998 or email at ${businessEmail}.
+
+See you soon!
+${businessName}
+      `
+    },
+    booking_rescheduled: {
+      subject: `Appointment Rescheduled - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Your appointment has been moved.
+
+New Appointment Details:
+- Date: ${data.bookingDate}
+- Time: ${data.bookingTime}
+- Service: ${data.serviceName || 'Detailing Service'}
+
+Need to make another change? Use this link:
+${data.manageLink}
+
+See you soon!
+${businessName}
+      `
+    },
+    booking_cancelled: {
+      subject: `Appointment Cancelled - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Your appointment on ${data.bookingDate} at ${data.bookingTime} has been cancelled.
+${data.depositOutcome ? `
+${describeDepositOutcome(data)}
+` : ''}
+If this was a mistake or you'd like to book another time, call us at (442) 229-5998 or email ${businessEmail}.
+
+${businessName}
+      `
+    },
+    booking_no_show: {
+      subject: `We Missed You Today - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+We arrived for your appointment on ${data.bookingDate} at ${data.bookingTime} but weren't able to complete the service, so it has been marked as missed.
+${data.depositOutcome ? `
+${describeDepositOutcome(data)}
+` : ''}
+To book another time, call us at (442) 229-5998 or email ${businessEmail}.
+
+${businessName}
+      `
+    },
+    booking_expired: {
+      subject: `Your Reserved Time Has Been Released - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+We held ${data.bookingDate} at ${data.bookingTime} for you, but the deposit wasn't paid in time, so the booking has expired and the time has been released.
+
+Still want an appointment? Book again here:
+${data.bookingLink}
+
+Questions? Call us at (442) 229-5998 or email ${businessEmail}.
+
+${businessName}
+      `
+    },
+    waitlist_joined: {
+      subject: `You're on the Waitlist - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+${data.bookingDate} is fully booked, but you're #${data.position} on the waitlist for ${data.serviceName || 'your service'}.
+
+If a time opens up we'll email you a link to claim it. Offers go out in the order customers joined and are held for a limited time, so keep an eye on your inbox.
+
+${businessName}
+      `
+    },
+    waitlist_slot_available: {
+      subject: `A Time Opened Up on ${data.bookingDate} - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Good news! A time has opened up on ${data.bookingDate} for ${data.serviceName || 'your service'}.
+${data.slots?.length ? `
+Open times: ${data.slots.join(', ')}
+` : ''}
+Claim it here within ${data.claimMinutes} minutes, after which it goes to the next customer on the waitlist:
+${data.claimLink}
+
+${businessName}
+      `
+    },
+    portal_login_code: {
+      subject: `Your Sign-In Code - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Your code to sign in to your ${businessName} account is:
+
+${data.code}
+
+It expires in ${data.codeMinutes} minutes. If you didn't ask to sign in, you can ignore this email.
+
+${businessName}
+      `
+    },
+    referral_credit: {
+      subject: `You've Earned a $${data.creditAmount} Credit - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+${data.isReferrer
+    ? `Thanks for referring ${data.friendName} to ${businessName}! They've booked their first appointment, so here's a thank-you credit for you.`
+    : `Thanks for booking with ${data.friendName}'s referral! Here's a credit toward your next appointment.`}
+
+Your $${data.creditAmount} credit code: ${data.creditCode}
+
+Enter it on the payment page when you book your next appointment. It can be used once${data.expiresOn ? `, until ${data.expiresOn}` : ''}.
+
+${businessName}
+      `
+    },
+    review_request: {
+      subject: `How did we do? - ${businessName}`,
+      text: `
+Hi ${data.customerName},
+
+Thanks for choosing ${businessName}! We hope you're enjoying your freshly detailed vehicle.
+
+If you have a minute, we'd really appreciate a review:
+${data.reviewLink}
+
+Your feedback helps us improve and helps other customers find us.
+
+Thank you!
 ${businessName}
       `
     }
@@ -195,6 +592,21 @@ ${businessName}
   sendSmtpEmail.subject = template.subject;
   sendSmtpEmail.textContent = template.text;
 
+  // Booking emails carry an .ics invite; later ones reuse the UID to update or cancel it
+  if (CALENDAR_INVITE_TYPES.includes(type) && data.bookingId) {
+    try {
+      const invite = await buildBookingInvite(type, data.bookingId);
+      if (invite) {
+        sendSmtpEmail.attachment = [{
+          name: ['booking_cancelled', 'booking_expired'].includes(type) ? 'cancelled-appointment.ics' : 'appointment.ics',
+          content: Buffer.from(invite).toString('base64')
+        }];
+      }
+    } catch (error) {
+      console.error('Failed to build calendar invite:', error);
+    }
+  }
+
   await brevoClient.sendTransacEmail(sendSmtpEmail);
   console.log(`Customer confirmation email sent for ${type} to ${data.customerEmail}`);
 }
@@ -207,7 +619,11 @@ async function sendSMSNotification(type, data) {
     quote_request: `New quote request from ${data.customerName} for ${data.vehicleType} - ${data.serviceLevel} service. Est: $${data.estimatedPrice}`,
     new_booking: `New booking #${data.bookingId}! ${data.customerName} - ${data.bookingDate} at ${data.bookingTime}. Total: $${data.totalAmount}`,
     deposit_paid: `Deposit paid for booking #${data.id}. ${data.customer_name} - ${data.booking_date}`,
-    payment_completed: `Payment completed! Booking #${data.id} fully paid. Total: $${data.total_amount}`
+    payment_completed: `Payment completed! Booking #${data.id} fully paid. Total: $${data.total_amount}`,
+    series_created: `New recurring series #${data.seriesId} for ${data.customerName}: every ${data.intervalWeeks} week(s), ${data.dates?.length || 0} visits booked`,
+    booking_rescheduled: `Booking #${data.bookingId} ${data.rescheduledBy === 'business' ? `for ${data.customerName} moved` : `rescheduled by ${data.customerName}`}: ${data.previousDate} ${data.previousTime} -> ${data.bookingDate} ${data.bookingTime}`,
+    waitlist_joined: `Waitlist: ${data.customerName} joined for ${data.bookingDate} (#${data.position} in line)`,
+    booking_cancelled: `Booking #${data.bookingId} ${data.cancelledBy === 'business' ? `for ${data.customerName} cancelled` : `cancelled by ${data.customerName}`} (${data.bookingDate} ${data.bookingTime})`
   };
 
   const message = smsTemplates[type];
@@ -0,0 +1,165 @@
+import pool from '../config/database.js';
+import { DEFAULT_DURATION_MINUTES } from './availability.js';
+
+/**
+ * Price column on the addons table for a vehicle type
+ */
+export function getAddonPriceColumn(vehicleType) {
+  const vehicle = vehicleType.toLowerCase();
+  return vehicle === 'commercial' ? 'commercial_price'
+    : vehicle === 'suv' ? 'suv_price' : 'sedan_price';
+}
+
+/**
+ * Price and job length for a service (or legacy package) on a vehicle type.
+ * Returns null when the service/package doesn't exist.
+ */
+export async function getServicePricing({ vehicleType, serviceId, packageId }, db = pool) {
+  const vehicle = vehicleType.toLowerCase();
+
+  if (serviceId) {
+    // Use new services table with fixed pricing
+    const serviceResult = await db.query(
+      'SELECT name, sedan_price, suv_price, truck_price, duration_minutes FROM services WHERE id = $1',
+      [serviceId]
+    );
+
+    if (serviceResult.rows.length === 0) {
+      return null;
+    }
+
+    const service = serviceResult.rows[0];
+    let price;
+
+    // Map vehicle type to price column (commercial uses truck_price)
+    if (vehicle === 'sedan') {
+      price = parseFloat(service.sedan_price);
+    } else if (vehicle === 'suv') {
+      price = parseFloat(service.suv_price);
+    } else {
+      price = parseFloat(service.truck_price); // commercial
+    }
+
+    return {
+      serviceName: service.name,
+      price,
+      durationMinutes: service.duration_minutes || DEFAULT_DURATION_MINUTES
+    };
+  }
+
+  // Fallback to legacy packages table
+  const packageResult = await db.query(
+    'SELECT name, base_price, vehicle_multipliers FROM packages WHERE id = $1',
+    [packageId]
+  );
+
+  if (packageResult.rows.length === 0) {
+    return null;
+  }
+
+  const { name, base_price, vehicle_multipliers } = packageResult.rows[0];
+  const multiplier = vehicle_multipliers[vehicle] || 1.0;
+
+  return {
+    serviceName: name,
+    price: parseFloat(base_price) * multiplier,
+    durationMinutes: DEFAULT_DURATION_MINUTES
+  };
+}
+
+/**
+ * Price and extra job length for a list of add-ons on a vehicle type.
+ * Inactive or unknown add-ons are ignored.
+ */
+export async function getAddonPricing(addonIds, vehicleType, db = pool) {
+  const pricing = { addons: [], total: 0, durationMinutes: 0 };
+
+  if (!addonIds || addonIds.length === 0) {
+    return pricing;
+  }
+
+  const priceColumn = getAddonPriceColumn(vehicleType);
+  const placeholders = addonIds.map((_, i) => `$${i + 1}`).join(',');
+  const addonResult = await db.query(
+    `SELECT id, name, ${priceColumn} as price, duration_minutes FROM addons
+     WHERE id IN (${placeholders}) AND is_active = true`,
+    addonIds
+  );
+
+  for (const addon of addonResult.rows) {
+    pricing.total += parseFloat(addon.price);
+    pricing.durationMinutes += addon.duration_minutes || 0;
+    pricing.addons.push({
+      id: addon.id,
+      name: addon.name,
+      price: parseFloat(addon.price)
+    });
+  }
+
+  return pricing;
+}
+
+/**
+ * Share of the total collected up front, from settings or DEPOSIT_PERCENTAGE
+ */
+export async function getDepositPercentage(db = pool) {
+  const settingsResult = await db.query(
+    "SELECT value FROM settings WHERE key = 'deposit_percentage'"
+  );
+  return settingsResult.rows.length > 0
+    ? parseFloat(settingsResult.rows[0].value)
+    : parseFloat(process.env.DEPOSIT_PERCENTAGE || 0.25);
+}
+
+/**
+ * Price every vehicle on a booking. Each vehicle is { vehicleType, serviceId, packageId, addonIds },
+ * plus customerVehicleId or vehicle (details to save) when it's linked to a customer vehicle.
+ * Returns { vehicles, total, durationMinutes }, or { error, status } when a vehicle is invalid.
+ * Vehicles are worked on one after another, so durations add up.
+ */
+export async function priceVehicles(vehicles, db = pool) {
+  const priced = { vehicles: [], total: 0, durationMinutes: 0 };
+
+  for (const [index, vehicle] of vehicles.entries()) {
+    const label = vehicles.length > 1 ? ` for vehicle ${index + 1}` : '';
+    const { vehicleType, serviceId, packageId } = vehicle;
+    const addonIds = Array.isArray(vehicle.addonIds) ? vehicle.addonIds : [];
+
+    if (!serviceId && !packageId) {
+      return { status: 400, error: `Service or package ID required${label}` };
+    }
+
+    const servicePricing = await getServicePricing({ vehicleType, serviceId, packageId }, db);
+    if (!servicePricing) {
+      return { status: 404, error: `${serviceId ? 'Service' : 'Package'} not found${label}` };
+    }
+
+    if (addonIds.length > 20) {
+      return { status: 400, error: `Too many addons selected${label}` };
+    }
+    if (!addonIds.every(id => Number.isInteger(id) && id > 0)) {
+      return { status: 400, error: `Invalid addon ID format${label}` };
+    }
+
+    const addonPricing = await getAddonPricing(addonIds, vehicleType, db);
+    const subtotal = servicePricing.price + addonPricing.total;
+    const durationMinutes = servicePricing.durationMinutes + addonPricing.durationMinutes;
+
+    priced.vehicles.push({
+      vehicleType,
+      serviceId: serviceId || null,
+      packageId: packageId || null,
+      serviceName: servicePricing.serviceName,
+      servicePrice: servicePricing.price,
+      addons: addonPricing.addons,
+      subtotal,
+      durationMinutes,
+      customerVehicleId: vehicle.customerVehicleId || null,
+      details: vehicle.vehicle || null
+    });
+    priced.total += subtotal;
+    priced.durationMinutes += durationMinutes;
+  }
+
+  return priced;
+}
@@ -31,3 +31,11 @@ export const bookingLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false
 });
+
+export const portalLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { error: 'Too many sign-in attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
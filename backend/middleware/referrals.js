@@ -0,0 +1,656 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { getSettings, parseJsonSetting, parseNumberSetting } from '../config/settings.js';
+import { AMOUNT_PAID_SQL } from './customers.js';
+import { sendNotification } from './notifications.js';
+import { decodeEscaped } from './csv.js';
+
+export const REFERRAL_STATUSES = ['pending', 'flagged', 'rewarded', 'rejected', 'cancelled', 'reversed'];
+
+// Referrals that still count: waiting on the deposit, held for review or paid out
+const ACTIVE_STATUSES = ['pending', 'flagged', 'rewarded'];
+
+// A booking that ends up here won't go ahead, so its referral is called off
+// unless the deposit it was for was kept. An expired booking keeps its
+// referral in case the deposit arrives late.
+export const REFERRAL_CANCELLING_STATUSES = ['cancelled', 'no_show'];
+
+// Why a referral was refused or held for review. The first five refuse the
+// code when it's entered; the others only flag it.
+export const REFERRAL_FLAGS = {
+  self_referral: 'Used their own code',
+  same_contact: 'Same email or phone as the referrer',
+  returning_customer: 'Not a first-time customer',
+  already_referred: 'Already referred by someone',
+  referral_loop: 'Referred the referrer (directly or down the chain)',
+  same_address: 'Same service address as the referrer',
+  rapid_referrals: 'Referrer\'s code used many times in a day'
+};
+
+// Off until an admin sets it up: $20 credit each, valid for a year. A code
+// used more than 3 times in a day is held for review.
+export const DEFAULT_REFERRAL_PROGRAM = {
+  enabled: false,
+  referrerCredit: 20,
+  referredCredit: 20,
+  creditValidDays: 365,
+  dailyLimit: 3
+};
+
+// No 0/O or 1/I, so codes read back cleanly over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Load the referral program from settings. A credit of 0 skips that side;
+ * a dailyLimit of 0 turns the rapid-use check off.
+ */
+export async function getReferralProgram(db = pool) {
+  const settings = await getSettings(['referral_program'], db);
+  const stored = parseJsonSetting(settings.referral_program, {});
+  const defaults = DEFAULT_REFERRAL_PROGRAM;
+
+  return {
+    enabled: stored.enabled !== undefined ? Boolean(stored.enabled) : defaults.enabled,
+    referrerCredit: parseNumberSetting(stored.referrerCredit, defaults.referrerCredit),
+    referredCredit: parseNumberSetting(stored.referredCredit, defaults.referredCredit),
+    creditValidDays: parseNumberSetting(stored.creditValidDays, defaults.creditValidDays),
+    dailyLimit: parseNumberSetting(stored.dailyLimit, defaults.dailyLimit)
+  };
+}
+
+export function normalizeReferralCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// The customer's first name and 4 random characters, e.g. JORDAN-7KQ2
+function generateReferralCode(name) {
+  const prefix = decodeEscaped(name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 6) || 'FRIEND';
+  const suffix = Array.from(crypto.randomBytes(4), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${prefix}-${suffix}`;
+}
+
+/**
+ * A customer's referral code, made the first time it's asked for. Codes never
+ * match a coupon code. Not for use inside a transaction: a clash with another
+ * customer's code is retried. Returns null when the customer doesn't exist.
+ */
+export async function ensureReferralCode(customerId, db = pool) {
+  const result = await db.query('SELECT id, name, referral_code FROM customers WHERE id = $1', [customerId]);
+  const customer = result.rows[0];
+  if (!customer) {
+    return null;
+  }
+  if (customer.referral_code) {
+    return customer.referral_code;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateReferralCode(customer.name);
+    const coupon = await db.query('SELECT 1 FROM coupons WHERE code = $1', [code]);
+    if (coupon.rows.length > 0) {
+      continue;
+    }
+
+    try {
+      const updated = await db.query(
+        'UPDATE customers SET referral_code = COALESCE(referral_code, $1) WHERE id = $2 RETURNING referral_code',
+        [code, customer.id]
+      );
+      return updated.rows[0].referral_code;
+    } catch (error) {
+      if (error.code !== '23505') {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not generate a unique referral code');
+}
+
+/**
+ * The customer a referral code belongs to (the kept customer when they've been
+ * merged), or null
+ */
+export async function findReferrer(code, db = pool) {
+  const result = await db.query(
+    `SELECT * FROM customers
+     WHERE id = (SELECT COALESCE(merged_into, id) FROM customers WHERE referral_code = $1)`,
+    [normalizeReferralCode(code)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Fraud checks for a referral of the booking's customer by referrer. Returns
+ * { reason, error } when the code can't be used, or { flags } with the softer
+ * findings that hold the credits for review.
+ */
+async function checkReferral(db, referrer, booking, program) {
+  const result = await db.query('SELECT * FROM customers WHERE id = $1', [booking.customer_id]);
+  const referred = result.rows[0];
+  if (!referred) {
+    return { reason: 'returning_customer', error: 'This booking can\'t take a referral code' };
+  }
+
+  if (referrer.id === referred.id) {
+    return { reason: 'self_referral', error: 'You can\'t use your own referral code' };
+  }
+
+  const email = String(booking.customer_email || '').trim().toLowerCase();
+  const phoneDigits = String(booking.customer_phone || '').replace(/\D/g, '');
+  const phone = phoneDigits.length >= 10 ? phoneDigits.slice(-10) : null;
+  if ((referrer.email_key && [email, referred.email_key].includes(referrer.email_key))
+      || (referrer.phone_key && [phone, referred.phone_key].includes(referrer.phone_key))) {
+    return { reason: 'same_contact', error: 'This code belongs to someone with the same email or phone number' };
+  }
+
+  const previous = await db.query(
+    'SELECT 1 FROM bookings WHERE customer_id = $1 AND id <> $2 AND deposit_paid LIMIT 1',
+    [referred.id, booking.id]
+  );
+  if (previous.rows.length > 0) {
+    return { reason: 'returning_customer', error: 'Referral codes are for first-time customers' };
+  }
+
+  // A pending referral on another booking only counts while that booking can still be paid
+  const referredBefore = await db.query(
+    `SELECT 1 FROM referrals r
+     LEFT JOIN bookings b ON r.booking_id = b.id
+     WHERE r.referred_id = $1 AND r.booking_id IS DISTINCT FROM $2
+       AND (r.status IN ('flagged', 'rewarded') OR (r.status = 'pending' AND b.status = 'pending'))
+     LIMIT 1`,
+    [referred.id, booking.id]
+  );
+  if (referred.referred_by || referredBefore.rows.length > 0) {
+    return { reason: 'already_referred', error: 'A referral code has already been used for you' };
+  }
+
+  // Whoever referred the referrer, and so on up: the new customer can't be one of them
+  const loop = await db.query(
+    `WITH RECURSIVE upline(customer_id, depth) AS (
+       SELECT $1::integer, 0
+       UNION
+       SELECT r.referrer_id, u.depth + 1
+       FROM referrals r
+       JOIN upline u ON r.referred_id = u.customer_id
+       WHERE r.status = ANY($3) AND u.depth < 50
+     )
+     SELECT 1 FROM upline WHERE customer_id = $2 LIMIT 1`,
+    [referrer.id, referred.id, ACTIVE_STATUSES]
+  );
+  if (loop.rows.length > 0) {
+    return { reason: 'referral_loop', error: 'This referral code can\'t be used for your account' };
+  }
+
+  const flags = [];
+  if (booking.address) {
+    const sameAddress = await db.query(
+      'SELECT 1 FROM bookings WHERE customer_id = $1 AND LOWER(TRIM(address)) = LOWER(TRIM($2)) LIMIT 1',
+      [referrer.id, booking.address]
+    );
+    if (sameAddress.rows.length > 0) {
+      flags.push('same_address');
+    }
+  }
+
+  if (program.dailyLimit > 0) {
+    const recent = await db.query(
+      `SELECT COUNT(*)::integer as count FROM referrals
+       WHERE referrer_id = $1 AND booking_id IS DISTINCT FROM $2
+         AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'`,
+      [referrer.id, booking.id]
+    );
+    if (recent.rows[0].count >= program.dailyLimit) {
+      flags.push('rapid_referrals');
+    }
+  }
+
+  return { flags };
+}
+
+/**
+ * Use a referral code on a booking locked with lockBooking, before its deposit
+ * is paid. The credits are issued once the deposit comes in (see
+ * rewardReferral). Must run inside a transaction.
+ * Returns { referral, program } or { error }.
+ */
+export async function applyReferral(client, booking, code) {
+  const program = await getReferralProgram(client);
+  const referrer = program.enabled ? await findReferrer(code, client) : null;
+  if (!referrer) {
+    return { error: 'Invalid referral code' };
+  }
+
+  if (booking.status !== 'pending' || booking.deposit_paid) {
+    return { error: 'Referral codes can only be used before the deposit is paid' };
+  }
+  if (!booking.customer_id) {
+    return { error: 'This booking can\'t take a referral code' };
+  }
+
+  // Lock the customer so two of their bookings can't both take a referral
+  await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [booking.customer_id]);
+
+  const existing = await client.query(
+    'SELECT 1 FROM referrals WHERE booking_id = $1 AND status = ANY($2)',
+    [booking.id, ACTIVE_STATUSES]
+  );
+  if (existing.rows.length > 0) {
+    return { error: 'A referral code has already been applied to this booking' };
+  }
+
+  const check = await checkReferral(client, referrer, booking, program);
+  if (check.error) {
+    return { error: check.error };
+  }
+
+  const result = await client.query(
+    `INSERT INTO referrals (referrer_id, referred_id, booking_id, code, flags)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [referrer.id, booking.customer_id, booking.id, normalizeReferralCode(code), check.flags]
+  );
+
+  return { referral: result.rows[0], program };
+}
+
+// A single-use fixed credit, like a deposit credit (see cancellationPolicy.js)
+async function issueReferralCredit(client, referral, amount, validDays) {
+  const code = `REF-${referral.id}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  await client.query(
+    `INSERT INTO coupons (code, discount_type, discount_value, max_uses, expires_at, source_referral_id)
+     VALUES ($1, 'fixed', $2, 1, CURRENT_TIMESTAMP + make_interval(days => $3), $4)`,
+    [code, amount, Math.round(validDays), referral.id]
+  );
+  return code;
+}
+
+// Issue both credits and link the referred customer to their referrer
+async function issueReferralCredits(client, referral, program, { reviewedBy, note } = {}) {
+  const referrerCode = program.referrerCredit > 0
+    ? await issueReferralCredit(client, referral, program.referrerCredit, program.creditValidDays)
+    : null;
+  const referredCode = program.referredCredit > 0
+    ? await issueReferralCredit(client, referral, program.referredCredit, program.creditValidDays)
+    : null;
+
+  const result = await client.query(
+    `UPDATE referrals
+     SET status = 'rewarded', referrer_credit_code = $1, referred_credit_code = $2, rewarded_at = CURRENT_TIMESTAMP,
+         reviewed_by = COALESCE($3, reviewed_by), review_note = COALESCE($4, review_note), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [referrerCode, referredCode, reviewedBy || null, note || null, referral.id]
+  );
+
+  await client.query(
+    'UPDATE customers SET referred_by = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND referred_by IS NULL AND id <> $1',
+    [referral.referrer_id, referral.referred_id]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Reward the referral on a booking whose deposit has just been paid. The
+ * checks that refuse a code run again first, since the customer may have
+ * booked elsewhere or been merged since the code was entered; a referral that
+ * now fails one, or was flagged when the code was entered, is held for an
+ * admin to approve.
+ * Must run inside a transaction. Returns the rewarded referral (to send its
+ * credits with notifyReferralCredits), or null.
+ */
+export async function rewardReferral(client, bookingId) {
+  const result = await client.query(
+    "SELECT * FROM referrals WHERE booking_id = $1 AND status = 'pending' FOR UPDATE",
+    [bookingId]
+  );
+  const referral = result.rows[0];
+  if (!referral) {
+    return null;
+  }
+
+  const program = await getReferralProgram(client);
+  const [booking, referrer] = await Promise.all([
+    client.query('SELECT * FROM bookings WHERE id = $1', [bookingId]),
+    client.query(
+      'SELECT * FROM customers WHERE id = (SELECT COALESCE(merged_into, id) FROM customers WHERE id = $1)',
+      [referral.referrer_id]
+    )
+  ]);
+
+  const check = await checkReferral(client, referrer.rows[0], booking.rows[0], program);
+  const flags = check.reason ? [...new Set([...referral.flags, check.reason])] : referral.flags;
+
+  if (flags.length > 0) {
+    await client.query(
+      "UPDATE referrals SET status = 'flagged', flags = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+      [flags, referral.id]
+    );
+    return null;
+  }
+
+  return issueReferralCredits(client, referral, program);
+}
+
+/**
+ * Approve a flagged referral, issuing its credits as they stand in the
+ * program now. Must run inside a transaction. Returns { referral } or { error }.
+ */
+export async function approveReferral(client, referralId, { reviewedBy, note } = {}) {
+  const result = await client.query('SELECT * FROM referrals WHERE id = $1 FOR UPDATE', [referralId]);
+  const referral = result.rows[0];
+  if (!referral) {
+    return { status: 404, error: 'Referral not found' };
+  }
+  if (referral.status !== 'flagged') {
+    return { status: 400, error: `This referral is ${referral.status}, not waiting for review` };
+  }
+
+  const program = await getReferralProgram(client);
+  return { referral: await issueReferralCredits(client, referral, program, { reviewedBy, note }) };
+}
+
+// Call off a referral. A rewarded one is reversed: its credits that haven't
+// been spent yet stop working and the customers are unlinked.
+async function endReferral(client, referral, status, { reviewedBy, note } = {}) {
+  let finalStatus = status;
+  if (referral.status === 'rewarded') {
+    finalStatus = 'reversed';
+    await client.query(
+      'UPDATE coupons SET is_active = false WHERE source_referral_id = $1 AND used_count = 0',
+      [referral.id]
+    );
+    await client.query(
+      'UPDATE customers SET referred_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND referred_by = $2',
+      [referral.referred_id, referral.referrer_id]
+    );
+  }
+
+  const result = await client.query(
+    `UPDATE referrals
+     SET status = $1, reviewed_by = COALESCE($2, reviewed_by), review_note = COALESCE($3, review_note), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [finalStatus, reviewedBy || null, note || null, referral.id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Reject a referral waiting on its deposit or review, or reverse one already
+ * rewarded. Credits already spent stay spent.
+ * Must run inside a transaction. Returns { referral } or { error }.
+ */
+export async function rejectReferral(client, referralId, { reviewedBy, note } = {}) {
+  const result = await client.query('SELECT * FROM referrals WHERE id = $1 FOR UPDATE', [referralId]);
+  const referral = result.rows[0];
+  if (!referral) {
+    return { status: 404, error: 'Referral not found' };
+  }
+  if (!ACTIVE_STATUSES.includes(referral.status)) {
+    return { status: 400, error: `This referral is already ${referral.status}` };
+  }
+
+  return { referral: await endReferral(client, referral, 'rejected', { reviewedBy, note }) };
+}
+
+/**
+ * Call off the referral of a booking that has just been cancelled or missed,
+ * unless its deposit was paid and kept. Takes the booking row with its new
+ * status and settled deposit. Must run inside a transaction.
+ * Returns the referral, or null when there was none to call off.
+ */
+export async function cancelBookingReferral(client, booking, { changedBy } = {}) {
+  if (booking.deposit_paid && !['refund', 'credit'].includes(booking.deposit_outcome)) {
+    return null;
+  }
+
+  const result = await client.query(
+    'SELECT * FROM referrals WHERE booking_id = $1 AND status = ANY($2) FOR UPDATE',
+    [booking.id, ACTIVE_STATUSES]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return endReferral(client, result.rows[0], 'cancelled', {
+    reviewedBy: changedBy,
+    note: `Booking #${booking.id} is ${booking.status.replace('_', '-')}`
+  });
+}
+
+/**
+ * Email both customers of a rewarded referral their credit codes. Run after the
+ * transaction that issued them has committed.
+ */
+export async function notifyReferralCredits(referral) {
+  try {
+    const [customers, credits] = await Promise.all([
+      pool.query('SELECT id, name, email FROM customers WHERE id = ANY($1)', [[referral.referrer_id, referral.referred_id]]),
+      pool.query(
+        "SELECT code, discount_value, expires_at::date::text as expires_on FROM coupons WHERE source_referral_id = $1",
+        [referral.id]
+      )
+    ]);
+    const referrer = customers.rows.find(customer => customer.id === referral.referrer_id);
+    const referred = customers.rows.find(customer => customer.id === referral.referred_id);
+
+    const sides = [
+      { customer: referrer, friend: referred, code: referral.referrer_credit_code, isReferrer: true },
+      { customer: referred, friend: referrer, code: referral.referred_credit_code, isReferrer: false }
+    ];
+    for (const side of sides) {
+      const credit = credits.rows.find(coupon => coupon.code === side.code);
+      if (!side.customer || !side.customer.email || !credit) {
+        continue;
+      }
+
+      await sendNotification({
+        type: 'referral_credit',
+        data: {
+          customerName: decodeEscaped(side.customer.name) || 'there',
+          customerEmail: side.customer.email,
+          friendName: side.friend ? decodeEscaped(side.friend.name).split(' ')[0] : 'your friend',
+          isReferrer: side.isReferrer,
+          creditCode: credit.code,
+          creditAmount: parseFloat(credit.discount_value).toFixed(2),
+          expiresOn: credit.expires_on
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send referral credits:', error);
+  }
+}
+
+/**
+ * Who referred a customer and up (nearest first), and everyone they brought
+ * in, directly or down the chain (each with the customer who referred them)
+ */
+export async function getReferralChain(customerId, db = pool) {
+  const [upline, downline] = await Promise.all([
+    db.query(
+      `WITH RECURSIVE upline(id, depth) AS (
+         SELECT referred_by, 1 FROM customers WHERE id = $1 AND referred_by IS NOT NULL
+         UNION ALL
+         SELECT c.referred_by, u.depth + 1
+         FROM upline u
+         JOIN customers c ON c.id = u.id
+         WHERE c.referred_by IS NOT NULL AND u.depth < 20
+       )
+       SELECT u.depth, c.id, c.name
+       FROM upline u
+       JOIN customers c ON c.id = u.id
+       ORDER BY u.depth`,
+      [customerId]
+    ),
+    db.query(
+      `WITH RECURSIVE downline(id, referred_by, depth) AS (
+         SELECT id, referred_by, 1 FROM customers WHERE referred_by = $1
+         UNION ALL
+         SELECT c.id, c.referred_by, d.depth + 1
+         FROM downline d
+         JOIN customers c ON c.referred_by = d.id
+         WHERE d.depth < 20
+       )
+       SELECT d.depth, d.referred_by, c.id, c.name
+       FROM downline d
+       JOIN customers c ON c.id = d.id
+       ORDER BY d.depth, c.name
+       LIMIT 500`,
+      [customerId]
+    )
+  ]);
+
+  return {
+    upline: upline.rows.map(row => ({ id: row.id, name: row.name, depth: row.depth })),
+    downline: downline.rows.map(row => ({ id: row.id, name: row.name, depth: row.depth, referredBy: row.referred_by }))
+  };
+}
+
+const REFERRAL_LIST_SQL = `
+  SELECT r.*, rc.name as referrer_name, rd.name as referred_name,
+         b.booking_date::text as booking_date, b.status as booking_status,
+         u.name as reviewed_by_name,
+         (SELECT COALESCE(SUM(cp.discount_value), 0) FROM coupons cp WHERE cp.source_referral_id = r.id) as credit_issued,
+         (SELECT COUNT(*) FROM coupons cp WHERE cp.source_referral_id = r.id AND cp.used_count > 0)::integer as credits_used
+  FROM referrals r
+  JOIN customers rc ON r.referrer_id = rc.id
+  JOIN customers rd ON r.referred_id = rd.id
+  LEFT JOIN bookings b ON r.booking_id = b.id
+  LEFT JOIN admin_users u ON r.reviewed_by = u.id`;
+
+function formatReferral(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    status: row.status,
+    flags: row.flags,
+    referrer: { id: row.referrer_id, name: row.referrer_name },
+    referred: { id: row.referred_id, name: row.referred_name },
+    bookingId: row.booking_id,
+    bookingDate: row.booking_date,
+    bookingStatus: row.booking_status,
+    referrerCreditCode: row.referrer_credit_code,
+    referredCreditCode: row.referred_credit_code,
+    creditIssued: parseFloat(row.credit_issued),
+    creditsUsed: row.credits_used,
+    reviewedBy: row.reviewed_by_name,
+    reviewNote: row.review_note,
+    rewardedAt: row.rewarded_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Referrals a customer made and the one that brought them in, newest first
+ */
+export async function getCustomerReferrals(customerId, db = pool) {
+  const result = await db.query(
+    `${REFERRAL_LIST_SQL}
+     WHERE r.referrer_id = $1 OR r.referred_id = $1
+     ORDER BY r.created_at DESC
+     LIMIT 200`,
+    [customerId]
+  );
+  return result.rows.map(formatReferral);
+}
+
+/**
+ * The referral report for referrals made between from and to (YYYY-MM-DD,
+ * either open-ended): counts by status, credits issued and spent, what the
+ * referred customers have paid since, the top referrers, the longest chains
+ * and the referrals themselves (flagged ones first, optionally one status).
+ */
+export async function getReferralReport({ from, to, status } = {}, db = pool) {
+  const range = '($1::date IS NULL OR r.created_at >= $1::date) AND ($2::date IS NULL OR r.created_at < $2::date + 1)';
+  const values = [from || null, to || null];
+
+  const [statuses, credits, spend, referrers, chains, referrals] = await Promise.all([
+    db.query(`SELECT r.status, COUNT(*)::integer as count FROM referrals r WHERE ${range} GROUP BY r.status`, values),
+    db.query(
+      `SELECT COUNT(*)::integer as issued, COALESCE(SUM(cp.discount_value), 0) as issued_value,
+              COUNT(*) FILTER (WHERE cp.used_count > 0)::integer as used,
+              COALESCE(SUM(cp.discount_value) FILTER (WHERE cp.used_count > 0), 0) as used_value
+       FROM coupons cp
+       JOIN referrals r ON cp.source_referral_id = r.id
+       WHERE ${range}`,
+      values
+    ),
+    db.query(
+      `SELECT COALESCE(SUM(${AMOUNT_PAID_SQL}), 0) as paid
+       FROM bookings b
+       WHERE b.refunded_at IS NULL AND b.customer_id IN (SELECT r.referred_id FROM referrals r WHERE r.status = 'rewarded' AND ${range})`,
+      values
+    ),
+    db.query(
+      `SELECT r.referrer_id, c.name, c.referral_code, COUNT(*)::integer as referrals,
+              COUNT(*) FILTER (WHERE r.status = 'rewarded')::integer as rewarded,
+              COUNT(*) FILTER (WHERE r.status IN ('flagged', 'rejected'))::integer as flagged
+       FROM referrals r
+       JOIN customers c ON r.referrer_id = c.id
+       WHERE ${range}
+       GROUP BY r.referrer_id, c.name, c.referral_code
+       ORDER BY rewarded DESC, referrals DESC
+       LIMIT 10`,
+      values
+    ),
+    // Chains start at a customer nobody referred who has referred someone
+    db.query(
+      `WITH RECURSIVE tree(root_id, id, depth) AS (
+         SELECT c.id, c.id, 0 FROM customers c
+         WHERE c.referred_by IS NULL AND EXISTS (SELECT 1 FROM customers d WHERE d.referred_by = c.id)
+         UNION ALL
+         SELECT t.root_id, c.id, t.depth + 1
+         FROM tree t
+         JOIN customers c ON c.referred_by = t.id
+         WHERE t.depth < 20
+       )
+       SELECT t.root_id, c.name, MAX(t.depth)::integer as depth, (COUNT(*) - 1)::integer as size
+       FROM tree t
+       JOIN customers c ON c.id = t.root_id
+       GROUP BY t.root_id, c.name
+       ORDER BY size DESC, depth DESC
+       LIMIT 10`
+    ),
+    db.query(
+      `${REFERRAL_LIST_SQL}
+       WHERE ${range} AND ($3::text IS NULL OR r.status = $3)
+       ORDER BY (r.status = 'flagged') DESC, r.created_at DESC
+       LIMIT 200`,
+      [...values, status || null]
+    )
+  ]);
+
+  const byStatus = Object.fromEntries(REFERRAL_STATUSES.map(name => [name, 0]));
+  for (const row of statuses.rows) {
+    byStatus[row.status] = row.count;
+  }
+  const credit = credits.rows[0];
+
+  return {
+    from: from || null,
+    to: to || null,
+    totals: {
+      referrals: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      byStatus,
+      creditsIssued: credit.issued,
+      creditIssuedValue: parseFloat(credit.issued_value),
+      creditsUsed: credit.used,
+      creditUsedValue: parseFloat(credit.used_value),
+      referredCustomerSpend: parseFloat(spend.rows[0].paid)
+    },
+    topReferrers: referrers.rows.map(row => ({
+      id: row.referrer_id,
+      name: row.name,
+      code: row.referral_code,
+      referrals: row.referrals,
+      rewarded: row.rewarded,
+      flagged: row.flagged
+    })),
+    chains: chains.rows.map(row => ({ id: row.root_id, name: row.name, depth: row.depth, size: row.size })),
+    flagLabels: REFERRAL_FLAGS,
+    referrals: referrals.rows.map(formatReferral)
+  };
+}
@@ -0,0 +1,237 @@
+import pool from '../config/database.js';
+import { getSettings, parseJsonSetting, parseNumberSetting } from '../config/settings.js';
+import { addDays, getBusinessNow, minutesUntil } from './availability.js';
+import { buildManageLink, buildPaymentLink } from './bookings.js';
+import { sendCustomerMessage } from './notifications.js';
+
+export const REMINDER_CHANNELS = ['email', 'sms'];
+
+// Used until an admin saves reminder settings
+export const DEFAULT_REMINDER_SETTINGS = {
+  appointmentReminder: { enabled: true, hoursBefore: 24, channels: ['email'] },
+  onTheWay: { enabled: false, minutesBefore: 60, channels: ['sms'] },
+  depositNudge: { enabled: true, minutesAfterBooking: [30, 1440], channels: ['email'] }
+};
+
+const REMINDER_SELECT = `
+  SELECT b.id, b.customer_name, b.customer_email, b.customer_phone, b.address, b.status,
+         b.booking_date::text as booking_date, b.booking_time, b.deposit_amount, b.deposit_paid,
+         b.payment_token, COALESCE(s.name, p.name) as service_name,
+         EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - b.created_at)) / 60 as age_minutes
+  FROM bookings b
+  LEFT JOIN services s ON b.service_id = s.id
+  LEFT JOIN packages p ON b.package_id = p.id`;
+
+function parseChannels(channels, fallback) {
+  return Array.isArray(channels)
+    ? channels.filter(channel => REMINDER_CHANNELS.includes(channel))
+    : fallback;
+}
+
+/**
+ * Load reminder timing and channels from settings, filling in defaults
+ */
+export async function getReminderSettings(db = pool) {
+  const settings = await getSettings(['reminder_settings'], db);
+  const stored = parseJsonSetting(settings.reminder_settings, {});
+  const defaults = DEFAULT_REMINDER_SETTINGS;
+  const appointment = stored.appointmentReminder || {};
+  const onTheWay = stored.onTheWay || {};
+  const nudge = stored.depositNudge || {};
+
+  return {
+    appointmentReminder: {
+      enabled: appointment.enabled !== undefined ? Boolean(appointment.enabled) : defaults.appointmentReminder.enabled,
+      hoursBefore: parseNumberSetting(appointment.hoursBefore, defaults.appointmentReminder.hoursBefore),
+      channels: parseChannels(appointment.channels, defaults.appointmentReminder.channels)
+    },
+    onTheWay: {
+      enabled: onTheWay.enabled !== undefined ? Boolean(onTheWay.enabled) : defaults.onTheWay.enabled,
+      minutesBefore: parseNumberSetting(onTheWay.minutesBefore, defaults.onTheWay.minutesBefore),
+      channels: parseChannels(onTheWay.channels, defaults.onTheWay.channels)
+    },
+    depositNudge: {
+      enabled: nudge.enabled !== undefined ? Boolean(nudge.enabled) : defaults.depositNudge.enabled,
+      minutesAfterBooking: Array.isArray(nudge.minutesAfterBooking)
+        ? nudge.minutesAfterBooking.map(minutes => parseNumberSetting(minutes, 0)).filter(minutes => minutes > 0).sort((a, b) => a - b)
+        : defaults.depositNudge.minutesAfterBooking,
+      channels: parseChannels(nudge.channels, defaults.depositNudge.channels)
+    }
+  };
+}
+
+function buildMessageData(booking) {
+  return {
+    bookingId: booking.id,
+    customerName: booking.customer_name,
+    customerEmail: booking.customer_email,
+    customerPhone: booking.customer_phone,
+    serviceName: booking.service_name,
+    address: booking.address,
+    bookingDate: booking.booking_date,
+    bookingTime: booking.booking_time.slice(0, 5),
+    depositAmount: parseFloat(booking.deposit_amount).toFixed(2),
+    depositPaid: booking.deposit_paid,
+    paymentLink: buildPaymentLink(booking.id, booking.payment_token),
+    manageLink: buildManageLink(booking.id, booking.payment_token)
+  };
+}
+
+/**
+ * Send one reminder at most once. The send is recorded under reminderKey before
+ * anything goes out, so a restart or a second server never repeats it; a send
+ * that fails is recorded with its error rather than retried.
+ * Returns true when this call sent (or tried to send) the reminder.
+ */
+async function sendReminderOnce(booking, kind, reminderKey, channels) {
+  const claimed = await pool.query(
+    `INSERT INTO booking_reminders (booking_id, kind, reminder_key, channels)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (booking_id, reminder_key) DO NOTHING
+     RETURNING id`,
+    [booking.id, kind, reminderKey, channels.join(',')]
+  );
+
+  if (claimed.rows.length === 0) {
+    return false;
+  }
+
+  const type = kind === 'deposit_nudge' ? 'payment_reminder' : kind;
+  const { sent, errors } = await sendCustomerMessage({ type, data: buildMessageData(booking), channels });
+
+  await pool.query(
+    `UPDATE booking_reminders SET sent_channels = $1, error = $2, sent_at = CURRENT_TIMESTAMP WHERE id = $3`,
+    [sent.join(',') || null, errors.join('; ') || null, claimed.rows[0].id]
+  );
+
+  if (errors.length > 0) {
+    console.error(`Reminder ${reminderKey} for booking #${booking.id} had errors:`, errors.join('; '));
+  }
+  return true;
+}
+
+// Bookings starting within `minutes` from now that already existed when the
+// reminder became due (so a last-minute booking isn't "reminded" right away)
+function dueBefore(bookings, minutes, now) {
+  return bookings.filter(booking => {
+    const until = minutesUntil(booking.booking_date, booking.booking_time, now);
+    return until > 0 && until <= minutes && parseFloat(booking.age_minutes) >= minutes - until;
+  });
+}
+
+async function sendAppointmentReminders({ hoursBefore, channels }, now) {
+  const minutes = hoursBefore * 60;
+  const result = await pool.query(
+    `${REMINDER_SELECT}
+     WHERE b.status IN ('pending', 'confirmed') AND b.archived_at IS NULL
+       AND b.booking_date BETWEEN $1 AND $2`,
+    [now.date, addDays(now.date, Math.ceil(hoursBefore / 24) + 1)]
+  );
+
+  let count = 0;
+  for (const booking of dueBefore(result.rows, minutes, now)) {
+    const key = `appointment_reminder:${booking.booking_date} ${booking.booking_time.slice(0, 5)}`;
+    if (await sendReminderOnce(booking, 'appointment_reminder', key, channels)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+async function sendOnTheWayMessages({ minutesBefore, channels }, now) {
+  const result = await pool.query(
+    `${REMINDER_SELECT}
+     WHERE b.status = 'confirmed' AND b.archived_at IS NULL AND b.booking_date = $1`,
+    [now.date]
+  );
+
+  let count = 0;
+  for (const booking of dueBefore(result.rows, minutesBefore, now)) {
+    const key = `on_the_way:${booking.booking_date} ${booking.booking_time.slice(0, 5)}`;
+    if (await sendReminderOnce(booking, 'on_the_way', key, channels)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Only the latest nudge that's due is sent, so a booking that waited through
+// several steps (e.g. while the server was down) gets one message, not a burst
+async function sendDepositNudges({ minutesAfterBooking, channels }, now) {
+  if (minutesAfterBooking.length === 0) {
+    return 0;
+  }
+
+  const result = await pool.query(
+    `${REMINDER_SELECT}
+     WHERE b.status = 'pending' AND b.deposit_paid = false AND b.deposit_payment_id IS NULL
+       AND b.archived_at IS NULL AND b.payment_token IS NOT NULL AND b.booking_date >= $1
+       AND (b.hold_expires_at IS NULL OR b.hold_expires_at > CURRENT_TIMESTAMP)
+       AND b.created_at <= CURRENT_TIMESTAMP - make_interval(mins => $2::integer)`,
+    [now.date, Math.round(minutesAfterBooking[0])]
+  );
+
+  let count = 0;
+  for (const booking of result.rows) {
+    if (minutesUntil(booking.booking_date, booking.booking_time, now) <= 0) {
+      continue;
+    }
+
+    const step = minutesAfterBooking.filter(minutes => minutes <= parseFloat(booking.age_minutes)).pop();
+    if (step === undefined) {
+      continue;
+    }
+
+    const laterSent = await pool.query(
+      `SELECT 1 FROM booking_reminders
+       WHERE booking_id = $1 AND kind = 'deposit_nudge' AND split_part(reminder_key, ':', 2)::numeric >= $2
+       LIMIT 1`,
+      [booking.id, step]
+    );
+    if (laterSent.rows.length > 0) {
+      continue;
+    }
+
+    if (await sendReminderOnce(booking, 'deposit_nudge', `deposit_nudge:${step}`, channels)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Send every reminder, on-our-way message and deposit nudge that's due.
+ * Safe to run as often as needed: each is sent at most once per booking and
+ * appointment time (a rescheduled booking gets fresh reminders).
+ * Returns how many of each kind went out.
+ */
+export async function sendDueReminders(now = getBusinessNow()) {
+  const settings = await getReminderSettings();
+  const sent = { appointmentReminder: 0, onTheWay: 0, depositNudge: 0 };
+
+  if (settings.appointmentReminder.enabled && settings.appointmentReminder.channels.length > 0) {
+    sent.appointmentReminder = await sendAppointmentReminders(settings.appointmentReminder, now);
+  }
+  if (settings.onTheWay.enabled && settings.onTheWay.channels.length > 0) {
+    sent.onTheWay = await sendOnTheWayMessages(settings.onTheWay, now);
+  }
+  if (settings.depositNudge.enabled && settings.depositNudge.channels.length > 0) {
+    sent.depositNudge = await sendDepositNudges(settings.depositNudge, now);
+  }
+
+  return sent;
+}
+
+/**
+ * Reminders recorded for a booking, newest first
+ */
+export async function getBookingReminders(bookingId, db = pool) {
+  const result = await db.query(
+    `SELECT id, kind, reminder_key, channels, sent_channels, error, created_at, sent_at
+     FROM booking_reminders
+     WHERE booking_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [bookingId]
+  );
+  return result.rows;
+}
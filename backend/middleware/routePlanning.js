@@ -0,0 +1,171 @@
+import pool from '../config/database.js';
+import { DEFAULT_DURATION_MINUTES, fromMinutes, toDateString, toMinutes } from './availability.js';
+import { extractZipCode } from './serviceZones.js';
+import { formatVehicleLabel } from './customerVehicles.js';
+
+// Straight-line distance between ZIP centroids is scaled up to approximate road distance
+const ROAD_DISTANCE_FACTOR = 1.3;
+const DEFAULT_AVERAGE_SPEED_MPH = 30;
+const EARTH_RADIUS_MILES = 3958.8;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Estimated road miles between two { latitude, longitude } points
+ */
+export function estimateDrivingMiles(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  const straightLine = 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  return straightLine * ROAD_DISTANCE_FACTOR;
+}
+
+/**
+ * Centroids for a list of ZIP codes, keyed by ZIP
+ */
+export async function getZipCentroids(zipCodes, db = pool) {
+  const unique = [...new Set(zipCodes.filter(Boolean))];
+  if (unique.length === 0) {
+    return new Map();
+  }
+
+  const result = await db.query(
+    'SELECT zip_code, latitude, longitude FROM zip_centroids WHERE zip_code = ANY($1)',
+    [unique]
+  );
+
+  return new Map(result.rows.map(row => [row.zip_code, {
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude)
+  }]));
+}
+
+/**
+ * Order jobs into a driving route. Appointment times are promises to customers,
+ * so at each step the crew goes to the earliest remaining appointment, and among
+ * appointments at the same time, the closest one. A stop is unreachable when the
+ * previous job plus the drive runs past its start time. Jobs whose ZIP has no
+ * centroid stay in the route by time but are flagged, and the crew's position
+ * carries over them.
+ *
+ * jobs: [{ id, time: "HH:MM", durationMinutes, location: { latitude, longitude } | null }]
+ * start: { latitude, longitude } the crew leaves from, or null to start at the first job
+ */
+export function planRoute(jobs, { start = null, averageSpeedMph = DEFAULT_AVERAGE_SPEED_MPH } = {}) {
+  const remaining = [...jobs];
+  const stops = [];
+  let position = start;
+  let clock = null;
+
+  while (remaining.length > 0) {
+    let best = null;
+
+    for (const job of remaining) {
+      const scheduled = toMinutes(job.time);
+      const miles = position && job.location ? estimateDrivingMiles(position, job.location) : 0;
+      const minutes = Math.ceil(miles / averageSpeedMph * 60);
+      // The crew leaves in time for its first job, so only later legs can run late
+      const arrival = clock === null ? scheduled : clock + minutes;
+      const startsAt = Math.max(arrival, scheduled);
+
+      if (!best || scheduled < best.scheduled ||
+          (scheduled === best.scheduled && miles < best.miles)) {
+        best = { job, scheduled, miles, minutes, arrival, startsAt };
+      }
+    }
+
+    const { job, scheduled, miles, minutes, arrival, startsAt } = best;
+    const lateMinutes = Math.max(0, arrival - scheduled);
+
+    stops.push({
+      ...job,
+      locationKnown: Boolean(job.location),
+      driveMiles: Math.round(miles * 10) / 10,
+      driveMinutes: minutes,
+      arrivalTime: fromMinutes(arrival),
+      waitMinutes: Math.max(0, scheduled - arrival),
+      lateMinutes,
+      reachable: lateMinutes === 0,
+      endTime: fromMinutes(startsAt + job.durationMinutes)
+    });
+
+    remaining.splice(remaining.indexOf(job), 1);
+    clock = startsAt + job.durationMinutes;
+    position = job.location || position;
+  }
+
+  return {
+    stops,
+    totalDriveMiles: Math.round(stops.reduce((sum, stop) => sum + stop.driveMiles, 0) * 10) / 10,
+    totalDriveMinutes: stops.reduce((sum, stop) => sum + stop.driveMinutes, 0),
+    unreachableCount: stops.filter(stop => !stop.reachable).length,
+    unlocatedCount: stops.filter(stop => !stop.locationKnown).length
+  };
+}
+
+/**
+ * Plan the route for every non-cancelled booking on a date, or only the
+ * bookings a given technician is assigned to
+ */
+export async function planDailyRoute(date, { technicianId } = {}, db = pool) {
+  const result = await db.query(
+    `SELECT b.id, b.customer_name, b.customer_phone, b.address, b.booking_time, b.status,
+            COALESCE(b.duration_minutes, s.duration_minutes, $2) as duration_minutes,
+            COALESCE(s.name, p.name) as service_name,
+            COALESCE((SELECT array_agg(u.name ORDER BY u.name)
+                      FROM booking_technicians bt JOIN admin_users u ON bt.user_id = u.id
+                      WHERE bt.booking_id = b.id), '{}') as technician_names,
+            COALESCE((SELECT json_agg(json_build_object('id', cv.id, 'year', cv.year, 'make', cv.make,
+                                                        'model', cv.model, 'color', cv.color, 'notes', cv.notes)
+                                      ORDER BY bv.sort_order, bv.id)
+                      FROM booking_vehicles bv JOIN customer_vehicles cv ON bv.customer_vehicle_id = cv.id
+                      WHERE bv.booking_id = b.id), '[]') as saved_vehicles
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN packages p ON b.package_id = p.id
+     WHERE b.booking_date = $1 AND b.status NOT IN ('cancelled', 'no_show', 'expired')
+       AND ($3::integer IS NULL
+            OR EXISTS (SELECT 1 FROM booking_technicians bt WHERE bt.booking_id = b.id AND bt.user_id = $3))
+     ORDER BY b.booking_time ASC, b.id ASC`,
+    [toDateString(date), DEFAULT_DURATION_MINUTES, technicianId || null]
+  );
+
+  const startZip = process.env.ROUTE_START_ZIP || null;
+  const jobs = result.rows.map(row => ({ ...row, zipCode: extractZipCode(row.address) }));
+  const centroids = await getZipCentroids([startZip, ...jobs.map(job => job.zipCode)], db);
+  const averageSpeedMph = parseFloat(process.env.ROUTE_AVERAGE_SPEED_MPH) || DEFAULT_AVERAGE_SPEED_MPH;
+
+  const plan = planRoute(jobs.map(job => ({
+    id: job.id,
+    customerName: job.customer_name,
+    customerPhone: job.customer_phone,
+    address: job.address,
+    zipCode: job.zipCode,
+    serviceName: job.service_name,
+    status: job.status,
+    technicians: job.technician_names,
+    savedVehicles: job.saved_vehicles.map(vehicle => ({
+      id: vehicle.id,
+      label: formatVehicleLabel(vehicle),
+      notes: vehicle.notes
+    })),
+    time: job.booking_time.slice(0, 5),
+    durationMinutes: parseInt(job.duration_minutes, 10),
+    location: centroids.get(job.zipCode) || null
+  })), {
+    start: centroids.get(startZip) || null,
+    averageSpeedMph
+  });
+
+  return {
+    date: toDateString(date),
+    technicianId: technicianId || null,
+    startZip: centroids.has(startZip) ? startZip : null,
+    averageSpeedMph,
+    ...plan
+  };
+}
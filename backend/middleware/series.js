@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import {
+  addDays,
+  checkBookingWindow,
+  findConflictingBooking,
+  getBusinessNow,
+  getSchedulingRules,
+  lockBookingDate,
+  toMinutes
+} from './availability.js';
+import { getDepositPercentage, priceVehicles } from './pricing.js';
+import { insertBookingVehicles } from './vehicles.js';
+import { resolveServiceZone } from './serviceZones.js';
+import { matchCustomer } from './customers.js';
+import { clearTechnicians } from './staff.js';
+
+// Cap on bookings created by one generation run, so a misconfigured series can't flood the calendar
+const MAX_OCCURRENCES_PER_RUN = 52;
+
+/**
+ * Load a series with its dates as "YYYY-MM-DD" strings
+ */
+export async function getSeries(seriesId, db, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT bs.*, bs.start_date::text as start_date, bs.end_date::text as end_date,
+            COALESCE(s.name, p.name) as service_name
+     FROM booking_series bs
+     LEFT JOIN services s ON bs.service_id = s.id
+     LEFT JOIN packages p ON bs.package_id = p.id
+     WHERE bs.id = $1${forUpdate ? ' FOR UPDATE OF bs' : ''}`,
+    [seriesId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create bookings for every open occurrence of a series from today up to the
+ * booking horizon (or the series end date). Dates that already have a booking
+ * in the series or were skipped are left alone. Dates that are closed, blacked
+ * out or already taken are reported back rather than booked.
+ *
+ * reuse takes occurrences from getRegenerableOccurrences to rebuild from the
+ * series as it is now. They're updated in place, on their own date when it's
+ * still in the schedule and otherwise moved to a new one, so the payment and
+ * manage links the customer already has keep working. Ones left over are
+ * deleted and returned as removed.
+ *
+ * Must run inside a transaction on the given client.
+ */
+export async function generateSeriesOccurrences(seriesId, client, { reuse = [] } = {}) {
+  const series = await getSeries(seriesId, client, { forUpdate: true });
+  const created = [];
+  const updated = [];
+  const skipped = [];
+  const reusable = new Map(reuse.map(occurrence => [occurrence.id, occurrence]));
+
+  if (!series || series.status !== 'active') {
+    return { created, updated, removed: await deleteOccurrences(client, reusable), skipped };
+  }
+
+  const pricing = await priceVehicles([{
+    vehicleType: series.vehicle_type,
+    serviceId: series.service_id,
+    packageId: series.package_id,
+    addonIds: series.addon_ids || []
+  }], client);
+
+  if (pricing.error) {
+    skipped.push({ date: null, reason: 'The service for this series no longer exists' });
+    return { created, updated, removed: await deleteOccurrences(client, reusable), skipped };
+  }
+
+  const serviceZone = await resolveServiceZone(series.address, client);
+  if (serviceZone.error) {
+    skipped.push({ date: null, reason: serviceZone.error });
+    return { created, updated, removed: await deleteOccurrences(client, reusable), skipped };
+  }
+
+  const totalAmount = pricing.total + serviceZone.travelFee;
+  const durationMinutes = pricing.durationMinutes;
+  const depositAmount = totalAmount * await getDepositPercentage(client);
+
+  const rules = await getSchedulingRules(client);
+  const now = getBusinessNow();
+  const horizonEnd = addDays(now.date, rules.maxBookingDays);
+  const lastDate = series.end_date && series.end_date < horizonEnd ? series.end_date : horizonEnd;
+  const skippedDates = new Set(series.skipped_dates || []);
+
+  const existingResult = await client.query(
+    'SELECT booking_date::text as booking_date FROM bookings WHERE series_id = $1 AND NOT (id = ANY($2))',
+    [series.id, [...reusable.keys()]]
+  );
+  const existingDates = new Set(existingResult.rows.map(row => row.booking_date));
+
+  const dates = [];
+  for (let date = series.start_date; date <= lastDate; date = addDays(date, series.interval_weeks * 7)) {
+    if (date >= now.date && !existingDates.has(date) && !skippedDates.has(date)) {
+      dates.push(date);
+    }
+  }
+
+  // An occurrence stays on its own date when it can; the rest fill new dates in order
+  const onDate = new Map([...reusable.values()].map(occurrence => [occurrence.booking_date, occurrence]));
+  const spare = [...reusable.values()].filter(occurrence => !dates.includes(occurrence.booking_date));
+
+  for (const date of dates) {
+    if (created.length + updated.length >= MAX_OCCURRENCES_PER_RUN) {
+      break;
+    }
+
+    const occurrence = onDate.get(date) || spare[0];
+
+    const windowError = checkBookingWindow({
+      date,
+      time: series.booking_time,
+      duration: durationMinutes
+    }, rules, now);
+
+    if (windowError) {
+      skipped.push({ date, reason: windowError });
+      continue;
+    }
+
+    await lockBookingDate(client, date);
+
+    const conflict = await findConflictingBooking({
+      date,
+      time: series.booking_time,
+      duration: durationMinutes,
+      excludeBookingId: occurrence?.id
+    }, client);
+
+    if (conflict) {
+      skipped.push({
+        date,
+        reason: conflict.bookingId ? `Overlaps booking #${conflict.bookingId}` : 'No technician is working at that time'
+      });
+      continue;
+    }
+
+    if (occurrence) {
+      await updateOccurrence(client, occurrence, series, {
+        date,
+        durationMinutes,
+        totalAmount,
+        depositAmount,
+        serviceZone,
+        vehicles: pricing.vehicles
+      });
+
+      reusable.delete(occurrence.id);
+      if (occurrence === spare[0]) {
+        spare.shift();
+      }
+
+      updated.push({
+        id: occurrence.id,
+        date,
+        time: series.booking_time,
+        previousDate: occurrence.booking_date,
+        previousTime: occurrence.booking_time
+      });
+      continue;
+    }
+
+    const customerId = await matchCustomer(client, {
+      name: series.customer_name,
+      email: series.customer_email,
+      phone: series.customer_phone
+    });
+
+    const result = await client.query(
+      `INSERT INTO bookings
+       (customer_name, customer_email, customer_phone, vehicle_type, package_id, service_id,
+        booking_date, booking_time, duration_minutes, address, notes, total_amount, deposit_amount,
+        status, payment_token, series_id, travel_fee, service_zone_id, customer_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+       RETURNING id`,
+      [series.customer_name, series.customer_email, series.customer_phone, series.vehicle_type,
+       series.package_id, series.service_id, date, series.booking_time, durationMinutes,
+       series.address, series.notes, totalAmount, depositAmount, 'pending',
+       crypto.randomBytes(16).toString('hex'), series.id, serviceZone.travelFee,
+       serviceZone.zone ? serviceZone.zone.id : null, customerId]
+    );
+
+    const bookingId = result.rows[0].id;
+
+    await insertBookingVehicles(client, bookingId, pricing.vehicles);
+
+    created.push({ id: bookingId, date });
+  }
+
+  return { created, updated, removed: await deleteOccurrences(client, reusable), skipped };
+}
+
+// Rebuild an occurrence from its series: date, time, service and price. Any
+// coupon or reward already taken off stays off. When it moves, its technicians
+// are dropped, as they were picked for the old time.
+async function updateOccurrence(client, occurrence, series, {
+  date, durationMinutes, totalAmount, depositAmount, serviceZone, vehicles
+}) {
+  await client.query(
+    `UPDATE bookings
+     SET vehicle_type = $1, package_id = $2, service_id = $3, booking_date = $4, booking_time = $5,
+         duration_minutes = $6, address = $7, notes = $8,
+         total_amount = GREATEST($9 - COALESCE(coupon_discount, 0) - COALESCE(loyalty_discount, 0), 0),
+         deposit_amount = COALESCE(GREATEST($9 - COALESCE(coupon_discount, 0) - COALESCE(loyalty_discount, 0), 0) * $10 / NULLIF($9, 0), 0),
+         travel_fee = $11, service_zone_id = $12, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $13`,
+    [series.vehicle_type, series.package_id, series.service_id, date, series.booking_time,
+     durationMinutes, series.address, series.notes, totalAmount, depositAmount,
+     serviceZone.travelFee, serviceZone.zone ? serviceZone.zone.id : null, occurrence.id]
+  );
+
+  await client.query('DELETE FROM booking_vehicles WHERE booking_id = $1', [occurrence.id]);
+  await insertBookingVehicles(client, occurrence.id, vehicles);
+
+  if (occurrence.booking_date !== date || toMinutes(occurrence.booking_time) !== toMinutes(series.booking_time)) {
+    await clearTechnicians(client, occurrence.id);
+  }
+}
+
+async function deleteOccurrences(client, occurrences) {
+  if (occurrences.size === 0) {
+    return [];
+  }
+
+  const result = await client.query(
+    `DELETE FROM bookings WHERE id = ANY($1)
+     RETURNING id, customer_name, customer_email, customer_phone,
+               booking_date::text as booking_date, booking_time`,
+    [[...occurrences.keys()]]
+  );
+  return result.rows;
+}
+
+// Future occurrences that can be rebuilt safely: still pending, nothing paid,
+// and not individually edited
+const REGENERABLE_CONDITION = `series_id = $1 AND booking_date >= $2 AND status = 'pending'
+  AND deposit_paid = false AND series_exception = false`;
+
+/**
+ * Lock the occurrences of a series that can be rebuilt, to pass to
+ * generateSeriesOccurrences as reuse. Must run inside a transaction.
+ */
+export async function getRegenerableOccurrences(seriesId, client) {
+  const result = await client.query(
+    `SELECT id, booking_date::text as booking_date, booking_time
+     FROM bookings
+     WHERE ${REGENERABLE_CONDITION}
+     ORDER BY booking_date ASC
+     FOR UPDATE`,
+    [seriesId, getBusinessNow().date]
+  );
+  return result.rows;
+}
+
+/**
+ * Remove future occurrences that can be regenerated safely. Returns the removed bookings.
+ */
+export async function removeRegenerableOccurrences(seriesId, client) {
+  const result = await client.query(
+    `DELETE FROM bookings
+     WHERE ${REGENERABLE_CONDITION}
+     RETURNING id, booking_date::text as booking_date`,
+    [seriesId, getBusinessNow().date]
+  );
+  return result.rows;
+}
+
+/**
+ * Book the visits of every active series that have come into the booking
+ * horizon since the last run. Each series is generated in its own transaction.
+ * Returns how many bookings were created.
+ */
+export async function generateDueSeriesOccurrences() {
+  const due = await pool.query(
+    `SELECT id FROM booking_series
+     WHERE status = 'active' AND (end_date IS NULL OR end_date >= $1)
+     ORDER BY id`,
+    [getBusinessNow().date]
+  );
+  let createdCount = 0;
+
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const { created } = await generateSeriesOccurrences(id, client);
+      await client.query('COMMIT');
+      createdCount += created.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Error generating bookings for series #${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return createdCount;
+}
@@ -0,0 +1,71 @@
+import pool from '../config/database.js';
+
+/**
+ * Pull the 5-digit ZIP code out of a free-form address. When several
+ * 5-digit numbers appear (e.g. a street number), the last one is the ZIP.
+ */
+export function extractZipCode(address) {
+  if (!address) {
+    return null;
+  }
+  const matches = String(address).match(/\b\d{5}(?:-\d{4})?\b/g);
+  return matches ? matches[matches.length - 1].slice(0, 5) : null;
+}
+
+async function hasActiveZones(db) {
+  const result = await db.query(
+    'SELECT EXISTS (SELECT 1 FROM service_zones WHERE is_active = true) as has_zones'
+  );
+  return result.rows[0].has_zones;
+}
+
+/**
+ * Look up the zone a ZIP code belongs to. While no active zones are set up,
+ * every ZIP is serviceable with no travel fee. Once zones exist, ZIPs outside
+ * all of them (or in an out-of-area zone) are not serviceable.
+ */
+export async function lookupZipCode(zipCode, db = pool) {
+  if (!await hasActiveZones(db)) {
+    return { zipCode, zone: null, serviceable: true, travelFee: 0 };
+  }
+
+  const result = await db.query(
+    `SELECT z.*
+     FROM service_zone_zip_codes zc
+     JOIN service_zones z ON zc.zone_id = z.id
+     WHERE zc.zip_code = $1 AND z.is_active = true`,
+    [zipCode]
+  );
+
+  const zone = result.rows[0] || null;
+  const serviceable = Boolean(zone) && !zone.out_of_area;
+
+  return {
+    zipCode,
+    zone,
+    serviceable,
+    travelFee: serviceable ? parseFloat(zone.travel_fee) : 0
+  };
+}
+
+/**
+ * Work out the travel fee for a service address. Returns { zone, zipCode, travelFee },
+ * or { status, error } when the address can't be serviced.
+ */
+export async function resolveServiceZone(address, db = pool) {
+  const zipCode = extractZipCode(address);
+
+  if (!zipCode) {
+    if (await hasActiveZones(db)) {
+      return { status: 400, error: 'Please include the ZIP code in the service address' };
+    }
+    return { zone: null, zipCode: null, travelFee: 0 };
+  }
+
+  const lookup = await lookupZipCode(zipCode, db);
+  if (!lookup.serviceable) {
+    return { status: 400, error: `Sorry, we don't currently service ZIP code ${zipCode}` };
+  }
+
+  return { zone: lookup.zone, zipCode, travelFee: lookup.travelFee };
+}
@@ -0,0 +1,175 @@
+import pool from '../config/database.js';
+import {
+  DEFAULT_DURATION_MINUTES,
+  fromMinutes,
+  getBookedRanges,
+  getCrewOnDuty,
+  hasFreeCrew,
+  rangesOverlap,
+  toDateString,
+  toMinutes
+} from './availability.js';
+
+export const TECHNICIAN_ROLE = 'technician';
+
+// Technicians can move their own jobs along or report a no-show, everything else is up to an admin
+export const TECHNICIAN_STATUSES = ['in_progress', 'completed', 'no_show'];
+
+/**
+ * Technicians assigned to a booking
+ */
+export async function getBookingTechnicians(bookingId, db = pool) {
+  const result = await db.query(
+    `SELECT u.id, u.name, u.email, u.phone
+     FROM booking_technicians bt
+     JOIN admin_users u ON bt.user_id = u.id
+     WHERE bt.booking_id = $1
+     ORDER BY u.name ASC`,
+    [bookingId]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a user is assigned to a booking
+ */
+export async function isAssignedTechnician(bookingId, userId, db = pool) {
+  const result = await db.query(
+    'SELECT 1 FROM booking_technicians WHERE booking_id = $1 AND user_id = $2',
+    [bookingId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Drop a booking's technicians, e.g. when it moves to a time they may not be free
+ */
+export async function clearTechnicians(client, bookingId) {
+  await client.query('DELETE FROM booking_technicians WHERE booking_id = $1', [bookingId]);
+}
+
+/**
+ * Replace the technicians on a booking. Each must be working for the whole job
+ * and not already on an overlapping booking, and taking them must leave a free
+ * technician for every overlapping booking nobody is assigned to yet.
+ * Call with the booking's date locked. Returns { technicians } or { error }.
+ */
+export async function assignTechnicians(client, booking, technicianIds, { assignedBy } = {}) {
+  const ids = [...new Set(technicianIds)];
+  const date = toDateString(booking.booking_date);
+  const start = toMinutes(booking.booking_time);
+  const duration = booking.duration_minutes || DEFAULT_DURATION_MINUTES;
+
+  if (ids.length > 0) {
+    const staffResult = await client.query(
+      `SELECT id, name FROM admin_users
+       WHERE id = ANY($1) AND role = $2 AND is_active = true`,
+      [ids, TECHNICIAN_ROLE]
+    );
+    const missing = ids.filter(id => !staffResult.rows.some(row => row.id === id));
+    if (missing.length > 0) {
+      return { error: `Technician #${missing[0]} not found` };
+    }
+
+    const crew = await getCrewOnDuty(date, client) || [];
+    const booked = await getBookedRanges(date, { excludeBookingId: booking.id }, client);
+
+    for (const technician of staffResult.rows) {
+      const shift = crew.find(member => member.userId === technician.id);
+      if (!shift || shift.hours.open > start || start + duration > shift.hours.close) {
+        return {
+          error: `${technician.name} isn't working ${date} ${fromMinutes(start)}-${fromMinutes(start + duration)}`
+        };
+      }
+
+      const clash = booked.find(range =>
+        range.technicianIds.includes(technician.id) &&
+        rangesOverlap(start, duration, range.start, range.duration)
+      );
+      if (clash) {
+        return { error: `${technician.name} is already on booking #${clash.bookingId} at that time` };
+      }
+    }
+
+    const withAssignment = [...booked, { bookingId: booking.id, start, duration, technicianIds: ids }];
+    const stranded = booked.find(range =>
+      range.technicianIds.length === 0 &&
+      rangesOverlap(start, duration, range.start, range.duration) &&
+      !hasFreeCrew(range.start, range.duration, withAssignment.filter(other => other !== range), crew)
+    );
+    if (stranded) {
+      return { error: `That would leave booking #${stranded.bookingId} without a free technician` };
+    }
+  }
+
+  await clearTechnicians(client, booking.id);
+  if (ids.length > 0) {
+    await client.query(
+      `INSERT INTO booking_technicians (booking_id, user_id, assigned_by)
+       SELECT $1, user_id, $3 FROM unnest($2::int[]) AS user_id`,
+      [booking.id, ids, assignedBy || null]
+    );
+  }
+
+  return { technicians: await getBookingTechnicians(booking.id, client) };
+}
+
+/**
+ * Each technician's shift and assigned jobs for a day, plus the jobs nobody is on yet
+ */
+export async function getCrewCalendar(date, db = pool) {
+  const dateString = toDateString(date);
+
+  const staffResult = await db.query(
+    `SELECT u.id, u.name,
+            (SELECT t.reason FROM staff_time_off t
+             WHERE t.user_id = u.id AND $1::date BETWEEN t.start_date AND t.end_date
+             LIMIT 1) as time_off_reason,
+            EXISTS (SELECT 1 FROM staff_time_off t
+                    WHERE t.user_id = u.id AND $1::date BETWEEN t.start_date AND t.end_date) as on_time_off
+     FROM admin_users u
+     WHERE u.role = $2 AND u.is_active = true
+     ORDER BY u.name ASC`,
+    [dateString, TECHNICIAN_ROLE]
+  );
+
+  const jobsResult = await db.query(
+    `SELECT b.id, b.customer_name, b.address, b.booking_time, b.status,
+            COALESCE(b.duration_minutes, s.duration_minutes, $2) as duration_minutes,
+            COALESCE(s.name, p.name) as service_name,
+            COALESCE((SELECT array_agg(bt.user_id) FROM booking_technicians bt WHERE bt.booking_id = b.id), '{}') as technician_ids
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN packages p ON b.package_id = p.id
+     WHERE b.booking_date = $1 AND b.status != 'cancelled'
+     ORDER BY b.booking_time ASC, b.id ASC`,
+    [dateString, DEFAULT_DURATION_MINUTES]
+  );
+
+  const crew = await getCrewOnDuty(dateString, db) || [];
+  const jobs = jobsResult.rows.map(row => ({
+    id: row.id,
+    customerName: row.customer_name,
+    address: row.address,
+    serviceName: row.service_name,
+    status: row.status,
+    time: row.booking_time.slice(0, 5),
+    endTime: fromMinutes(toMinutes(row.booking_time) + parseInt(row.duration_minutes, 10)),
+    technicianIds: row.technician_ids
+  }));
+
+  return {
+    date: dateString,
+    technicians: staffResult.rows.map(row => {
+      const shift = crew.find(member => member.userId === row.id);
+      return {
+        id: row.id,
+        name: row.name,
+        shift: shift ? { start: fromMinutes(shift.hours.open), end: fromMinutes(shift.hours.close) } : null,
+        timeOff: row.on_time_off ? { reason: row.time_off_reason } : null,
+        jobs: jobs.filter(job => job.technicianIds.includes(row.id))
+      };
+    }),
+    unassigned: jobs.filter(job => job.technicianIds.length === 0)
+  };
+}
@@ -1,4 +1,13 @@
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { checkBookingWindow, getSchedulingRules } from './availability.js';
+import { MAX_VEHICLES_PER_BOOKING } from './vehicles.js';
+import { BOOKING_STATUSES } from './bookingStatus.js';
+import { DEPOSIT_OUTCOMES } from './cancellationPolicy.js';
+import { REMINDER_CHANNELS } from './reminders.js';
+import { PHOTO_KINDS } from './jobReports.js';
+import { VEHICLE_SIZE_CLASSES } from './customerVehicles.js';
+import { LOYALTY_KINDS } from './loyalty.js';
+import { REFERRAL_STATUSES } from './referrals.js';
 
 export const handleValidation = (req, res, next) => {
   const errors = validationResult(req);
@@ -8,6 +17,69 @@ export const handleValidation = (req, res, next) => {
   next();
 };
 
+// Saved vehicle details. prefixes say where the fields sit, e.g. '' or 'vehicles.*.vehicle.'
+const vehicleDetailRules = prefixes => {
+  const fields = name => prefixes.map(prefix => prefix + name);
+  return [
+    body(fields('make').concat(fields('model')))
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Make and model cannot exceed 50 characters')
+      .escape(),
+    body(fields('year'))
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1900, max: new Date().getFullYear() + 2 })
+      .withMessage('Valid vehicle year is required')
+      .toInt(),
+    body(fields('color'))
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Color cannot exceed 30 characters')
+      .escape(),
+    body(fields('plate'))
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^[A-Za-z0-9 -]{1,10}$/)
+      .withMessage('License plate can only have letters, numbers, spaces and dashes'),
+    body(fields('notes'))
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Vehicle notes cannot exceed 500 characters')
+      .escape()
+  ];
+};
+
+// A saved vehicle picked for a booking or quote, or the details of a new one to save
+const customerVehicleRules = prefixes => [
+  body(prefixes.map(prefix => prefix + 'customerVehicleId'))
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Valid saved vehicle ID is required')
+    .toInt(),
+  body(prefixes.map(prefix => prefix + 'vehicle'))
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Vehicle details must be an object'),
+  ...vehicleDetailRules(prefixes.map(prefix => prefix + 'vehicle.'))
+];
+
+// Check a requested bookingDate/bookingTime against working hours, blackouts and lead time.
+// bookingDate has already been converted by toDate(); skip if it was invalid.
+const checkBookingTimeAllowed = async (bookingTime, { req }) => {
+  if (!req.body.bookingDate) {
+    return true;
+  }
+  const rules = await getSchedulingRules();
+  const error = checkBookingWindow({ date: req.body.bookingDate, time: bookingTime }, rules);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+};
+
 export const quoteValidation = [
   body('customerName')
     .trim()
@@ -28,6 +100,7 @@ export const quoteValidation = [
     .optional()
     .isIn(['exterior', 'interior', 'deep-interior', 'package-deal', 'disaster'])
     .withMessage('Service level must be exterior, interior, deep-interior, package-deal, or disaster'),
+  ...customerVehicleRules(['']),
   body('message')
     .optional()
     .trim()
@@ -50,7 +123,9 @@ export const bookingValidation = [
   body('customerPhone')
     .matches(/^[\d\s\-\+\(\)]{10,20}$/)
     .withMessage('Valid phone number is required'),
+  // vehicleType is only required when the vehicles list isn't used
   body('vehicleType')
+    .if(body('vehicles').not().exists())
     .isIn(['sedan', 'suv', 'commercial'])
     .withMessage('Vehicle type must be sedan, suv, or commercial'),
   body('packageId')
@@ -61,13 +136,144 @@ export const bookingValidation = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Valid service ID is required'),
+  body('vehicles')
+    .optional()
+    .isArray({ min: 1, max: MAX_VEHICLES_PER_BOOKING })
+    .withMessage(`Between 1 and ${MAX_VEHICLES_PER_BOOKING} vehicles can be booked at once`),
+  body('vehicles.*.vehicleType')
+    .isIn(['sedan', 'suv', 'commercial'])
+    .withMessage('Vehicle type must be sedan, suv, or commercial'),
+  body('vehicles.*.packageId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid package ID is required')
+    .toInt(),
+  body('vehicles.*.serviceId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required')
+    .toInt(),
+  body('vehicles.*.addonIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Too many addons selected'),
+  ...customerVehicleRules(['', 'vehicles.*.']),
   body('bookingDate')
     .isISO8601()
     .withMessage('Valid date is required')
     .toDate(),
+  body('bookingTime')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Valid time in HH:MM format is required')
+    .bail()
+    .custom(checkBookingTimeAllowed),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters')
+    .escape(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+    .escape(),
+  handleValidation
+];
+
+// Admin converts a quote request into a booking. The customer and vehicle come
+// from the quote; service and add-ons default to what was asked for.
+export const quoteConversionValidation = [
+  body('serviceId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required')
+    .toInt(),
+  body('packageId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid package ID is required')
+    .toInt(),
+  body('addonIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Add-ons must be a list of at most 20 IDs'),
+  body('addonIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid addon ID format')
+    .toInt(),
+  body('bookingDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Booking date must be in YYYY-MM-DD format'),
+  body('bookingTime')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Valid time in HH:MM format is required'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters')
+    .escape(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+    .escape(),
+  body('sendEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmail must be true or false')
+    .toBoolean(),
+  handleValidation
+];
+
+export const seriesValidation = [
+  body('customerName')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters')
+    .escape(),
+  body('customerEmail')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('customerPhone')
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  body('vehicleType')
+    .isIn(['sedan', 'suv', 'commercial'])
+    .withMessage('Vehicle type must be sedan, suv, or commercial'),
+  body('packageId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid package ID is required'),
+  body('serviceId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required'),
+  body('addonIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Add-ons must be a list of at most 20 IDs'),
+  body('addonIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid addon ID format')
+    .toInt(),
+  body('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
   body('bookingTime')
     .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
     .withMessage('Valid time in HH:MM format is required'),
+  body('intervalWeeks')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Repeat interval must be between 1 and 12 weeks'),
+  body('endDate')
+    .optional({ values: 'null' })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format'),
   body('address')
     .optional()
     .trim()
@@ -83,6 +289,883 @@ export const bookingValidation = [
   handleValidation
 ];
 
+export const seriesUpdateValidation = [
+  body('vehicleType')
+    .optional()
+    .isIn(['sedan', 'suv', 'commercial'])
+    .withMessage('Vehicle type must be sedan, suv, or commercial'),
+  body('serviceId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required'),
+  body('addonIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Add-ons must be a list of at most 20 IDs'),
+  body('addonIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid addon ID format')
+    .toInt(),
+  body('bookingTime')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Valid time in HH:MM format is required'),
+  body('intervalWeeks')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Repeat interval must be between 1 and 12 weeks'),
+  body('endDate')
+    .optional({ values: 'null' })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters')
+    .escape(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+    .escape(),
+  handleValidation
+];
+
+export const seriesDateValidation = [
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  handleValidation
+];
+
+export const rescheduleValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Booking token required'),
+  body('bookingDate')
+    .isISO8601()
+    .withMessage('Valid date is required')
+    .toDate(),
+  body('bookingTime')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Valid time in HH:MM format is required')
+    .bail()
+    .custom(checkBookingTimeAllowed),
+  handleValidation
+];
+
+export const cancelValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Booking token required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+    .escape(),
+  handleValidation
+];
+
+// Customer redeems a loyalty reward on the payment page
+export const loyaltyRedeemValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Booking token required'),
+  body('reward')
+    .matches(/^(points|punch:\d+)$/)
+    .withMessage('Pick a reward to redeem'),
+  handleValidation
+];
+
+export const archiveValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+    .escape(),
+  handleValidation
+];
+
+export const refundValidation = [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Say why the booking was refunded')
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .escape(),
+  handleValidation
+];
+
+export const waitlistValidation = [
+  body('customerName')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters')
+    .escape(),
+  body('customerEmail')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('customerPhone')
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  body('vehicleType')
+    .isIn(['sedan', 'suv', 'commercial'])
+    .withMessage('Vehicle type must be sedan, suv, or commercial'),
+  body('serviceId')
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required')
+    .toInt(),
+  body('addonIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Add-ons must be a list of at most 20 IDs'),
+  body('addonIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid addon ID format')
+    .toInt(),
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters')
+    .escape(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+    .escape(),
+  handleValidation
+];
+
+export const waitlistClaimValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Waitlist token required'),
+  body('bookingTime')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Valid time in HH:MM format is required'),
+  handleValidation
+];
+
+export const statusChangeValidation = [
+  body('status')
+    .isIn(BOOKING_STATUSES)
+    .withMessage('Invalid status'),
+  body('depositOutcome')
+    .optional()
+    .isIn(DEPOSIT_OUTCOMES)
+    .withMessage('Deposit outcome must be refund, credit or keep'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .escape(),
+  handleValidation
+];
+
+export const availabilityValidation = [
+  query('date')
+    .isISO8601()
+    .withMessage('Valid date is required'),
+  query('serviceId')
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required'),
+  query('addonIds')
+    .optional()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage('Add-on IDs must be a comma-separated list of IDs'),
+  handleValidation
+];
+
+export const routePlanValidation = [
+  query('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  query('technicianId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid technician ID is required')
+    .toInt(),
+  handleValidation
+];
+
+// Filters, search, sorting and paging shared by the admin booking and quote lists
+export const listQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('status')
+    .optional()
+    .matches(/^[a-z_]+(,[a-z_]+)*$/)
+    .withMessage('Status must be a comma-separated list of statuses'),
+  query('dateFrom')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('dateFrom must be in YYYY-MM-DD format'),
+  query('dateTo')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('dateTo must be in YYYY-MM-DD format'),
+  query('payment')
+    .optional()
+    .isIn(['unpaid', 'deposit', 'paid'])
+    .withMessage('Payment must be unpaid, deposit or paid'),
+  query('vehicleType')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Vehicle type cannot exceed 50 characters'),
+  query('service')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Service cannot exceed 100 characters'),
+  query('sort')
+    .optional()
+    .matches(/^[a-z_]+$/)
+    .withMessage('Invalid sort field'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('archived')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Archived must be true or false'),
+  handleValidation
+];
+
+// One row of a booking CSV import, run against { body: row } for each row.
+// Column names match the booking export so an exported file can be re-imported.
+const CSV_BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', '1', '0'];
+
+export const bookingImportRowValidation = [
+  body('customer_name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('customer_name must be between 2 and 200 characters')
+    .escape(),
+  body('customer_email')
+    .trim()
+    .isEmail()
+    .withMessage('customer_email must be a valid email')
+    .normalizeEmail(),
+  body('customer_phone')
+    .trim()
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('customer_phone must be a valid phone number'),
+  body('booking_date')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('booking_date must be a date in YYYY-MM-DD format'),
+  body('booking_time')
+    .optional({ values: 'falsy' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+    .withMessage('booking_time must be in HH:MM format'),
+  body('vehicle_type')
+    .optional({ values: 'falsy' })
+    .toLowerCase()
+    .isIn(['sedan', 'suv', 'commercial'])
+    .withMessage('vehicle_type must be sedan, suv, or commercial'),
+  body('service')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 100 })
+    .withMessage('service cannot exceed 100 characters'),
+  body('status')
+    .optional({ values: 'falsy' })
+    .toLowerCase()
+    .isIn(BOOKING_STATUSES)
+    .withMessage('status must be one of: ' + BOOKING_STATUSES.join(', ')),
+  body('total_amount')
+    .isFloat({ min: 0 })
+    .withMessage('total_amount must be a positive number')
+    .toFloat(),
+  body('deposit_amount')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('deposit_amount must be a positive number')
+    .toFloat(),
+  body(['deposit_paid', 'final_paid'])
+    .optional({ values: 'falsy' })
+    .toLowerCase()
+    .isIn(CSV_BOOLEAN_VALUES)
+    .withMessage('Paid columns must be yes or no'),
+  body('address')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 500 })
+    .withMessage('address cannot exceed 500 characters')
+    .escape(),
+  body('notes')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 1000 })
+    .withMessage('notes cannot exceed 1000 characters')
+    .escape()
+];
+
+// Weekly working hours in the same format as the business_hours setting
+const HOURS_RANGE_PATTERN = /^(closed|([01]?\d|2[0-3]):[0-5]\d-([01]?\d|2[0-3]):[0-5]\d)$/;
+
+// Admin technician create
+export const staffValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters')
+    .escape(),
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('password')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  body('workingHours')
+    .optional()
+    .isObject()
+    .withMessage('Working hours must be an object keyed by weekday'),
+  body('workingHours.*')
+    .matches(HOURS_RANGE_PATTERN)
+    .withMessage('Hours must be "closed" or a range like 8:00-17:00'),
+  handleValidation
+];
+
+// Admin technician update (only the fields sent are changed)
+export const staffUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters')
+    .escape(),
+  body('password')
+    .optional()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+  body('phone')
+    .optional({ values: 'null' })
+    .matches(/^([\d\s\-\+\(\)]{10,20})?$/)
+    .withMessage('Valid phone number is required'),
+  body('workingHours')
+    .optional()
+    .isObject()
+    .withMessage('Working hours must be an object keyed by weekday'),
+  body('workingHours.*')
+    .matches(HOURS_RANGE_PATTERN)
+    .withMessage('Hours must be "closed" or a range like 8:00-17:00'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+    .toBoolean(),
+  handleValidation
+];
+
+export const timeOffValidation = [
+  body('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((endDate, { req }) => {
+      if (req.body.startDate && endDate < req.body.startDate) {
+        throw new Error('End date cannot be before the start date');
+      }
+      return true;
+    }),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+    .escape(),
+  handleValidation
+];
+
+export const technicianAssignmentValidation = [
+  body('technicianIds')
+    .isArray({ max: 10 })
+    .withMessage('Technician IDs must be a list of at most 10 IDs'),
+  body('technicianIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Valid technician ID is required')
+    .toInt(),
+  handleValidation
+];
+
+export const schedulingSettingsValidation = [
+  body('businessHours')
+    .optional()
+    .isObject()
+    .withMessage('Business hours must be an object keyed by weekday'),
+  body('businessHours.*')
+    .matches(HOURS_RANGE_PATTERN)
+    .withMessage('Hours must be "closed" or a range like 9:00-18:00'),
+  body('blackoutDates')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('Blackout dates must be a list of at most 366 dates'),
+  body('blackoutDates.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Blackout date must be in YYYY-MM-DD format'),
+  body('blackoutDates.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Blackout reason cannot exceed 200 characters')
+    .escape(),
+  body('minLeadTimeHours')
+    .optional()
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Minimum lead time must be between 0 and 720 hours'),
+  body('maxBookingDays')
+    .optional()
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Booking horizon must be between 1 and 730 days'),
+  body('cancellationWindowHours')
+    .optional()
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Cancellation window must be between 0 and 720 hours'),
+  body('depositHoldMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Deposit hold must be between 0 and 10080 minutes (0 holds the slot until paid)'),
+  handleValidation
+];
+
+// Admin cancellation and no-show deposit policy update
+export const cancellationPolicyValidation = [
+  body('rules')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Add between 1 and 10 cancellation rules'),
+  body('rules.*.hoursBefore')
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Rule hours must be between 0 and 720'),
+  body('rules.*.outcome')
+    .isIn(DEPOSIT_OUTCOMES)
+    .withMessage('Rule outcome must be refund, credit or keep'),
+  body('noShowOutcome')
+    .isIn(DEPOSIT_OUTCOMES)
+    .withMessage('No-show outcome must be refund, credit or keep'),
+  body('creditValidDays')
+    .isInt({ min: 1, max: 1095 })
+    .withMessage('Credit must be valid for between 1 and 1095 days'),
+  handleValidation
+];
+
+// Admin reminder timing and channels update
+export const reminderSettingsValidation = [
+  body(['appointmentReminder', 'onTheWay', 'depositNudge'])
+    .isObject()
+    .withMessage('Each reminder needs its settings'),
+  body(['appointmentReminder.enabled', 'onTheWay.enabled', 'depositNudge.enabled'])
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean(),
+  body(['appointmentReminder.channels', 'onTheWay.channels', 'depositNudge.channels'])
+    .isArray({ max: REMINDER_CHANNELS.length })
+    .withMessage('Channels must be a list'),
+  body(['appointmentReminder.channels.*', 'onTheWay.channels.*', 'depositNudge.channels.*'])
+    .isIn(REMINDER_CHANNELS)
+    .withMessage('Channels must be email or sms'),
+  body('appointmentReminder.hoursBefore')
+    .isFloat({ min: 1, max: 168 })
+    .withMessage('Reminder must go out between 1 and 168 hours before the appointment'),
+  body('onTheWay.minutesBefore')
+    .isInt({ min: 5, max: 480 })
+    .withMessage('On-our-way message must go out between 5 and 480 minutes before the appointment'),
+  body('depositNudge.minutesAfterBooking')
+    .isArray({ max: 5 })
+    .withMessage('Add at most 5 deposit nudges'),
+  body('depositNudge.minutesAfterBooking.*')
+    .isInt({ min: 5, max: 20160 })
+    .withMessage('Deposit nudges must go out between 5 minutes and 14 days after booking')
+    .toInt(),
+  handleValidation
+];
+
+// Admin loyalty program update
+export const loyaltyProgramValidation = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean(),
+  body('pointsPerDollar')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Points per dollar must be between 0 and 100')
+    .toFloat(),
+  body('redeemPoints')
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Points needed for a reward must be between 1 and 100000')
+    .toInt(),
+  body('redeemValue')
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Reward value must be between $0.01 and $10000')
+    .toFloat(),
+  body('punchCards')
+    .isArray({ max: 20 })
+    .withMessage('Add at most 20 punch cards'),
+  body('punchCards.*.serviceId')
+    .isInt({ min: 1 })
+    .withMessage('Each punch card needs its service')
+    .toInt(),
+  body('punchCards.*.paidVisits')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Paid visits before a free one must be between 1 and 50')
+    .toInt(),
+  handleValidation
+];
+
+// Admin referral program update
+export const referralProgramValidation = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean(),
+  body('referrerCredit')
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Referrer credit must be between $0 and $1000')
+    .toFloat(),
+  body('referredCredit')
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('New customer credit must be between $0 and $1000')
+    .toFloat(),
+  body('creditValidDays')
+    .isInt({ min: 1, max: 1825 })
+    .withMessage('Credits must be valid for between 1 and 1825 days')
+    .toInt(),
+  body('dailyLimit')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Daily limit must be between 0 and 100')
+    .toInt(),
+  handleValidation
+];
+
+// Job report checklist and notes, from a technician or admin
+export const jobReportValidation = [
+  body('checklist')
+    .isArray({ max: 10 })
+    .withMessage('Checklist must be a list of sections'),
+  body('checklist.*.label')
+    .isString()
+    .withMessage('Each checklist section needs its label'),
+  body('checklist.*.items')
+    .isArray({ max: 50 })
+    .withMessage('Each checklist section needs its items'),
+  body('checklist.*.items.*.item')
+    .isString()
+    .withMessage('Each checklist item needs its text'),
+  body('checklist.*.items.*.done')
+    .isBoolean({ strict: true })
+    .withMessage('done must be true or false'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+    .escape(),
+  handleValidation
+];
+
+// Job report photo upload; the image itself is the request body
+export const reportPhotoValidation = [
+  query('kind')
+    .isIn(PHOTO_KINDS)
+    .withMessage('kind must be before or after'),
+  handleValidation
+];
+
+export const reportPhotoParamValidation = [
+  param(['id', 'photoId'])
+    .isInt({ min: 1 })
+    .withMessage('Valid ID is required'),
+  handleValidation
+];
+
+// Admin service checklist replace
+export const serviceChecklistValidation = [
+  param('serviceId')
+    .isInt({ min: 1 })
+    .withMessage('Valid service ID is required'),
+  body('checklist')
+    .isArray({ max: 50 })
+    .withMessage('Checklist can have at most 50 items'),
+  body('checklist.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist items must be between 1 and 200 characters')
+    .escape(),
+  handleValidation
+];
+
+// Admin saved vehicle create/update. Creating needs the customer and size class.
+export const customerVehicleValidation = [
+  body('customerEmail')
+    .if((value, { req }) => req.method === 'POST')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('customerPhone')
+    .optional({ values: 'falsy' })
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  body('sizeClass')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isIn(VEHICLE_SIZE_CLASSES)
+    .withMessage('Size class must be sedan, suv, or commercial'),
+  ...vehicleDetailRules(['']),
+  handleValidation
+];
+
+// Admin saved vehicle list for a customer
+export const customerVehicleListValidation = [
+  query('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  handleValidation
+];
+
+// Admin customer list, on top of the list parameters
+export const customerListValidation = [
+  query('tag')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isLength({ max: 30 })
+    .withMessage('Tag cannot exceed 30 characters'),
+  handleValidation
+];
+
+// Admin customer profile update
+export const customerUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters')
+    .escape(),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+    .escape(),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be a list of at most 20'),
+  body('tags.*')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9 -]{0,29}$/)
+    .withMessage('Tags can only have letters, numbers, spaces and dashes (30 characters max)'),
+  handleValidation
+];
+
+// Merge duplicate customers into the one in the URL
+export const customerMergeValidation = [
+  body('customerIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Pick between 1 and 20 customers to merge'),
+  body('customerIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Valid customer ID is required')
+    .toInt(),
+  handleValidation
+];
+
+// Admin adds or takes away loyalty points or punches
+export const loyaltyAdjustValidation = [
+  body('kind')
+    .isIn(LOYALTY_KINDS)
+    .withMessage('Kind must be points or punch'),
+  body('serviceId')
+    .if(body('kind').equals('punch'))
+    .isInt({ min: 1 })
+    .withMessage('Pick the service the punches are for')
+    .toInt(),
+  body('amount')
+    .isInt({ min: -100000, max: 100000 })
+    .withMessage('Amount must be a whole number')
+    .bail()
+    .custom(amount => parseInt(amount, 10) !== 0)
+    .withMessage('Amount cannot be zero')
+    .toInt(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .escape(),
+  handleValidation
+];
+
+// Admin referral report: optional date range (YYYY-MM-DD) and status
+export const referralReportValidation = [
+  query('from')
+    .optional({ values: 'falsy' })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('from must be a date in YYYY-MM-DD format'),
+  query('to')
+    .optional({ values: 'falsy' })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('to must be a date in YYYY-MM-DD format'),
+  query('status')
+    .optional({ values: 'falsy' })
+    .isIn(REFERRAL_STATUSES)
+    .withMessage('Invalid referral status'),
+  handleValidation
+];
+
+// Admin approves or rejects a referral, with an optional note
+export const referralReviewValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .escape(),
+  handleValidation
+];
+
+// Customer portal sign-in: an email or a phone number to send the code to
+const portalContactRules = [
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  body('email')
+    .custom((email, { req }) => Boolean(email || req.body.phone))
+    .withMessage('Enter your email or phone number')
+];
+
+export const portalCodeRequestValidation = [
+  ...portalContactRules,
+  handleValidation
+];
+
+export const portalCodeVerifyValidation = [
+  ...portalContactRules,
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code'),
+  handleValidation
+];
+
+// Customer books a past booking again from the portal
+export const portalRebookValidation = [
+  body('bookingDate')
+    .isISO8601()
+    .withMessage('Valid date is required')
+    .toDate(),
+  body('bookingTime')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Valid time in HH:MM format is required')
+    .bail()
+    .custom(checkBookingTimeAllowed),
+  handleValidation
+];
+
+// Saved vehicle lookup from the quote form
+export const vehicleLookupValidation = [
+  body('customerEmail')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('customerPhone')
+    .matches(/^[\d\s\-\+\(\)]{10,20}$/)
+    .withMessage('Valid phone number is required'),
+  handleValidation
+];
+
+// Admin service zone create/replace
+export const serviceZoneValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Zone name must be between 1 and 100 characters')
+    .escape(),
+  body('travelFee')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Travel fee must be between 0 and 1000')
+    .toFloat(),
+  body('outOfArea')
+    .optional()
+    .isBoolean()
+    .withMessage('Out of area must be a boolean')
+    .toBoolean(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+    .toBoolean(),
+  body('zipCodes')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Between 1 and 500 ZIP codes are required'),
+  body('zipCodes.*')
+    .trim()
+    .matches(/^\d{5}$/)
+    .withMessage('ZIP codes must be 5 digits'),
+  handleValidation
+];
+
+export const zipLookupValidation = [
+  query('zip')
+    .trim()
+    .matches(/^\d{5}$/)
+    .withMessage('A 5-digit ZIP code is required'),
+  handleValidation
+];
+
 export const reviewValidation = [
   body('customerName')
     .trim()
@@ -0,0 +1,102 @@
+import pool from '../config/database.js';
+import { createCustomerVehicle, formatVehicleLabel, hasVehicleDetails } from './customerVehicles.js';
+
+// Vehicles a single booking can cover (one household visit)
+export const MAX_VEHICLES_PER_BOOKING = 5;
+
+/**
+ * Save priced vehicles (from priceVehicles) and their add-ons for a booking.
+ * Vehicles with details and no saved vehicle are saved for the customer.
+ * Must run inside the booking's transaction. Returns the saved vehicle ids in order.
+ */
+export async function insertBookingVehicles(client, bookingId, vehicles, customer = {}) {
+  const customerVehicleIds = [];
+
+  for (const [index, vehicle] of vehicles.entries()) {
+    let customerVehicleId = vehicle.customerVehicleId || null;
+    if (!customerVehicleId && hasVehicleDetails(vehicle.details) && customer.email) {
+      customerVehicleId = (await createCustomerVehicle(client, {
+        ...vehicle.details,
+        customerId: customer.id,
+        customerEmail: customer.email,
+        customerPhone: customer.phone,
+        sizeClass: vehicle.vehicleType
+      })).id;
+    }
+    customerVehicleIds.push(customerVehicleId);
+
+    const result = await client.query(
+      `INSERT INTO booking_vehicles
+       (booking_id, vehicle_type, service_id, package_id, service_price, subtotal, duration_minutes,
+        sort_order, customer_vehicle_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [bookingId, vehicle.vehicleType, vehicle.serviceId, vehicle.packageId, vehicle.servicePrice,
+       vehicle.subtotal, vehicle.durationMinutes, index, customerVehicleId]
+    );
+
+    for (const addon of vehicle.addons) {
+      await client.query(
+        `INSERT INTO booking_addons (booking_id, addon_id, price_charged, booking_vehicle_id)
+         VALUES ($1, $2, $3, $4)`,
+        [bookingId, addon.id, addon.price, result.rows[0].id]
+      );
+    }
+  }
+
+  return customerVehicleIds;
+}
+
+/**
+ * Vehicles on a booking with their service name and add-ons, in the order they were entered
+ */
+export async function getBookingVehicles(bookingId, db = pool) {
+  const result = await db.query(
+    `SELECT bv.id, bv.vehicle_type, bv.service_id, bv.package_id, bv.service_price, bv.subtotal,
+            bv.duration_minutes, bv.customer_vehicle_id, COALESCE(s.name, p.name) as service_name,
+            cv.make, cv.model, cv.year, cv.color, cv.plate, cv.notes as vehicle_notes,
+            COALESCE(
+              json_agg(json_build_object('id', a.id, 'name', a.name, 'price', ba.price_charged))
+                FILTER (WHERE a.id IS NOT NULL),
+              '[]'
+            ) as addons
+     FROM booking_vehicles bv
+     LEFT JOIN services s ON bv.service_id = s.id
+     LEFT JOIN packages p ON bv.package_id = p.id
+     LEFT JOIN customer_vehicles cv ON bv.customer_vehicle_id = cv.id
+     LEFT JOIN booking_addons ba ON ba.booking_vehicle_id = bv.id
+     LEFT JOIN addons a ON ba.addon_id = a.id
+     WHERE bv.booking_id = $1
+     GROUP BY bv.id, s.name, p.name, cv.id
+     ORDER BY bv.sort_order ASC, bv.id ASC`,
+    [bookingId]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    vehicleType: row.vehicle_type,
+    serviceId: row.service_id,
+    packageId: row.package_id,
+    serviceName: row.service_name,
+    servicePrice: parseFloat(row.service_price),
+    subtotal: parseFloat(row.subtotal),
+    durationMinutes: row.duration_minutes,
+    addons: row.addons.map(addon => ({ ...addon, price: parseFloat(addon.price) })),
+    customerVehicle: row.customer_vehicle_id
+      ? {
+        id: row.customer_vehicle_id,
+        label: formatVehicleLabel(row),
+        plate: row.plate,
+        notes: row.vehicle_notes
+      }
+      : null
+  }));
+}
+
+/**
+ * One-line description of a booking's vehicles for notifications,
+ * e.g. "suv - Full Detail; sedan - Exterior Wash"
+ */
+export function formatVehicleSummary(vehicles) {
+  return vehicles.map(vehicle => `${vehicle.vehicleType} - ${vehicle.serviceName}`).join('; ');
+}
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { sendNotification } from './notifications.js';
+import {
+  getAvailableSlots,
+  getBusinessNow,
+  getSchedulingRules,
+  lockBookingDate,
+  toDateString
+} from './availability.js';
+
+// How long a waitlisted customer has to claim an opened slot before it goes to the next in line
+export const WAITLIST_CLAIM_MINUTES = 120;
+
+export function generateWaitlistToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function buildClaimLink(entryId, token) {
+  const baseUrl = process.env.APP_URL || 'https://showersautodetail.com';
+  return `${baseUrl}/waitlist?id=${entryId}&token=${token}`;
+}
+
+/**
+ * Load a waitlist entry for a token-authenticated customer request.
+ * Returns null when the entry doesn't exist or the token doesn't match.
+ */
+export async function getWaitlistEntry(id, token, db = pool, { forUpdate = false } = {}) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT w.*, w.requested_date::text as requested_date, s.name as service_name,
+            w.claim_expires_at < NOW() as claim_expired
+     FROM waitlist_entries w
+     LEFT JOIN services s ON w.service_id = s.id
+     WHERE w.id = $1${forUpdate ? ' FOR UPDATE OF w' : ''}`,
+    [id]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].token !== token) {
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Offer an opened slot on a date to the waitlist. Overdue offers expire first,
+ * then the earliest waiting customer whose job fits an open slot is notified with
+ * a claim link. Only one offer per date is open at a time so customers are
+ * offered slots strictly in the order they joined.
+ */
+export async function offerOpenSlots(date) {
+  const dateString = toDateString(date);
+
+  // Past dates have nothing left to offer
+  if (dateString < getBusinessNow().date) {
+    return null;
+  }
+
+  const client = await pool.connect();
+  let offer = null;
+
+  try {
+    await client.query('BEGIN');
+
+    await lockBookingDate(client, dateString);
+
+    await client.query(
+      `UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE requested_date = $1 AND status = 'notified' AND claim_expires_at < NOW()`,
+      [dateString]
+    );
+
+    const openOffer = await client.query(
+      "SELECT id FROM waitlist_entries WHERE requested_date = $1 AND status = 'notified' LIMIT 1",
+      [dateString]
+    );
+
+    if (openOffer.rows.length === 0) {
+      const waiting = await client.query(
+        `SELECT w.*, s.name as service_name
+         FROM waitlist_entries w
+         LEFT JOIN services s ON w.service_id = s.id
+         WHERE w.requested_date = $1 AND w.status = 'waiting'
+         ORDER BY w.created_at ASC, w.id ASC`,
+        [dateString]
+      );
+
+      const rules = await getSchedulingRules(client);
+
+      for (const entry of waiting.rows) {
+        const slots = await getAvailableSlots(dateString, entry.duration_minutes, rules, {}, client);
+        if (slots.length === 0) {
+          continue;
+        }
+
+        const result = await client.query(
+          `UPDATE waitlist_entries
+           SET status = 'notified', notified_at = NOW(),
+               claim_expires_at = NOW() + make_interval(mins => $1), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING claim_expires_at`,
+          [WAITLIST_CLAIM_MINUTES, entry.id]
+        );
+
+        offer = { entry, slots, expiresAt: result.rows[0].claim_expires_at };
+        break;
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error offering waitlist slots:', error);
+    return null;
+  } finally {
+    client.release();
+  }
+
+  if (offer) {
+    await sendNotification({
+      type: 'waitlist_slot_available',
+      data: {
+        waitlistId: offer.entry.id,
+        customerName: offer.entry.customer_name,
+        customerEmail: offer.entry.customer_email,
+        customerPhone: offer.entry.customer_phone,
+        serviceName: offer.entry.service_name,
+        bookingDate: dateString,
+        slots: offer.slots,
+        claimMinutes: WAITLIST_CLAIM_MINUTES,
+        claimLink: buildClaimLink(offer.entry.id, offer.entry.token)
+      }
+    });
+  }
+
+  return offer;
+}
+
+/**
+ * Pass slots on to the next customer for every date whose open offer has run out,
+ * and close out entries for dates that have already gone by
+ */
+export async function processExpiredOffers() {
+  const today = getBusinessNow().date;
+
+  await pool.query(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE requested_date < $1 AND status IN ('waiting', 'notified')`,
+    [today]
+  );
+
+  const expired = await pool.query(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'notified' AND claim_expires_at < NOW()
+     RETURNING requested_date::text as requested_date`
+  );
+
+  const dates = new Set(expired.rows.map(row => row.requested_date));
+  for (const date of dates) {
+    await offerOpenSlots(date);
+  }
+}
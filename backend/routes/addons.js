@@ -1,5 +1,7 @@
 import express from 'express';
 import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { serviceChecklistValidation } from '../middleware/validators.js';
 
 const router = express.Router();
 
@@ -63,6 +65,27 @@ router.get('/services/all', async (req, res) => {
   }
 });
 
+// Replace the checklist technicians work through for a service (admin only)
+router.put('/services/:serviceId/checklist', authenticateToken, requireRole('admin'), serviceChecklistValidation, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE services SET checklist = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(req.body.checklist), req.params.serviceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating service checklist:', error);
+    res.status(500).json({ error: 'Failed to update service checklist' });
+  }
+});
+
 // Get included and available addons for a specific service
 router.get('/services/:serviceId/addons', async (req, res) => {
   try {
@@ -25,34 +25,43 @@ router.post('/login', loginValidation, async (req, res) => {
       return res.status(500).json({ error: 'Server configuration error' });
     }
 
-    if (email !== adminEmail) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
     let user = null;
-    const userResult = await pool.query(
-      'SELECT * FROM admin_users WHERE email = $1',
-      [adminEmail]
-    );
 
-    if (userResult.rows.length > 0) {
-      user = userResult.rows[0];
+    if (email !== adminEmail) {
+      // Staff accounts (e.g. technicians) created by an admin sign in with their own password
+      const staffResult = await pool.query(
+        "SELECT * FROM admin_users WHERE email = $1 AND is_active = true AND password_hash != 'ENV_MANAGED'",
+        [email]
+      );
+      if (staffResult.rows.length === 0) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      user = staffResult.rows[0];
+    } else {
+      const userResult = await pool.query(
+        'SELECT * FROM admin_users WHERE email = $1',
+        [adminEmail]
+      );
 
-      if (user.password_hash === 'ENV_MANAGED') {
+      if (userResult.rows.length > 0) {
+        user = userResult.rows[0];
+
+        if (user.password_hash === 'ENV_MANAGED') {
+          const hashedPassword = await bcrypt.hash(adminPassword, BCRYPT_ROUNDS);
+          await pool.query(
+            'UPDATE admin_users SET password_hash = $1 WHERE id = $2',
+            [hashedPassword, user.id]
+          );
+          user.password_hash = hashedPassword;
+        }
+      } else {
         const hashedPassword = await bcrypt.hash(adminPassword, BCRYPT_ROUNDS);
-        await pool.query(
-          'UPDATE admin_users SET password_hash = $1 WHERE id = $2',
-          [hashedPassword, user.id]
+        const result = await pool.query(
+          'INSERT INTO admin_users (email, password_hash, name, role) VALUES ($1, $2, $3, $4) RETURNING *',
+          [adminEmail, hashedPassword, 'Admin', 'admin']
         );
-        user.password_hash = hashedPassword;
+        user = result.rows[0];
       }
-    } else {
-      const hashedPassword = await bcrypt.hash(adminPassword, BCRYPT_ROUNDS);
-      const result = await pool.query(
-        'INSERT INTO admin_users (email, password_hash, name, role) VALUES ($1, $2, $3, $4) RETURNING *',
-        [adminEmail, hashedPassword, 'Admin', 'admin']
-      );
-      user = result.rows[0];
     }
 
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
@@ -76,7 +85,7 @@ router.post('/login', loginValidation, async (req, res) => {
 
     // Generate access token
     const accessToken = jwt.sign(
-      { id: user.id, email: adminEmail, role: 'admin' },
+      { id: user.id, email: user.email, role: user.role },
       process.env.JWT_SECRET,
       { expiresIn: ACCESS_TOKEN_EXPIRY }
     );
@@ -96,7 +105,7 @@ router.post('/login', loginValidation, async (req, res) => {
       accessToken,
       refreshToken,
       expiresIn: ACCESS_TOKEN_EXPIRY,
-      user: { id: user.id, email: adminEmail, name: user.name || 'Admin', role: 'admin' }
+      user: { id: user.id, email: user.email, name: user.name || 'Admin', role: user.role }
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -1,15 +1,245 @@
 import express from 'express';
-import crypto from 'crypto';
 import pool from '../config/database.js';
 import { sendNotification } from '../middleware/notifications.js';
-import { bookingValidation, idParamValidation } from '../middleware/validators.js';
+import {
+  bookingValidation,
+  idParamValidation,
+  availabilityValidation,
+  rescheduleValidation,
+  cancelValidation,
+  loyaltyRedeemValidation,
+  statusChangeValidation,
+  routePlanValidation,
+  technicianAssignmentValidation,
+  archiveValidation,
+  refundValidation,
+  listQueryValidation,
+  jobReportValidation,
+  reportPhotoValidation,
+  reportPhotoParamValidation
+} from '../middleware/validators.js';
 import { bookingLimiter } from '../middleware/rateLimiter.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  DEFAULT_DURATION_MINUTES,
+  checkBookingWindow,
+  findConflictingBooking,
+  getAvailableSlots,
+  getDateRestriction,
+  getJobDuration,
+  getSchedulingRules,
+  lockBookingDate,
+  minutesUntil,
+  toDateString,
+  toMinutes
+} from '../middleware/availability.js';
+import {
+  BOOKING_STATUSES,
+  SYSTEM_STATUSES,
+  UPCOMING_STATUSES,
+  applyPaymentStatus,
+  getStatusHistory,
+  lockBooking,
+  lockBookingWithDates,
+  runStatusSideEffects,
+  transitionBookingStatus
+} from '../middleware/bookingStatus.js';
+import { formatVehicleSummary, getBookingVehicles } from '../middleware/vehicles.js';
+import {
+  TECHNICIAN_ROLE,
+  TECHNICIAN_STATUSES,
+  assignTechnicians,
+  clearTechnicians,
+  getBookingTechnicians,
+  isAssignedTechnician
+} from '../middleware/staff.js';
+import { diffBooking, getBookingAudit, recordBookingAudit } from '../middleware/bookingAudit.js';
+import { archiveBooking, hasRecordedPayment, restoreBooking } from '../middleware/bookingArchive.js';
+import { recordRefund } from '../middleware/bookingRefunds.js';
+import {
+  DEPOSIT_SETTLING_STATUSES,
+  decideDepositOutcome,
+  getCancellationPolicy,
+  refundDeposit
+} from '../middleware/cancellationPolicy.js';
+import {
+  buildManageLink,
+  buildPaymentLink,
+  generatePaymentToken,
+  insertBooking,
+  prepareBooking
+} from '../middleware/bookings.js';
+import { offerOpenSlots } from '../middleware/waitlist.js';
+import { releaseDepositHold } from '../middleware/depositHolds.js';
+import { getBookingReminders } from '../middleware/reminders.js';
+import {
+  MAX_PHOTO_BYTES,
+  PHOTO_CONTENT_TYPES,
+  REPORT_STATUSES,
+  addReportPhoto,
+  deleteReportPhoto,
+  formatCustomerReport,
+  getJobReport,
+  getReportPhoto,
+  hasJobReport,
+  saveJobReport
+} from '../middleware/jobReports.js';
+import { planDailyRoute } from '../middleware/routePlanning.js';
+import { resolveCustomerVehicles } from '../middleware/customerVehicles.js';
+import { matchCustomer } from '../middleware/customers.js';
+import { awardLoyalty, getAvailableRewards, redeemLoyaltyReward } from '../middleware/loyalty.js';
+import { notifyReferralCredits, rewardReferral } from '../middleware/referrals.js';
+import { BOOKING_LIST, buildListQuery, formatListPage } from '../middleware/listQuery.js';
 
 const router = express.Router();
 
-function generatePaymentToken() {
-  return crypto.randomBytes(16).toString('hex');
+// Bookings customers may still reschedule or cancel themselves
+const SELF_SERVICE_STATUSES = ['pending', 'confirmed'];
+
+// Load a booking for a token-authenticated customer request; forUpdate locks
+// its row. Returns null when the booking doesn't exist or the token doesn't match.
+async function getCustomerBooking(id, token, db = pool, { forUpdate = false } = {}) {
+  if (!token) {
+    return null;
+  }
+
+  // booking_date is read as text so date math isn't shifted by the server timezone
+  const result = await db.query(
+    `SELECT b.*, b.booking_date::text as booking_date,
+            COALESCE(b.duration_minutes, s.duration_minutes, $2) as job_duration,
+            COALESCE(s.name, p.name) as service_name
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN packages p ON b.package_id = p.id
+     WHERE b.id = $1${forUpdate ? ' FOR UPDATE OF b' : ''}`,
+    [id, DEFAULT_DURATION_MINUTES]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].payment_token !== token) {
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+// How long a booking's job runs, for bookings saved before durations were stored
+async function getBookingDuration(db, booking) {
+  if (booking.duration_minutes) {
+    return booking.duration_minutes;
+  }
+
+  const result = await db.query('SELECT duration_minutes FROM services WHERE id = $1', [booking.service_id]);
+  return result.rows[0]?.duration_minutes || DEFAULT_DURATION_MINUTES;
+}
+
+// Why a customer can't change this booking online, or null if they can
+function getSelfServiceRestriction(booking, rules) {
+  if (!SELF_SERVICE_STATUSES.includes(booking.status)) {
+    return 'This booking can no longer be changed online';
+  }
+
+  if (minutesUntil(booking.booking_date, booking.booking_time) < rules.cancellationWindowHours * 60) {
+    return `Changes must be made at least ${rules.cancellationWindowHours} hours before your appointment. Please call us to make changes.`;
+  }
+
+  return null;
+}
+
+// After a booking has moved, send the customer the new time (with an updated
+// calendar invite) and offer the old slot to that day's waitlist. previous is
+// { date, time } from before the move. The move is already saved, so a
+// failure here is only logged.
+async function runRescheduleSideEffects(bookingId, previous, { rescheduledBy = 'customer' } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT b.*, b.booking_date::text as booking_date, COALESCE(s.name, p.name) as service_name
+       FROM bookings b
+       LEFT JOIN services s ON b.service_id = s.id
+       LEFT JOIN packages p ON b.package_id = p.id
+       WHERE b.id = $1`,
+      [bookingId]
+    );
+    const booking = result.rows[0];
+
+    if (booking) {
+      await sendNotification({
+        type: 'booking_rescheduled',
+        data: {
+          bookingId: booking.id,
+          customerName: booking.customer_name,
+          customerEmail: booking.customer_email,
+          customerPhone: booking.customer_phone,
+          serviceName: booking.service_name,
+          previousDate: previous.date,
+          previousTime: previous.time,
+          bookingDate: booking.booking_date,
+          bookingTime: booking.booking_time,
+          manageLink: buildManageLink(booking.id, booking.payment_token),
+          rescheduledBy
+        }
+      });
+    }
+
+    await offerOpenSlots(previous.date);
+  } catch (error) {
+    console.error('Error after rescheduling booking:', error);
+  }
+}
+
+// Load a booking for a job report request. Technicians only get their own jobs.
+// Report photos are served with the payment token, so a booking without one
+// (e.g. imported) gets one here. Returns null when not found.
+async function getReportBooking(id, user) {
+  const result = await pool.query(
+    `SELECT b.*, b.booking_date::text as booking_date, COALESCE(s.name, p.name) as service_name
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN packages p ON b.package_id = p.id
+     WHERE b.id = $1`,
+    [id]
+  );
+
+  const booking = result.rows[0];
+  if (!booking || (user.role === TECHNICIAN_ROLE && !await isAssignedTechnician(id, user.id))) {
+    return null;
+  }
+
+  if (!booking.payment_token) {
+    const updated = await pool.query(
+      'UPDATE bookings SET payment_token = COALESCE(payment_token, $1) WHERE id = $2 RETURNING payment_token',
+      [generatePaymentToken(), id]
+    );
+    booking.payment_token = updated.rows[0].payment_token;
+  }
+
+  return booking;
+}
+
+// Why a booking's job report can't be changed, or null if it can
+function getReportRestriction(booking) {
+  if (booking.archived_at) {
+    return 'Restore this booking before changing its report';
+  }
+  if (!REPORT_STATUSES.includes(booking.status)) {
+    return 'Only confirmed, in-progress or completed jobs have a report';
+  }
+  return null;
+}
+
+// Read a photo upload as raw bytes, answering size and format problems with JSON
+const readPhoto = express.raw({ type: PHOTO_CONTENT_TYPES, limit: MAX_PHOTO_BYTES });
+function readPhotoBody(req, res, next) {
+  readPhoto(req, res, error => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        error: error.status === 413 ? 'Photos must be 5 MB or smaller' : 'Could not read the photo'
+      });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send a JPEG, PNG or WebP image as the request body' });
+    }
+    next();
+  });
 }
 
 // Create a new booking (public with rate limiting and validation)
@@ -23,6 +253,9 @@ router.post('/', bookingLimiter, bookingValidation, async (req, res) => {
       packageId,
       serviceId,
       addonIds,
+      vehicles,
+      customerVehicleId,
+      vehicle,
       customLineItems,
       bookingDate,
       bookingTime,
@@ -31,151 +264,83 @@ router.post('/', bookingLimiter, bookingValidation, async (req, res) => {
       sendEmail
     } = req.body;
 
-    let totalAmount = 0;
-    let serviceName = '';
-
-    // Determine pricing based on service or package
-    if (serviceId) {
-      // Use new services table with fixed pricing
-      const serviceResult = await pool.query(
-        'SELECT name, sedan_price, suv_price, truck_price FROM services WHERE id = $1',
-        [serviceId]
-      );
-
-      if (serviceResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Service not found' });
-      }
-
-      const service = serviceResult.rows[0];
-      serviceName = service.name;
-      const vehicle = vehicleType.toLowerCase();
-
-      // Map vehicle type to price column (commercial uses truck_price)
-      if (vehicle === 'sedan') {
-        totalAmount = parseFloat(service.sedan_price);
-      } else if (vehicle === 'suv') {
-        totalAmount = parseFloat(service.suv_price);
-      } else {
-        totalAmount = parseFloat(service.truck_price); // commercial
-      }
-    } else if (packageId) {
-      // Fallback to legacy packages table
-      const packageResult = await pool.query(
-        'SELECT name, base_price, vehicle_multipliers FROM packages WHERE id = $1',
-        [packageId]
-      );
-
-      if (packageResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Package not found' });
-      }
+    // A booking can cover several vehicles; a single top-level vehicle is
+    // treated as a one-vehicle list
+    const requestedVehicles = Array.isArray(vehicles) && vehicles.length > 0
+      ? vehicles
+      : [{ vehicleType, serviceId, packageId, addonIds, customerVehicleId, vehicle }];
 
-      const { name, base_price, vehicle_multipliers } = packageResult.rows[0];
-      serviceName = name;
-      const multiplier = vehicle_multipliers[vehicleType.toLowerCase()] || 1.0;
-      totalAmount = parseFloat(base_price) * multiplier;
-    } else {
-      return res.status(400).json({ error: 'Service or package ID required' });
+    // Saved vehicles are priced as their size class
+    const resolved = await resolveCustomerVehicles(requestedVehicles, customerEmail);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
     }
 
-    let addonTotal = 0;
-    const addonDetails = [];
-
-    if (addonIds && Array.isArray(addonIds) && addonIds.length > 0) {
-      if (addonIds.length > 20) {
-        return res.status(400).json({ error: 'Too many addons selected' });
-      }
-      if (!addonIds.every(id => Number.isInteger(id) && id > 0)) {
-        return res.status(400).json({ error: 'Invalid addon ID format' });
-      }
-      const vehicle = vehicleType.toLowerCase();
-      const priceColumn = vehicle === 'commercial' ? 'commercial_price'
-        : vehicle === 'suv' ? 'suv_price' : 'sedan_price';
-
-      const placeholders = addonIds.map((_, i) => `$${i + 1}`).join(',');
-      const addonResult = await pool.query(
-        `SELECT id, name, ${priceColumn} as price FROM addons
-         WHERE id IN (${placeholders}) AND is_active = true`,
-        addonIds
-      );
-
-      for (const addon of addonResult.rows) {
-        addonTotal += parseFloat(addon.price);
-        addonDetails.push({
-          id: addon.id,
-          name: addon.name,
-          price: parseFloat(addon.price)
-        });
-      }
+    const prepared = await prepareBooking({
+      vehicles: resolved.vehicles,
+      customLineItems,
+      address,
+      bookingDate,
+      bookingTime
+    });
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
     }
 
-    totalAmount += addonTotal;
+    const pricedVehicles = prepared.vehicles;
+    const [primaryVehicle] = pricedVehicles;
+    const serviceName = primaryVehicle.serviceName;
+    const vehicleSummary = formatVehicleSummary(pricedVehicles);
+    const { totalAmount, depositAmount, durationMinutes, customItems: validCustomItems, travelFee } = prepared;
+    const { depositHoldMinutes } = await getSchedulingRules();
 
-    let customItemsTotal = 0;
-    const validCustomItems = [];
-    if (customLineItems && Array.isArray(customLineItems)) {
-      if (customLineItems.length > 20) {
-        return res.status(400).json({ error: 'Too many custom line items' });
-      }
-      for (const item of customLineItems) {
-        if (item.name && typeof item.name === 'string' && typeof item.price === 'number' && item.price > 0 && item.price < 10000) {
-          customItemsTotal += parseFloat(item.price);
-          validCustomItems.push({
-            name: item.name.substring(0, 200),
-            price: parseFloat(item.price)
-          });
-        }
-      }
-    }
-    totalAmount += customItemsTotal;
+    // Generate payment token for secure payment links
+    const paymentToken = generatePaymentToken();
 
-    // Get deposit percentage from settings
-    const settingsResult = await pool.query(
-      "SELECT value FROM settings WHERE key = 'deposit_percentage'"
-    );
-    const depositPercentage = settingsResult.rows.length > 0
-      ? parseFloat(settingsResult.rows[0].value)
-      : parseFloat(process.env.DEPOSIT_PERCENTAGE || 0.25);
+    const client = await pool.connect();
+    let booking;
 
-    const depositAmount = totalAmount * depositPercentage;
+    try {
+      await client.query('BEGIN');
 
-    // Generate payment token for secure payment links
-    const paymentToken = generatePaymentToken();
+      await lockBookingDate(client, bookingDate);
 
-    // Insert booking
-    const result = await pool.query(
-      `INSERT INTO bookings
-       (customer_name, customer_email, customer_phone, vehicle_type, package_id, service_id,
-        booking_date, booking_time, address, notes, total_amount, deposit_amount, status, payment_token)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-       RETURNING *`,
-      [customerName, customerEmail, customerPhone, vehicleType, packageId || null, serviceId || null,
-       bookingDate, bookingTime, address, notes, totalAmount, depositAmount, 'pending', paymentToken]
-    );
+      const conflict = await findConflictingBooking({
+        date: bookingDate,
+        time: bookingTime,
+        duration: durationMinutes
+      }, client);
 
-    const booking = result.rows[0];
+      if (conflict) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Selected time slot is no longer available' });
+      }
 
-    // Insert selected addons into booking_addons table
-    if (addonDetails.length > 0) {
-      const addonInserts = addonDetails.map(addon =>
-        pool.query(
-          'INSERT INTO booking_addons (booking_id, addon_id, price_charged) VALUES ($1, $2, $3)',
-          [booking.id, addon.id, addon.price]
-        )
-      );
-      await Promise.all(addonInserts);
-    }
+      booking = await insertBooking(client, {
+        ...prepared,
+        customerName,
+        customerEmail,
+        customerPhone,
+        bookingDate,
+        bookingTime,
+        address,
+        notes,
+        paymentToken,
+        holdMinutes: depositHoldMinutes
+      });
 
-    // Insert custom line items
-    if (validCustomItems.length > 0) {
-      const customInserts = validCustomItems.map(item =>
-        pool.query(
-          'INSERT INTO custom_line_items (booking_id, name, price) VALUES ($1, $2, $3)',
-          [booking.id, item.name, item.price]
-        )
-      );
-      await Promise.all(customInserts);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
+    const paymentLink = buildPaymentLink(booking.id, paymentToken);
+    const manageLink = buildManageLink(booking.id, paymentToken);
+    const addonDetails = pricedVehicles.flatMap(vehicle => vehicle.addons);
+
     // Send notification (unless sendEmail is explicitly false)
     if (sendEmail !== false) {
       await sendNotification({
@@ -185,30 +350,35 @@ router.post('/', bookingLimiter, bookingValidation, async (req, res) => {
           customerName,
           customerEmail,
           customerPhone,
-          vehicleType,
+          vehicleType: primaryVehicle.vehicleType,
+          vehicleSummary,
           serviceName,
           bookingDate,
           bookingTime,
           totalAmount,
           depositAmount,
           addons: addonDetails,
-          customItems: validCustomItems
+          customItems: validCustomItems,
+          travelFee,
+          holdMinutes: depositHoldMinutes,
+          paymentLink,
+          manageLink
         }
       });
     }
 
-    // Build payment link
-    const baseUrl = process.env.APP_URL || 'https://showersautodetail.com';
-    const paymentLink = `${baseUrl}/pay?id=${booking.id}&token=${paymentToken}`;
-
     res.status(201).json({
       success: true,
       booking,
       totalAmount: parseFloat(totalAmount.toFixed(2)),
       depositAmount: parseFloat(depositAmount.toFixed(2)),
+      vehicles: pricedVehicles,
       addons: addonDetails,
       customItems: validCustomItems,
-      paymentLink
+      travelFee,
+      holdMinutes: depositHoldMinutes,
+      paymentLink,
+      manageLink
     });
   } catch (error) {
     console.error('Error creating booking:', error);
@@ -216,34 +386,124 @@ router.post('/', bookingLimiter, bookingValidation, async (req, res) => {
   }
 });
 
-// Get all bookings (admin only)
-router.get('/', authenticateToken, async (req, res) => {
+// Get open start times for a day (public) - MUST be before /:id route
+router.get('/availability', availabilityValidation, async (req, res) => {
+  try {
+    const { date, serviceId, addonIds } = req.query;
+    const parsedAddonIds = addonIds ? addonIds.split(',').map(id => parseInt(id, 10)) : [];
+
+    if (parsedAddonIds.length > 20) {
+      return res.status(400).json({ error: 'Too many addons selected' });
+    }
+
+    const durationMinutes = await getJobDuration({
+      serviceId: parseInt(serviceId, 10),
+      addonIds: parsedAddonIds
+    });
+
+    if (durationMinutes === null) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const rules = await getSchedulingRules();
+    const restriction = getDateRestriction(date, rules);
+    const slots = restriction ? [] : await getAvailableSlots(date, durationMinutes, rules);
+
+    res.json({
+      date: toDateString(date),
+      durationMinutes,
+      slots,
+      reason: restriction,
+      // A bookable day with nothing left can be waitlisted (POST /api/waitlist)
+      waitlistAvailable: !restriction && slots.length === 0
+    });
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Get all bookings (admin), or the ones a technician is assigned to.
+// Archived bookings are left out unless ?archived=true, which lists only those.
+// Passing page or limit returns { data, pagination } instead of every match.
+router.get('/', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), listQueryValidation, async (req, res) => {
   try {
+    const technicianId = req.user.role === TECHNICIAN_ROLE ? req.user.id : null;
+    const archived = req.query.archived === 'true';
+    const list = buildListQuery(req.query, BOOKING_LIST, {
+      conditions: [
+        '(b.archived_at IS NOT NULL) = $2',
+        '($1::integer IS NULL OR EXISTS (SELECT 1 FROM booking_technicians bt WHERE bt.booking_id = b.id AND bt.user_id = $1))'
+      ],
+      values: [technicianId, archived]
+    });
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
     const result = await pool.query(
-      `SELECT b.*, p.name as package_name
+      `SELECT b.*, p.name as package_name,
+              (SELECT json_agg(bv.vehicle_type ORDER BY bv.sort_order, bv.id)
+               FROM booking_vehicles bv WHERE bv.booking_id = b.id) as vehicle_types,
+              (SELECT json_agg(json_build_object('id', u.id, 'name', u.name) ORDER BY u.name)
+               FROM booking_technicians bt JOIN admin_users u ON bt.user_id = u.id
+               WHERE bt.booking_id = b.id) as technicians
        FROM bookings b
        LEFT JOIN packages p ON b.package_id = p.id
-       ORDER BY b.booking_date DESC, b.booking_time DESC`
+       ${list.where}
+       ${list.orderBy}
+       ${list.limit}`,
+      list.values
     );
-    res.json(result.rows);
+
+    if (!list.paged) {
+      return res.json(result.rows);
+    }
+
+    const count = await pool.query(`SELECT COUNT(*) FROM bookings b ${list.where}`, list.values);
+    res.json(formatListPage(result.rows, parseInt(count.rows[0].count, 10), list));
   } catch (error) {
     console.error('Error fetching bookings:', error);
     res.status(500).json({ error: 'Failed to fetch bookings' });
   }
 });
 
+// Plan the driving route for a day's bookings, optionally for one technician.
+// Technicians only get their own route. MUST be before /:id route
+router.get('/route-plan', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), routePlanValidation, async (req, res) => {
+  try {
+    const technicianId = req.user.role === TECHNICIAN_ROLE ? req.user.id : req.query.technicianId;
+    res.json(await planDailyRoute(req.query.date, { technicianId }));
+  } catch (error) {
+    console.error('Error planning route:', error);
+    res.status(500).json({ error: 'Failed to plan route' });
+  }
+});
+
 // Get booking stats (admin only) - MUST be before /:id route
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const totalBookings = await pool.query('SELECT COUNT(*) FROM bookings');
 
     const pendingPayments = await pool.query(
-      'SELECT COUNT(*) FROM bookings WHERE deposit_paid = false AND status != $1',
-      ['cancelled']
+      'SELECT COUNT(*) FROM bookings WHERE deposit_paid = false AND status != ALL($1)',
+      [['cancelled', 'no_show', 'expired']]
     );
 
+    // Refunded deposits and jobs and deposits turned into credit aren't revenue
     const thisMonthRevenue = await pool.query(
-      'SELECT COALESCE(SUM(deposit_amount), 0) as revenue FROM bookings WHERE deposit_paid = true AND created_at >= date_trunc($1, CURRENT_DATE)',
+      `SELECT COALESCE(SUM(deposit_amount), 0) as revenue FROM bookings
+       WHERE deposit_paid = true AND COALESCE(deposit_outcome, 'keep') = 'keep' AND refunded_at IS NULL
+         AND created_at >= date_trunc($1, CURRENT_DATE)`,
+      ['month']
+    );
+
+    // Deposits settled by a cancellation or no-show this month
+    const depositOutcomes = await pool.query(
+      `SELECT deposit_outcome, COUNT(*) as count, SUM(deposit_outcome_amount) as amount
+       FROM bookings
+       WHERE deposit_outcome IS NOT NULL AND deposit_outcome_at >= date_trunc($1, CURRENT_DATE)
+       GROUP BY deposit_outcome`,
       ['month']
     );
 
@@ -255,6 +515,10 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
       totalBookings: parseInt(totalBookings.rows[0].count),
       pendingPayments: parseInt(pendingPayments.rows[0].count),
       thisMonthRevenue: parseFloat(thisMonthRevenue.rows[0].revenue),
+      thisMonthDepositOutcomes: depositOutcomes.rows.reduce((acc, row) => {
+        acc[row.deposit_outcome] = { count: parseInt(row.count), amount: parseFloat(row.amount) };
+        return acc;
+      }, {}),
       statusCounts: statusCounts.rows.reduce((acc, row) => {
         acc[row.status] = parseInt(row.count);
         return acc;
@@ -267,12 +531,12 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
 });
 
 // Get revenue chart data (admin only) - MUST be before /:id route
-router.get('/stats/revenue-chart', authenticateToken, async (req, res) => {
+router.get('/stats/revenue-chart', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT
         TO_CHAR(created_at::date, 'Mon DD') as date,
-        COALESCE(SUM(CASE WHEN deposit_paid = true THEN deposit_amount ELSE 0 END), 0) as revenue
+        COALESCE(SUM(CASE WHEN deposit_paid = true AND COALESCE(deposit_outcome, 'keep') = 'keep' AND refunded_at IS NULL THEN deposit_amount ELSE 0 END), 0) as revenue
       FROM bookings
       WHERE created_at >= CURRENT_DATE - INTERVAL '30 days'
       GROUP BY created_at::date
@@ -289,10 +553,14 @@ router.get('/stats/revenue-chart', authenticateToken, async (req, res) => {
   }
 });
 
-// Get single booking (with ID validation)
-router.get('/:id', idParamValidation, async (req, res) => {
+// Get single booking (admin, or a technician assigned to the job)
+router.get('/:id', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), idParamValidation, async (req, res) => {
   try {
     const { id } = req.params;
+    if (req.user.role === TECHNICIAN_ROLE && !await isAssignedTechnician(id, req.user.id)) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
     const result = await pool.query(
       `SELECT b.*, p.name as package_name, p.description as package_description
        FROM bookings b
@@ -305,7 +573,7 @@ router.get('/:id', idParamValidation, async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json({ ...result.rows[0], vehicles: await getBookingVehicles(id) });
   } catch (error) {
     console.error('Error fetching booking:', error);
     res.status(500).json({ error: 'Failed to fetch booking' });
@@ -327,7 +595,12 @@ router.get('/:id/payment-info', idParamValidation, async (req, res) => {
     const result = await pool.query(
       `SELECT b.id, b.customer_name, b.vehicle_type, b.booking_date, b.booking_time,
               b.total_amount, b.deposit_amount, b.deposit_paid, b.final_paid, b.payment_token,
-              b.coupon_code, b.coupon_discount,
+              b.coupon_code, b.coupon_discount, b.travel_fee, b.status, b.customer_id,
+              b.loyalty_reward, b.loyalty_discount,
+              (SELECT r.code FROM referrals r
+               WHERE r.booking_id = b.id AND r.status IN ('pending', 'flagged', 'rewarded')
+               ORDER BY r.id DESC LIMIT 1) as referral_code,
+              CEIL(EXTRACT(EPOCH FROM (b.hold_expires_at - CURRENT_TIMESTAMP)) / 60) as hold_minutes_left,
               COALESCE(s.name, p.name) as service_name
        FROM bookings b
        LEFT JOIN services s ON b.service_id = s.id
@@ -347,6 +620,10 @@ router.get('/:id/payment-info', idParamValidation, async (req, res) => {
       return res.status(404).json({ error: 'Invalid payment link' });
     }
 
+    if (booking.status === 'expired' && !booking.deposit_paid) {
+      return res.status(410).json({ error: 'This booking expired because the deposit was not paid in time. Please book a new time.' });
+    }
+
     // Handle final payment type
     if (paymentType === "final") {
       if (!booking.deposit_paid) {
@@ -356,7 +633,8 @@ router.get('/:id/payment-info', idParamValidation, async (req, res) => {
         return res.json({
           id: booking.id,
           alreadyPaid: true,
-          message: "Balance has already been paid"
+          message: "Balance has already been paid",
+          reportAvailable: booking.status === 'completed' && await hasJobReport(booking.id)
         });
       }
     }
@@ -367,6 +645,12 @@ router.get('/:id/payment-info', idParamValidation, async (req, res) => {
       customerFirstName: booking.customer_name.split(' ')[0],
       vehicleType: booking.vehicle_type,
       serviceName: booking.service_name,
+      vehicles: (await getBookingVehicles(booking.id)).map(vehicle => ({
+        vehicleType: vehicle.vehicleType,
+        serviceName: vehicle.serviceName,
+        subtotal: vehicle.subtotal,
+        addons: vehicle.addons.map(addon => addon.name)
+      })),
       bookingDate: booking.booking_date,
       bookingTime: booking.booking_time,
       totalAmount: parseFloat(booking.total_amount),
@@ -374,8 +658,16 @@ router.get('/:id/payment-info', idParamValidation, async (req, res) => {
       depositPaid: booking.deposit_paid,
       couponCode: booking.coupon_code || null,
       couponDiscount: booking.coupon_discount ? parseFloat(booking.coupon_discount) : 0,
+      referralCode: booking.referral_code || null,
+      loyaltyDiscount: booking.loyalty_discount ? parseFloat(booking.loyalty_discount) : 0,
+      loyaltyRewards: (await getAvailableRewards(booking)).map(({ reward, label, discount }) => ({ reward, label, discount })),
+      travelFee: booking.travel_fee ? parseFloat(booking.travel_fee) : 0,
       finalPaid: booking.final_paid,
       remainingAmount: parseFloat(booking.total_amount) - parseFloat(booking.deposit_amount),
+      holdMinutesLeft: booking.deposit_paid || booking.hold_minutes_left === null
+        ? null
+        : Math.max(parseInt(booking.hold_minutes_left, 10), 0),
+      reportAvailable: booking.status === 'completed' && await hasJobReport(booking.id),
       paymentType: paymentType
     });
   } catch (error) {
@@ -384,35 +676,754 @@ router.get('/:id/payment-info', idParamValidation, async (req, res) => {
   }
 });
 
-// Update booking status (admin only)
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+// Redeem a loyalty reward on the payment page (public, requires valid token).
+// The discount comes off total_amount like a coupon: before the deposit is paid
+// the deposit shrinks with it, after that it comes off the balance. A reward
+// that leaves no deposit to pay confirms the booking straight away.
+router.post('/:id/redeem-reward', idParamValidation, loyaltyRedeemValidation, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const { token, reward } = req.body;
 
-    const validStatuses = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const booking = await getCustomerBooking(req.params.id, token);
+    if (!booking) {
+      return res.status(404).json({ error: 'Invalid payment link' });
+    }
+
+    const client = await pool.connect();
+    let redeemed;
+    let depositCovered = false;
+    let statusChange = null;
+    let referral = null;
+
+    try {
+      await client.query('BEGIN');
+
+      redeemed = await redeemLoyaltyReward(client, await lockBooking(client, booking.id), reward);
+      if (redeemed.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: redeemed.error });
+      }
+
+      // Square can't take a $0 deposit, so the reward counts as paying it
+      if (!redeemed.booking.deposit_paid && parseFloat(redeemed.booking.deposit_amount) < 0.01) {
+        const result = await client.query(
+          `UPDATE bookings SET deposit_paid = true, deposit_amount = 0, deposit_payment_id = 'LOYALTY_REWARD', updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 RETURNING *`,
+          [booking.id]
+        );
+        redeemed.booking = result.rows[0];
+        depositCovered = true;
+
+        statusChange = await applyPaymentStatus(client, booking.id, 'confirmed', {
+          note: 'Deposit covered by a loyalty reward'
+        });
+        referral = await rewardReferral(client, booking.id);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (statusChange) {
+      redeemed.booking = statusChange.booking;
+      await runStatusSideEffects(statusChange.booking, statusChange.previousStatus, { source: 'payment' });
+    }
+    if (referral) {
+      await notifyReferralCredits(referral);
+    }
+    if (depositCovered) {
+      await sendNotification({ type: 'deposit_paid', data: redeemed.booking });
+    }
+
+    const total = parseFloat(redeemed.booking.total_amount);
+    const deposit = parseFloat(redeemed.booking.deposit_amount);
+
+    res.json({
+      success: true,
+      reward: redeemed.reward.label,
+      discountApplied: redeemed.reward.discount,
+      newTotal: parseFloat(total.toFixed(2)),
+      newDeposit: parseFloat(deposit.toFixed(2)),
+      remainingAmount: parseFloat((total - deposit).toFixed(2)),
+      depositPaid: redeemed.booking.deposit_paid,
+      status: redeemed.booking.status
+    });
+  } catch (error) {
+    console.error('Error redeeming loyalty reward:', error);
+    res.status(500).json({ error: 'Failed to redeem reward' });
+  }
+});
+
+// Completion report for the customer: checklist, notes and photos (public, requires valid token)
+router.get('/:id/completion-report', idParamValidation, async (req, res) => {
+  try {
+    const booking = await getCustomerBooking(req.params.id, req.query.token);
+    if (!booking) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (booking.status !== 'completed' || !await hasJobReport(booking.id)) {
+      return res.status(404).json({ error: 'The report for this job is not ready yet' });
+    }
+
+    res.json(formatCustomerReport(booking, await getJobReport(booking)));
+  } catch (error) {
+    console.error('Error fetching completion report:', error);
+    res.status(500).json({ error: 'Failed to fetch completion report' });
+  }
+});
+
+// A job report photo (public, requires the booking's token)
+router.get('/:id/report/photos/:photoId', reportPhotoParamValidation, async (req, res) => {
+  try {
+    const photo = await getReportPhoto(req.params.id, req.params.photoId, req.query.token);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.set('Content-Type', photo.content_type);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(photo.data);
+  } catch (error) {
+    console.error('Error fetching report photo:', error);
+    res.status(500).json({ error: 'Failed to fetch photo' });
+  }
+});
+
+// Get booking details for the customer self-service page (public, requires valid token)
+router.get('/:id/manage-info', idParamValidation, async (req, res) => {
+  try {
+    const booking = await getCustomerBooking(req.params.id, req.query.token);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Invalid booking link' });
+    }
+
+    const rules = await getSchedulingRules();
+    const restriction = getSelfServiceRestriction(booking, rules);
+    const cancellationDeposit = decideDepositOutcome(booking, 'cancelled', await getCancellationPolicy());
+
+    res.json({
+      id: booking.id,
+      customerFirstName: booking.customer_name.split(' ')[0],
+      vehicleType: booking.vehicle_type,
+      serviceName: booking.service_name,
+      vehicles: (await getBookingVehicles(booking.id)).map(vehicle => ({
+        vehicleType: vehicle.vehicleType,
+        serviceName: vehicle.serviceName
+      })),
+      bookingDate: booking.booking_date,
+      bookingTime: booking.booking_time,
+      durationMinutes: parseInt(booking.job_duration, 10),
+      status: booking.status,
+      depositPaid: booking.deposit_paid,
+      canModify: restriction === null,
+      restriction,
+      cancellationWindowHours: rules.cancellationWindowHours,
+      cancellationDeposit: cancellationDeposit && {
+        outcome: cancellationDeposit.outcome,
+        amount: cancellationDeposit.amount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching booking for customer:', error);
+    res.status(500).json({ error: 'Failed to fetch booking' });
+  }
+});
+
+// Get open start times for rescheduling a booking (public, requires valid token)
+router.get('/:id/reschedule-availability', idParamValidation, async (req, res) => {
+  try {
+    const { token, date } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Valid date is required' });
+    }
+
+    const booking = await getCustomerBooking(req.params.id, token);
+    if (!booking) {
+      return res.status(404).json({ error: 'Invalid booking link' });
+    }
+
+    const rules = await getSchedulingRules();
+    const restriction = getDateRestriction(date, rules);
+    const durationMinutes = parseInt(booking.job_duration, 10);
+    const slots = restriction
+      ? []
+      : await getAvailableSlots(date, durationMinutes, rules, { excludeBookingId: booking.id });
+
+    res.json({ date, durationMinutes, slots, reason: restriction });
+  } catch (error) {
+    console.error('Error fetching reschedule availability:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Customer reschedules their own booking (public, requires valid token)
+router.post('/:id/reschedule', idParamValidation, rescheduleValidation, async (req, res) => {
+  const { id } = req.params;
+  const { token, bookingDate, bookingTime } = req.body;
+  const client = await pool.connect();
+  let booking;
+  let updated;
+
+  try {
+    await client.query('BEGIN');
+
+    // The new date, then the row, so an admin change committed meanwhile is seen
+    await lockBookingDate(client, bookingDate);
+    booking = await getCustomerBooking(id, token, client, { forUpdate: true });
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Invalid booking link' });
+    }
+
+    const rules = await getSchedulingRules(client);
+    const restriction = getSelfServiceRestriction(booking, rules);
+    if (restriction) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: restriction });
+    }
+
+    const durationMinutes = parseInt(booking.job_duration, 10);
+    const windowError = checkBookingWindow({
+      date: bookingDate,
+      time: bookingTime,
+      duration: durationMinutes
+    }, rules);
+
+    if (windowError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: windowError });
+    }
+
+    const conflict = await findConflictingBooking({
+      date: bookingDate,
+      time: bookingTime,
+      duration: durationMinutes,
+      excludeBookingId: booking.id
+    }, client);
+
+    if (conflict) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Selected time slot is no longer available' });
+    }
+
+    const result = await client.query(
+      `UPDATE bookings SET booking_date = $1, booking_time = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id, booking_date::text as booking_date, booking_time, status`,
+      [toDateString(bookingDate), bookingTime, booking.id]
+    );
+
+    // The crew was picked for the old time; the admin reassigns for the new one
+    await clearTechnicians(client, booking.id);
+
+    await client.query('COMMIT');
+    updated = result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error rescheduling booking:', error);
+    return res.status(500).json({ error: 'Failed to reschedule booking' });
+  } finally {
+    client.release();
+  }
+
+  await runRescheduleSideEffects(booking.id, { date: booking.booking_date, time: booking.booking_time });
+
+  res.json({
+    success: true,
+    bookingDate: updated.booking_date,
+    bookingTime: updated.booking_time
+  });
+});
+
+// Customer cancels their own booking (public, requires valid token)
+router.post('/:id/cancel', idParamValidation, cancelValidation, async (req, res) => {
+  const { id } = req.params;
+  const { token, reason } = req.body;
+  let booking;
+  let cancelled;
+
+  try {
+    booking = await getCustomerBooking(id, token);
+    if (!booking) {
+      return res.status(404).json({ error: 'Invalid booking link' });
+    }
+
+    const rules = await getSchedulingRules();
+    const restriction = getSelfServiceRestriction(booking, rules);
+    if (restriction) {
+      return res.status(400).json({ error: restriction });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const transition = await transitionBookingStatus(client, await lockBooking(client, booking.id), 'cancelled', {
+        source: 'customer',
+        note: reason
+      });
+
+      if (transition.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: transition.error });
+      }
+
+      await client.query('COMMIT');
+      cancelled = transition.booking;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    return res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+
+  // The cancellation is saved; notifications and the waitlist offer come after
+  await runStatusSideEffects(cancelled, booking.status, { source: 'customer', note: reason });
+
+  res.json({ success: true, status: 'cancelled' });
+});
+
+// Update booking status. Only the moves in STATUS_TRANSITIONS are allowed, and
+// technicians can only start, complete or report a no-show on jobs they're assigned to.
+router.patch('/:id/status', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), idParamValidation, statusChangeValidation, async (req, res) => {
+  const { id } = req.params;
+  const { status, note, depositOutcome } = req.body;
+  const isTechnician = req.user.role === TECHNICIAN_ROLE;
+  const source = isTechnician ? 'technician' : 'admin';
+
+  if (isTechnician && !TECHNICIAN_STATUSES.includes(status)) {
+    return res.status(403).json({ error: 'Technicians can only start or complete jobs or report a no-show' });
+  }
+
+  if (isTechnician && depositOutcome) {
+    return res.status(403).json({ error: 'Only an admin can change what happens to a deposit' });
+  }
+
+  if (SYSTEM_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Bookings expire on their own when the deposit hold runs out. Cancel it instead.' });
+  }
+
+  const client = await pool.connect();
+  let previousStatus;
+  let booking;
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await lockBookingWithDates(client, id);
+    if (!existing || (isTechnician && !await isAssignedTechnician(id, req.user.id, client))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (existing.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Restore this booking before changing its status' });
+    }
+
+    // A technician's completed job needs its report as evidence of the work
+    if (isTechnician && status === 'completed' && !await hasJobReport(id, client)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Save the job report before completing the job' });
+    }
+
+    const result = await transitionBookingStatus(client, existing, status, {
+      changedBy: req.user.id,
+      source,
+      note,
+      depositOutcome
+    });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
+    }
+
+    await recordBookingAudit({
+      bookingId: existing.id,
+      changedBy: req.user.id,
+      action: 'status',
+      changes: diffBooking(existing, result.booking, ['status']),
+      note
+    }, client);
+
+    await client.query('COMMIT');
+    previousStatus = existing.status;
+    booking = result.booking;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating booking:', error);
+    return res.status(500).json({ error: 'Failed to update booking' });
+  } finally {
+    client.release();
+  }
+
+  await runStatusSideEffects(booking, previousStatus, { source, note });
+
+  res.json(booking);
+});
+
+// Assign technicians to a booking, replacing any already on it (admin only)
+router.put('/:id/technicians', authenticateToken, requireRole('admin'), idParamValidation, technicianAssignmentValidation, async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockBookingWithDates(client, id);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status === 'cancelled') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Cannot assign technicians to a cancelled booking' });
+    }
+
+    const previous = await getBookingTechnicians(booking.id, client);
+    const result = await assignTechnicians(client, booking, req.body.technicianIds, { assignedBy: req.user.id });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: result.error });
+    }
+
+    await recordBookingAudit({
+      bookingId: booking.id,
+      changedBy: req.user.id,
+      action: 'technicians',
+      changes: diffBooking(
+        { technicians: previous.map(t => t.name).join(', ') },
+        { technicians: result.technicians.map(t => t.name).join(', ') },
+        ['technicians']
+      )
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ bookingId: booking.id, technicians: result.technicians });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error assigning technicians:', error);
+    res.status(500).json({ error: 'Failed to assign technicians' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get the status history of a booking (admin only)
+router.get('/:id/status-history', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    res.json(await getStatusHistory(req.params.id));
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
+// Get every admin change to a booking as before/after values (admin only)
+router.get('/:id/history', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    res.json(await getBookingAudit(req.params.id));
+  } catch (error) {
+    console.error('Error fetching booking history:', error);
+    res.status(500).json({ error: 'Failed to fetch booking history' });
+  }
+});
+
+// Archive a cancelled or completed booking so it drops out of the listings (admin only)
+router.post('/:id/archive', authenticateToken, requireRole('admin'), idParamValidation, archiveValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockBooking(client, req.params.id);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const result = await archiveBooking(client, booking, { reason: req.body.reason, archivedBy: req.user.id });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
     }
 
+    await client.query('COMMIT');
+
+    res.json(result.booking);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error archiving booking:', error);
+    res.status(500).json({ error: 'Failed to archive booking' });
+  } finally {
+    client.release();
+  }
+});
+
+// Put an archived booking back in the listings (admin only)
+router.post('/:id/restore', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockBooking(client, req.params.id);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const result = await restoreBooking(client, booking, { restoredBy: req.user.id });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json(result.booking);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring booking:', error);
+    res.status(500).json({ error: 'Failed to restore booking' });
+  } finally {
+    client.release();
+  }
+});
+
+// What the cancellation policy would do with the deposit if the booking were
+// cancelled (or, with ?status=no_show, marked a no-show) right now (admin only)
+router.get('/:id/deposit-outcome', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  const status = req.query.status || 'cancelled';
+  if (!DEPOSIT_SETTLING_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Status must be cancelled or no_show' });
+  }
+
+  try {
     const result = await pool.query(
-      'UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-      [status, id]
+      'SELECT *, booking_date::text as booking_date FROM bookings WHERE id = $1',
+      [req.params.id]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
 
+    const decision = decideDepositOutcome(result.rows[0], status, await getCancellationPolicy());
+    res.json({ status, decision });
+  } catch (error) {
+    console.error('Error checking deposit outcome:', error);
+    res.status(500).json({ error: 'Failed to check deposit outcome' });
+  }
+});
+
+// Retry a Square refund the cancellation policy decided on (admin only)
+router.post('/:id/refund-deposit', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM bookings WHERE id = $1', [req.params.id]);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    res.json(result.rows[0]);
+    const booking = result.rows[0];
+    if (booking.deposit_outcome !== 'refund') {
+      return res.status(400).json({ error: 'This deposit is not due a refund' });
+    }
+    if (booking.deposit_refund_id) {
+      return res.status(400).json({ error: 'Deposit already refunded' });
+    }
+    if (!booking.deposit_payment_id) {
+      return res.status(400).json({ error: 'This deposit was not paid through Square. Refund it by hand.' });
+    }
+
+    const refundId = await refundDeposit(booking);
+    if (!refundId) {
+      return res.status(500).json({ error: 'Square could not refund the deposit' });
+    }
+
+    res.json({ success: true, refundId });
+  } catch (error) {
+    console.error('Error refunding deposit:', error);
+    res.status(500).json({ error: 'Failed to refund deposit' });
+  }
+});
+
+// Record that a completed job was refunded (through Square or by hand). The
+// loyalty it earned is taken back and a reward redeemed on it is returned (admin only).
+router.post('/:id/refund', authenticateToken, requireRole('admin'), idParamValidation, refundValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockBooking(client, req.params.id);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const result = await recordRefund(client, booking, { note: req.body.note, refundedBy: req.user.id });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json(result.booking);
   } catch (error) {
-    console.error('Error updating booking:', error);
-    res.status(500).json({ error: 'Failed to update booking' });
+    await client.query('ROLLBACK');
+    console.error('Error recording refund:', error);
+    res.status(500).json({ error: 'Failed to record refund' });
+  } finally {
+    client.release();
+  }
+});
+
+// A booking's job report (admin, or a technician on the job)
+router.get('/:id/report', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), idParamValidation, async (req, res) => {
+  try {
+    const booking = await getReportBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.json(await getJobReport(booking));
+  } catch (error) {
+    console.error('Error fetching job report:', error);
+    res.status(500).json({ error: 'Failed to fetch job report' });
+  }
+});
+
+// Save the checklist and notes (admin, or a technician on the job)
+router.put('/:id/report', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), idParamValidation, jobReportValidation, async (req, res) => {
+  try {
+    const booking = await getReportBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const restriction = getReportRestriction(booking);
+    if (restriction) {
+      return res.status(400).json({ error: restriction });
+    }
+
+    res.json(await saveJobReport(booking, {
+      checklist: req.body.checklist,
+      notes: req.body.notes,
+      submittedBy: req.user.id
+    }));
+  } catch (error) {
+    console.error('Error saving job report:', error);
+    res.status(500).json({ error: 'Failed to save job report' });
+  }
+});
+
+// Add a before or after photo; the image is the request body (admin, or a technician on the job)
+router.post('/:id/report/photos', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), idParamValidation, reportPhotoValidation, readPhotoBody, async (req, res) => {
+  try {
+    const booking = await getReportBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const restriction = getReportRestriction(booking);
+    if (restriction) {
+      return res.status(400).json({ error: restriction });
+    }
+
+    const result = await addReportPhoto(booking, {
+      kind: req.query.kind,
+      contentType: req.get('Content-Type').split(';')[0].trim().toLowerCase(),
+      data: req.body,
+      uploadedBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json(result.photo);
+  } catch (error) {
+    console.error('Error uploading report photo:', error);
+    res.status(500).json({ error: 'Failed to upload photo' });
+  }
+});
+
+// Remove a report photo (admin, or a technician on the job)
+router.delete('/:id/report/photos/:photoId', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), reportPhotoParamValidation, async (req, res) => {
+  try {
+    const booking = await getReportBooking(req.params.id, req.user);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const restriction = getReportRestriction(booking);
+    if (restriction) {
+      return res.status(400).json({ error: restriction });
+    }
+
+    if (!await deleteReportPhoto(booking.id, req.params.photoId)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting report photo:', error);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
+});
+
+// Automatic reminders sent for a booking and any errors (admin only)
+router.get('/:id/reminders', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    res.json(await getBookingReminders(req.params.id));
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({ error: 'Failed to fetch reminders' });
+  }
+});
+
+// Stop a pending booking's deposit hold so it keeps its slot until paid (admin only)
+router.delete('/:id/hold', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await releaseDepositHold(client, req.params.id, { changedBy: req.user.id });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await client.query('COMMIT');
+    res.json({ success: true, booking: result.booking });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error releasing deposit hold:', error);
+    res.status(500).json({ error: 'Failed to release deposit hold' });
+  } finally {
+    client.release();
   }
 });
 
 // Update booking details (admin only)
-router.put('/:id', authenticateToken, idParamValidation, async (req, res) => {
+router.put('/:id', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -474,91 +1485,266 @@ router.put('/:id', authenticateToken, idParamValidation, async (req, res) => {
       updates.push('deposit_amount = $' + paramCount++);
       values.push(depositAmount);
     }
-    if (status !== undefined) {
-      const validStatuses = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({ error: 'Invalid status' });
-      }
-      updates.push('status = $' + paramCount++);
-      values.push(status);
+    // Status goes through the state machine rather than being written directly
+    const statusChange = status !== undefined;
+    if (statusChange && !BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && !statusChange) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    updates.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(id);
+    const client = await pool.connect();
+    let booking;
+    let previousStatus;
+    let previousDate;
+    let previousTime;
+    let moved = false;
+
+    try {
+      await client.query('BEGIN');
+
+      // The day it may move to is locked along with its own, before the row
+      const existing = await lockBookingWithDates(client, id, bookingDate !== undefined ? [bookingDate] : []);
+      if (!existing) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+      previousStatus = existing.status;
+      previousDate = existing.booking_date;
+      previousTime = existing.booking_time;
 
-    const result = await pool.query(
-      'UPDATE bookings SET ' + updates.join(', ') + ' WHERE id = $' + paramCount + ' RETURNING *',
-      values
-    );
+      if (statusChange && status !== previousStatus && SYSTEM_STATUSES.includes(status)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Bookings expire on their own when the deposit hold runs out. Cancel it instead.' });
+      }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Booking not found' });
+      const newDate = bookingDate !== undefined ? toDateString(bookingDate) : existing.booking_date;
+      const newTime = bookingTime !== undefined ? String(bookingTime) : existing.booking_time;
+      moved = newDate !== existing.booking_date || toMinutes(newTime) !== toMinutes(existing.booking_time);
+
+      // A booking that's going ahead must move to an open slot on an open day
+      if (moved && UPCOMING_STATUSES.includes(statusChange ? status : previousStatus)) {
+        const duration = await getBookingDuration(client, existing);
+        const windowError = checkBookingWindow({ date: newDate, time: newTime, duration }, await getSchedulingRules(client));
+        if (windowError) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: windowError });
+        }
+
+        const conflict = await findConflictingBooking({
+          date: newDate,
+          time: newTime,
+          duration,
+          excludeBookingId: existing.id
+        }, client);
+
+        if (conflict) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            error: conflict.bookingId
+              ? `That time overlaps booking #${conflict.bookingId}`
+              : 'No technician is working at that time'
+          });
+        }
+      }
+
+      if (updates.length > 0) {
+        // An edited visit in a recurring series is kept as-is when the series is changed
+        updates.push('series_exception = (series_id IS NOT NULL)');
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id);
+
+        const result = await client.query(
+          'UPDATE bookings SET ' + updates.join(', ') + ' WHERE id = $' + paramCount + ' RETURNING *',
+          values
+        );
+        booking = result.rows[0];
+
+        // The crew was picked for the old time; the admin reassigns for the new one
+        if (moved) {
+          await clearTechnicians(client, id);
+        }
+
+        // New contact details can mean a different customer
+        if (customerEmail !== undefined || customerPhone !== undefined) {
+          booking = (await client.query(
+            'UPDATE bookings SET customer_id = $1 WHERE id = $2 RETURNING *',
+            [await matchCustomer(client, {
+              name: booking.customer_name,
+              email: booking.customer_email,
+              phone: booking.customer_phone
+            }), id]
+          )).rows[0];
+        }
+
+        // The booking's vehicle_type mirrors its first vehicle
+        if (vehicleType !== undefined) {
+          await client.query(
+            'UPDATE booking_vehicles SET vehicle_type = $1 WHERE booking_id = $2 AND sort_order = 0',
+            [vehicleType, id]
+          );
+        }
+      }
+
+      if (statusChange && status !== previousStatus) {
+        const transition = await transitionBookingStatus(client, await lockBooking(client, id), status, {
+          changedBy: req.user.id,
+          source: 'admin'
+        });
+
+        if (transition.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: transition.error });
+        }
+        booking = transition.booking;
+      }
+
+      if (!booking) {
+        booking = (await client.query('SELECT * FROM bookings WHERE id = $1', [id])).rows[0];
+      }
+
+      await recordBookingAudit({
+        bookingId: existing.id,
+        changedBy: req.user.id,
+        action: 'update',
+        changes: diffBooking(existing, await lockBooking(client, id))
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await runStatusSideEffects(booking, previousStatus, { source: 'admin' });
+
+    // The customer gets the new time and an updated invite; the old time goes to the waitlist
+    if (moved && UPCOMING_STATUSES.includes(booking.status)) {
+      await runRescheduleSideEffects(booking.id, { date: previousDate, time: previousTime }, { rescheduledBy: 'business' });
+    } else if (moved && previousStatus !== 'cancelled') {
+      await offerOpenSlots(previousDate);
     }
 
-    res.json(result.rows[0]);
+    res.json(booking);
   } catch (error) {
     console.error('Error updating booking:', error);
     res.status(500).json({ error: 'Failed to update booking' });
   }
 });
 
-// Delete booking (admin only)
-router.delete('/:id', authenticateToken, idParamValidation, async (req, res) => {
+// Delete booking (admin only). Bookings with a recorded payment can only be archived.
+router.delete('/:id', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  let deleted;
+
   try {
-    const { id } = req.params;
+    await client.query('BEGIN');
+
+    const booking = await lockBooking(client, id);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (hasRecordedPayment(booking)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'This booking has a recorded payment and cannot be deleted. Cancel and archive it instead.'
+      });
+    }
 
     // First delete related booking_addons
-    await pool.query('DELETE FROM booking_addons WHERE booking_id = $1', [id]);
+    await client.query('DELETE FROM booking_addons WHERE booking_id = $1', [id]);
 
     // Then delete the booking
-    const result = await pool.query(
-      'DELETE FROM bookings WHERE id = $1 RETURNING id, customer_name',
+    const result = await client.query(
+      'DELETE FROM bookings WHERE id = $1 RETURNING id, customer_name, booking_date::text as booking_date, status',
       [id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
-
-    res.json({ success: true, deleted: result.rows[0] });
+    await client.query('COMMIT');
+    deleted = result.rows[0];
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error deleting booking:', error);
-    res.status(500).json({ error: 'Failed to delete booking' });
+    return res.status(500).json({ error: 'Failed to delete booking' });
+  } finally {
+    client.release();
+  }
+
+  if (deleted.status !== 'cancelled') {
+    await offerOpenSlots(deleted.booking_date);
   }
+
+  res.json({ success: true, deleted });
 });
 
 // Manually mark deposit as paid (admin only)
-router.post('/:id/mark-paid', authenticateToken, idParamValidation, async (req, res) => {
+router.post('/:id/mark-paid', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const { paymentId } = req.body;
+    const client = await pool.connect();
+    let booking;
+    let statusChange;
+    let referral;
+
+    try {
+      await client.query('BEGIN');
+
+      const before = await lockBooking(client, id);
+      if (!before) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Booking not found' });
+      }
 
-    // First check if booking exists and has a payment token
-    const checkResult = await pool.query(
-      'SELECT payment_token FROM bookings WHERE id = $1',
-      [id]
-    );
+      if (!UPCOMING_STATUSES.includes(before.status)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Only pending, confirmed or in-progress bookings can have their deposit marked paid' });
+      }
 
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
+      // A booking without a payment token gets one (needed for the balance payment link)
+      const result = await client.query(
+        'UPDATE bookings SET deposit_paid = true, deposit_payment_id = $1, payment_token = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+        [paymentId || 'CASH_' + Date.now(), before.payment_token || generatePaymentToken(), id]
+      );
+      booking = result.rows[0];
 
-    // Generate payment token if missing (needed for balance payment link)
-    let newToken = checkResult.rows[0].payment_token;
-    if (!newToken) {
-      newToken = crypto.randomBytes(16).toString('hex');
+      // A paid deposit confirms a pending booking, same as paying online
+      statusChange = await applyPaymentStatus(client, id, 'confirmed', {
+        note: 'Deposit marked paid',
+        changedBy: req.user.id
+      });
+      referral = await rewardReferral(client, id);
+
+      await recordBookingAudit({
+        bookingId: before.id,
+        changedBy: req.user.id,
+        action: 'deposit_marked_paid',
+        changes: diffBooking(before, await lockBooking(client, id))
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    const result = await pool.query(
-      'UPDATE bookings SET deposit_paid = true, deposit_payment_id = $1, payment_token = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-      [paymentId || 'CASH_' + Date.now(), newToken, id]
-    );
+    if (statusChange) {
+      booking = statusChange.booking;
+    }
+    if (referral) {
+      await notifyReferralCredits(referral);
+    }
 
-    res.json({ success: true, booking: result.rows[0] });
+    res.json({ success: true, booking });
   } catch (error) {
     console.error('Error marking as paid:', error);
     res.status(500).json({ error: 'Failed to mark as paid' });
@@ -567,7 +1753,7 @@ router.post('/:id/mark-paid', authenticateToken, idParamValidation, async (req,
 
 
 // Manually mark final payment as paid with cash (admin only)
-router.post("/:id/mark-final-paid", authenticateToken, idParamValidation, async (req, res) => {
+router.post("/:id/mark-final-paid", authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -589,19 +1775,54 @@ router.post("/:id/mark-final-paid", authenticateToken, idParamValidation, async
       return res.status(400).json({ error: "Final payment already marked as paid" });
     }
 
-    const result = await pool.query(
-      "UPDATE bookings SET final_paid = true, final_payment_id = $1, status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *",
-      ["CASH_" + Date.now(), "completed", id]
-    );
+    const client = await pool.connect();
+    let booking;
+    let statusChange;
+
+    try {
+      await client.query("BEGIN");
+
+      const before = await lockBooking(client, id);
+      const result = await client.query(
+        "UPDATE bookings SET final_paid = true, final_payment_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        ["CASH_" + Date.now(), id]
+      );
+      booking = result.rows[0];
+
+      statusChange = await applyPaymentStatus(client, id, "completed", {
+        note: "Balance marked paid",
+        changedBy: req.user.id
+      });
+      await awardLoyalty(client, id);
+
+      await recordBookingAudit({
+        bookingId: before.id,
+        changedBy: req.user.id,
+        action: "final_marked_paid",
+        changes: diffBooking(before, await lockBooking(client, id))
+      }, client);
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (statusChange) {
+      booking = statusChange.booking;
+      await runStatusSideEffects(booking, statusChange.previousStatus, { source: "payment" });
+    }
 
-    res.json({ success: true, booking: result.rows[0] });
+    res.json({ success: true, booking });
   } catch (error) {
     console.error("Error marking final as paid:", error);
     res.status(500).json({ error: "Failed to mark final payment as paid" });
   }
 });
 // Resend payment link notification (admin only)
-router.post('/:id/resend-link', authenticateToken, idParamValidation, async (req, res) => {
+router.post('/:id/resend-link', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,50 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  buildFeedUrl,
+  buildOwnerFeed,
+  getFeedToken,
+  rotateFeedToken,
+  verifyFeedToken
+} from '../middleware/calendar.js';
+
+const router = express.Router();
+
+// Upcoming bookings as an .ics subscription (public, requires the feed token)
+router.get('/feed.ics', async (req, res) => {
+  try {
+    if (!await verifyFeedToken(req.query.token)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="bookings.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(await buildOwnerFeed());
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Subscription URL for the feed (admin only)
+router.get('/feed', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ url: buildFeedUrl(await getFeedToken()) });
+  } catch (error) {
+    console.error('Error fetching calendar feed URL:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed URL' });
+  }
+});
+
+// Issue a new feed URL; calendars subscribed to the old one stop updating (admin only)
+router.post('/feed/rotate', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ url: buildFeedUrl(await rotateFeedToken()) });
+  } catch (error) {
+    console.error('Error rotating calendar feed token:', error);
+    res.status(500).json({ error: 'Failed to rotate calendar feed URL' });
+  }
+});
+
+export default router;
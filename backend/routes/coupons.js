@@ -1,11 +1,64 @@
 import express from 'express';
 import pool from '../config/database.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { lockBooking } from '../middleware/bookingStatus.js';
+import { applyReferral, findReferrer, getReferralProgram, normalizeReferralCode } from '../middleware/referrals.js';
 
 const router = express.Router();
 
+// A customer's referral code entered in the coupon box, or null when the code
+// isn't one (or the referral program is off)
+async function findReferralOffer(code) {
+  const program = await getReferralProgram();
+  if (!program.enabled || !await findReferrer(code)) {
+    return null;
+  }
+  return { code: normalizeReferralCode(code), credit: program.referredCredit };
+}
+
+// Use a referral code on a booking. It takes nothing off now: both customers
+// get a credit once the deposit is paid. Needs the booking's payment token,
+// since it ties the booking's customer to the referrer.
+async function applyReferralCode(req, res) {
+  const { code, bookingId, token } = req.body;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const booking = await lockBooking(client, bookingId);
+    if (!booking || !token || booking.payment_token !== token) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Invalid payment link' });
+    }
+
+    const applied = await applyReferral(client, booking, code);
+    if (applied.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: applied.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      referral: true,
+      code: applied.referral.code,
+      referralCredit: applied.program.referredCredit,
+      discountApplied: 0,
+      newTotal: parseFloat(parseFloat(booking.total_amount).toFixed(2)),
+      newDeposit: parseFloat(parseFloat(booking.deposit_amount).toFixed(2))
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Get all coupons (admin only)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT * FROM coupons ORDER BY created_at DESC'
@@ -18,7 +71,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create coupon (admin only)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const { code, discountType, discountValue, maxUses, expiresAt } = req.body;
 
@@ -52,7 +105,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Toggle coupon active status (admin only)
-router.patch('/:id/toggle', authenticateToken, async (req, res) => {
+router.patch('/:id/toggle', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -73,7 +126,7 @@ router.patch('/:id/toggle', authenticateToken, async (req, res) => {
 });
 
 // Delete coupon (admin only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -93,7 +146,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Validate coupon code (public - for checkout)
+// Validate coupon code (public - for checkout). A customer's referral code is
+// accepted here too.
 router.post('/validate', async (req, res) => {
   try {
     const { code, subtotal } = req.body;
@@ -112,7 +166,21 @@ router.post('/validate', async (req, res) => {
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid or expired coupon code' });
+      const referral = await findReferralOffer(code);
+      if (!referral) {
+        return res.status(404).json({ error: 'Invalid or expired coupon code' });
+      }
+
+      // Referral codes give a credit after the deposit instead of a discount now
+      return res.json({
+        valid: true,
+        referral: true,
+        code: referral.code,
+        referralCredit: referral.credit,
+        discountType: 'fixed',
+        discountValue: 0,
+        discountAmount: 0
+      });
     }
 
     const coupon = result.rows[0];
@@ -140,7 +208,8 @@ router.post('/validate', async (req, res) => {
   }
 });
 
-// Apply coupon to booking (internal use during payment)
+// Apply coupon to booking (internal use during payment). Referral codes also
+// need the booking's payment token.
 router.post('/apply', async (req, res) => {
   try {
     const { code, bookingId } = req.body;
@@ -160,6 +229,9 @@ router.post('/apply', async (req, res) => {
     );
 
     if (couponResult.rows.length === 0) {
+      if (await findReferralOffer(code)) {
+        return await applyReferralCode(req, res);
+      }
       return res.status(404).json({ error: 'Invalid or expired coupon code' });
     }
 
@@ -0,0 +1,171 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { listQueryValidation } from '../middleware/validators.js';
+import { BOOKING_LIST, buildListQuery } from '../middleware/listQuery.js';
+import { decodeEscaped, parseCsvRecords, sendCsv, toCsv } from '../middleware/csv.js';
+import { importBookings } from '../middleware/bookingImport.js';
+import { getBusinessNow } from '../middleware/availability.js';
+import { AMOUNT_PAID_SQL } from '../middleware/customers.js';
+
+const router = express.Router();
+
+const text = field => row => decodeEscaped(row[field]);
+const amount = field => row => (row[field] === null ? '' : parseFloat(row[field]).toFixed(2));
+const yesNo = field => row => (row[field] ? 'yes' : 'no');
+
+// One row per booking. The columns the import reads share its names.
+const BOOKING_COLUMNS = [
+  { header: 'id', value: row => row.id },
+  { header: 'booking_date', value: row => row.booking_date },
+  { header: 'booking_time', value: row => row.booking_time.slice(0, 5) },
+  { header: 'status', value: row => row.status },
+  { header: 'customer_name', value: text('customer_name') },
+  { header: 'customer_email', value: row => row.customer_email },
+  { header: 'customer_phone', value: row => row.customer_phone },
+  { header: 'address', value: text('address') },
+  { header: 'vehicle_type', value: row => row.vehicle_type },
+  { header: 'service', value: text('service_name') },
+  { header: 'vehicles', value: text('vehicles') },
+  { header: 'addons', value: text('addons') },
+  { header: 'custom_items', value: text('custom_items') },
+  { header: 'coupon_code', value: row => row.coupon_code },
+  { header: 'coupon_discount', value: amount('coupon_discount') },
+  { header: 'travel_fee', value: amount('travel_fee') },
+  { header: 'total_amount', value: amount('total_amount') },
+  { header: 'deposit_amount', value: amount('deposit_amount') },
+  { header: 'deposit_paid', value: yesNo('deposit_paid') },
+  { header: 'deposit_payment_id', value: row => row.deposit_payment_id },
+  { header: 'deposit_outcome', value: row => row.deposit_outcome },
+  { header: 'deposit_outcome_amount', value: amount('deposit_outcome_amount') },
+  { header: 'deposit_credit_code', value: row => row.deposit_credit_code },
+  { header: 'final_paid', value: yesNo('final_paid') },
+  { header: 'final_payment_id', value: row => row.final_payment_id },
+  { header: 'payment_status', value: row => row.payment_status },
+  { header: 'amount_paid', value: amount('amount_paid') },
+  { header: 'balance_due', value: row => (parseFloat(row.total_amount) - parseFloat(row.amount_paid)).toFixed(2) },
+  { header: 'notes', value: text('notes') },
+  { header: 'archived', value: row => (row.archived_at ? 'yes' : 'no') },
+  { header: 'created_at', value: row => row.created_at }
+];
+
+const CUSTOMER_COLUMNS = [
+  { header: 'customer_name', value: text('customer_name') },
+  { header: 'customer_email', value: row => row.customer_email },
+  { header: 'customer_phone', value: row => row.customer_phone },
+  { header: 'bookings', value: row => row.bookings },
+  { header: 'completed', value: row => row.completed },
+  { header: 'first_booking', value: row => row.first_booking },
+  { header: 'last_booking', value: row => row.last_booking },
+  { header: 'total_paid', value: amount('total_paid') }
+];
+
+// Exports include archived bookings unless archived=true/false narrows them
+function buildExportQuery(query) {
+  const archived = query.archived === undefined ? null : query.archived === 'true';
+  return buildListQuery(query, BOOKING_LIST, {
+    conditions: ['($1::boolean IS NULL OR (b.archived_at IS NOT NULL) = $1)'],
+    values: [archived]
+  });
+}
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Bookings matching the list filters, with vehicles, add-ons, custom charges, coupon and payment state
+router.get('/bookings', listQueryValidation, async (req, res) => {
+  try {
+    const list = buildExportQuery(req.query);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const result = await pool.query(
+      `SELECT b.id, b.booking_date::text as booking_date, b.booking_time, b.status,
+              b.customer_name, b.customer_email, b.customer_phone, b.address, b.vehicle_type,
+              COALESCE(s.name, p.name) as service_name,
+              (SELECT string_agg(bv.vehicle_type || ' - ' || COALESCE(vs.name, vp.name, 'Service'), '; ' ORDER BY bv.sort_order, bv.id)
+               FROM booking_vehicles bv
+               LEFT JOIN services vs ON bv.service_id = vs.id
+               LEFT JOIN packages vp ON bv.package_id = vp.id
+               WHERE bv.booking_id = b.id) as vehicles,
+              (SELECT string_agg(a.name || ' (' || ba.price_charged || ')', '; ' ORDER BY ba.id)
+               FROM booking_addons ba JOIN addons a ON ba.addon_id = a.id
+               WHERE ba.booking_id = b.id) as addons,
+              (SELECT string_agg(c.name || ' (' || c.price || ')', '; ' ORDER BY c.id)
+               FROM custom_line_items c WHERE c.booking_id = b.id) as custom_items,
+              b.coupon_code, b.coupon_discount, b.travel_fee, b.total_amount, b.deposit_amount,
+              b.deposit_paid, b.deposit_payment_id, b.deposit_outcome, b.deposit_outcome_amount,
+              b.deposit_credit_code, b.final_paid, b.final_payment_id,
+              CASE WHEN b.final_paid THEN 'paid' WHEN b.deposit_paid THEN 'deposit' ELSE 'unpaid' END as payment_status,
+              ${AMOUNT_PAID_SQL} as amount_paid,
+              b.notes, b.archived_at, b.created_at
+       FROM bookings b
+       LEFT JOIN services s ON b.service_id = s.id
+       LEFT JOIN packages p ON b.package_id = p.id
+       ${list.where}
+       ${list.orderBy}`,
+      list.values
+    );
+
+    sendCsv(res, `bookings-${getBusinessNow().date}.csv`, toCsv(BOOKING_COLUMNS, result.rows));
+  } catch (error) {
+    console.error('Error exporting bookings:', error);
+    res.status(500).json({ error: 'Failed to export bookings' });
+  }
+});
+
+// One row per customer email with visit counts and what they've paid, from the bookings matching the filters
+router.get('/customers', listQueryValidation, async (req, res) => {
+  try {
+    const list = buildExportQuery(req.query);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const result = await pool.query(
+      `SELECT (array_agg(b.customer_name ORDER BY b.booking_date DESC, b.id DESC))[1] as customer_name,
+              LOWER(b.customer_email) as customer_email,
+              (array_agg(b.customer_phone ORDER BY b.booking_date DESC, b.id DESC))[1] as customer_phone,
+              COUNT(*) FILTER (WHERE b.status NOT IN ('cancelled', 'no_show', 'expired')) as bookings,
+              COUNT(*) FILTER (WHERE b.status = 'completed') as completed,
+              MIN(b.booking_date)::text as first_booking,
+              MAX(b.booking_date)::text as last_booking,
+              SUM(${AMOUNT_PAID_SQL}) FILTER (WHERE b.refunded_at IS NULL) as total_paid
+       FROM bookings b
+       ${list.where}
+       GROUP BY LOWER(b.customer_email)
+       ORDER BY customer_name ASC`,
+      list.values
+    );
+
+    sendCsv(res, `customers-${getBusinessNow().date}.csv`, toCsv(CUSTOMER_COLUMNS, result.rows));
+  } catch (error) {
+    console.error('Error exporting customers:', error);
+    res.status(500).json({ error: 'Failed to export customers' });
+  }
+});
+
+// Import historical bookings from a CSV request body. ?dryRun=true checks every row without saving.
+router.post('/bookings/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ error: 'Send the CSV file as the request body with Content-Type text/csv' });
+  }
+
+  try {
+    const result = await importBookings(parseCsvRecords(req.body), {
+      dryRun: req.query.dryRun === 'true',
+      importedBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(result.failed > 0 ? 400 : 200).json(result);
+  } catch (error) {
+    console.error('Error importing bookings:', error);
+    res.status(500).json({ error: 'Failed to import bookings' });
+  }
+});
+
+export default router;
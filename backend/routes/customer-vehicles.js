@@ -0,0 +1,107 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { quoteLimiter } from '../middleware/rateLimiter.js';
+import {
+  customerVehicleListValidation,
+  customerVehicleValidation,
+  idParamValidation,
+  vehicleLookupValidation
+} from '../middleware/validators.js';
+import { TECHNICIAN_ROLE } from '../middleware/staff.js';
+import {
+  createCustomerVehicle,
+  getCustomerVehicle,
+  getVehicleHistory,
+  isVehicleTechnician,
+  listCustomerVehicles,
+  lookupCustomerVehicles,
+  updateCustomerVehicle
+} from '../middleware/customerVehicles.js';
+import { matchCustomer } from '../middleware/customers.js';
+
+const router = express.Router();
+
+// A returning customer's saved vehicles for the quote form (public with rate
+// limiting). The email and phone must both match, so only the customer sees them.
+router.post('/lookup', quoteLimiter, vehicleLookupValidation, async (req, res) => {
+  try {
+    const vehicles = await lookupCustomerVehicles(req.body.customerEmail, req.body.customerPhone);
+    res.json({ vehicles });
+  } catch (error) {
+    console.error('Error looking up saved vehicles:', error);
+    res.status(500).json({ error: 'Failed to look up saved vehicles' });
+  }
+});
+
+// A customer's saved vehicles (admin only)
+router.get('/', authenticateToken, requireRole('admin'), customerVehicleListValidation, async (req, res) => {
+  try {
+    res.json(await listCustomerVehicles(req.query.email));
+  } catch (error) {
+    console.error('Error fetching saved vehicles:', error);
+    res.status(500).json({ error: 'Failed to fetch saved vehicles' });
+  }
+});
+
+// A saved vehicle with its service history. Technicians can see the vehicles
+// on jobs they're assigned to.
+router.get('/:id', authenticateToken, requireRole('admin', TECHNICIAN_ROLE), idParamValidation, async (req, res) => {
+  try {
+    const vehicle = await getCustomerVehicle(req.params.id);
+    if (!vehicle || (req.user.role === TECHNICIAN_ROLE && !await isVehicleTechnician(vehicle.id, req.user.id))) {
+      return res.status(404).json({ error: 'Saved vehicle not found' });
+    }
+
+    res.json({ ...vehicle, history: await getVehicleHistory(vehicle.id) });
+  } catch (error) {
+    console.error('Error fetching saved vehicle:', error);
+    res.status(500).json({ error: 'Failed to fetch saved vehicle' });
+  }
+});
+
+// Save a vehicle for a customer (admin only)
+router.post('/', authenticateToken, requireRole('admin'), customerVehicleValidation, async (req, res) => {
+  try {
+    const customerId = await matchCustomer(pool, {
+      email: req.body.customerEmail,
+      phone: req.body.customerPhone
+    });
+    const vehicle = await createCustomerVehicle(pool, { ...req.body, customerId });
+    res.status(201).json(vehicle);
+  } catch (error) {
+    console.error('Error saving vehicle:', error);
+    res.status(500).json({ error: 'Failed to save vehicle' });
+  }
+});
+
+// Update a saved vehicle (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), idParamValidation, customerVehicleValidation, async (req, res) => {
+  try {
+    const vehicle = await updateCustomerVehicle(pool, req.params.id, req.body);
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Saved vehicle not found' });
+    }
+    res.json(vehicle);
+  } catch (error) {
+    console.error('Error updating saved vehicle:', error);
+    res.status(500).json({ error: 'Failed to update saved vehicle' });
+  }
+});
+
+// Delete a saved vehicle (admin only). Its bookings and quotes keep their
+// vehicle type and just lose the link.
+router.delete('/:id', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM customer_vehicles WHERE id = $1', [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Saved vehicle not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting saved vehicle:', error);
+    res.status(500).json({ error: 'Failed to delete saved vehicle' });
+  }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  customerListValidation,
+  customerMergeValidation,
+  customerUpdateValidation,
+  idParamValidation,
+  listQueryValidation,
+  loyaltyAdjustValidation
+} from '../middleware/validators.js';
+import { buildListQuery, formatListPage } from '../middleware/listQuery.js';
+import {
+  CUSTOMER_STATS_SQL,
+  findDuplicateCustomers,
+  formatCustomer,
+  getCustomer,
+  getCustomerProfile,
+  mergeCustomers,
+  updateCustomer
+} from '../middleware/customers.js';
+import { adjustLoyalty, getLoyaltyBalances, getLoyaltyLedger } from '../middleware/loyalty.js';
+import { ensureReferralCode, getCustomerReferrals, getReferralChain } from '../middleware/referrals.js';
+
+const router = express.Router();
+
+// Search and sorts for the admin customer list. Merged customers are left out;
+// customers who never completed a visit sort as the oldest by last_visit.
+const CUSTOMER_LIST = {
+  name: 'customer',
+  columns: {
+    search: ['c.name', 'c.email', 'c.phone'],
+    phone: 'c.phone'
+  },
+  filters: {},
+  sorts: {
+    last_visit: "COALESCE(s.last_visit, '')",
+    lifetime_spend: 's.lifetime_spend',
+    balance_due: 's.balance_due',
+    visits: 's.visits',
+    name: 'c.name',
+    created_at: 'c.created_at',
+    id: 'c.id'
+  },
+  defaultSort: 'last_visit',
+  idColumn: 'c.id'
+};
+
+router.use(authenticateToken, requireRole('admin'));
+
+// List customers with their visit count, lifetime spend and balance due.
+// Takes search, sort, order, page and limit like the booking list, plus tag.
+router.get('/', listQueryValidation, customerListValidation, async (req, res) => {
+  try {
+    const list = buildListQuery(req.query, CUSTOMER_LIST, {
+      conditions: ['c.merged_into IS NULL', '($1::text IS NULL OR $1 = ANY(c.tags))'],
+      values: [req.query.tag || null]
+    });
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const result = await pool.query(
+      `SELECT c.*, s.* FROM customers c ${CUSTOMER_STATS_SQL}
+       ${list.where} ${list.orderBy} ${list.limit}`,
+      list.values
+    );
+    const customers = result.rows.map(formatCustomer);
+
+    if (!list.paged) {
+      return res.json(customers);
+    }
+
+    const count = await pool.query(`SELECT COUNT(*) FROM customers c ${list.where}`, list.values);
+    res.json(formatListPage(customers, parseInt(count.rows[0].count, 10), list));
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    res.status(500).json({ error: 'Failed to fetch customers' });
+  }
+});
+
+// Every tag in use, with how many customers have it
+router.get('/tags', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT tag, COUNT(*)::int as count
+       FROM customers, unnest(tags) AS tag
+       WHERE merged_into IS NULL
+       GROUP BY tag
+       ORDER BY tag`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching customer tags:', error);
+    res.status(500).json({ error: 'Failed to fetch customer tags' });
+  }
+});
+
+// Customers who look like duplicates (same phone number or name), to merge
+router.get('/duplicates', async (req, res) => {
+  try {
+    res.json(await findDuplicateCustomers());
+  } catch (error) {
+    console.error('Error finding duplicate customers:', error);
+    res.status(500).json({ error: 'Failed to find duplicate customers' });
+  }
+});
+
+// A customer's profile with their bookings, quotes, reviews and saved vehicles.
+// A merged customer's id returns the customer it was merged into.
+router.get('/:id', idParamValidation, async (req, res) => {
+  try {
+    const profile = await getCustomerProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    res.status(500).json({ error: 'Failed to fetch customer' });
+  }
+});
+
+// Update a customer's name, contact details, notes or tags. Bookings keep the
+// contact details they were made with.
+router.put('/:id', idParamValidation, customerUpdateValidation, async (req, res) => {
+  try {
+    const customer = await updateCustomer(pool, req.params.id, req.body);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (customer.error) {
+      return res.status(409).json({ error: customer.error });
+    }
+    res.json(customer);
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(500).json({ error: 'Failed to update customer' });
+  }
+});
+
+// Merge other customers into this one
+router.post('/:id/merge', idParamValidation, customerMergeValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const merged = await mergeCustomers(client, parseInt(req.params.id, 10), req.body.customerIds);
+    if (merged.error) {
+      await client.query('ROLLBACK');
+      return res.status(merged.status).json({ error: merged.error });
+    }
+
+    await client.query('COMMIT');
+    res.json(merged.customer);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error merging customers:', error);
+    res.status(500).json({ error: 'Failed to merge customers' });
+  } finally {
+    client.release();
+  }
+});
+
+// A customer's loyalty points, punches per service and ledger
+router.get('/:id/loyalty', idParamValidation, async (req, res) => {
+  try {
+    const customer = await getCustomer(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [balances, ledger] = await Promise.all([
+      getLoyaltyBalances(customer.id),
+      getLoyaltyLedger(customer.id)
+    ]);
+    res.json({ ...balances, ledger });
+  } catch (error) {
+    console.error('Error fetching loyalty balance:', error);
+    res.status(500).json({ error: 'Failed to fetch loyalty balance' });
+  }
+});
+
+// Add or take away points or punches by hand, e.g. a goodwill bonus
+router.post('/:id/loyalty', idParamValidation, loyaltyAdjustValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const customer = await getCustomer(req.params.id, client);
+    if (!customer) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const adjusted = await adjustLoyalty(client, customer.id, req.body, req.user.id);
+    if (adjusted.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: adjusted.error });
+    }
+
+    await client.query('COMMIT');
+    res.json({ ...adjusted.balances, ledger: await getLoyaltyLedger(customer.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error adjusting loyalty balance:', error);
+    res.status(500).json({ error: 'Failed to adjust loyalty balance' });
+  } finally {
+    client.release();
+  }
+});
+
+// A customer's referral code, who referred them and who they've referred
+// (down the chain), and their referrals
+router.get('/:id/referrals', idParamValidation, async (req, res) => {
+  try {
+    const customer = await getCustomer(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [code, chain, referrals] = await Promise.all([
+      ensureReferralCode(customer.id),
+      getReferralChain(customer.id),
+      getCustomerReferrals(customer.id)
+    ]);
+    res.json({ code, ...chain, referrals });
+  } catch (error) {
+    console.error('Error fetching customer referrals:', error);
+    res.status(500).json({ error: 'Failed to fetch referrals' });
+  }
+});
+
+export default router;
@@ -1,21 +1,85 @@
 import express from 'express';
-import { SquareClient, SquareEnvironment, WebhooksHelper, SquareError } from 'square';
+import { WebhooksHelper, SquareError } from 'square';
 import crypto from 'crypto';
 import pool from '../config/database.js';
+import squareClient from '../config/square.js';
 import { sendNotification } from '../middleware/notifications.js';
+import {
+  UPCOMING_STATUSES,
+  applyPaymentStatus,
+  lockBookingWithDates,
+  runStatusSideEffects
+} from '../middleware/bookingStatus.js';
+import { awardLoyalty } from '../middleware/loyalty.js';
+import { notifyReferralCredits, rewardReferral } from '../middleware/referrals.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const router = express.Router();
 
-// Initialize Square client
-const squareClient = new SquareClient({
-  token: process.env.SQUARE_ACCESS_TOKEN,
-  environment: process.env.SQUARE_ENVIRONMENT === 'production'
-    ? SquareEnvironment.Production
-    : SquareEnvironment.Sandbox
-});
+// Statuses a booking can still take each payment in. A deposit that arrives
+// after the hold ran out can still confirm an expired booking; a balance can
+// be paid after the job was marked completed.
+const PAYABLE_STATUSES = {
+  deposit: [...UPCOMING_STATUSES, 'expired'],
+  final: [...UPCOMING_STATUSES, 'completed']
+};
+
+// Mark a deposit or balance as paid and move the booking along: a paid deposit
+// confirms a pending booking and rewards its referral, a paid balance completes
+// it and earns loyalty rewards. A payment on a booking that was cancelled or
+// marked a no-show meanwhile is left for an admin to refund.
+// Returns whether the payment was recorded.
+async function markPaymentReceived(bookingId, paymentType) {
+  const paidColumn = paymentType === 'final' ? 'final_paid' : 'deposit_paid';
+  const toStatus = paymentType === 'final' ? 'completed' : 'confirmed';
+  const client = await pool.connect();
+  let statusChange;
+  let referral = null;
+
+  try {
+    await client.query('BEGIN');
+
+    // A late deposit can take an expired booking's slot back, so its date is locked first
+    const booking = await lockBookingWithDates(client, bookingId);
+    if (!booking || !PAYABLE_STATUSES[paymentType].includes(booking.status)) {
+      await client.query('ROLLBACK');
+      console.error(`Payment for booking #${bookingId} not recorded: the booking is ${booking ? booking.status : 'missing'}. Refund it in Square.`);
+      return false;
+    }
+
+    await client.query(
+      `UPDATE bookings SET ${paidColumn} = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [bookingId]
+    );
+
+    statusChange = await applyPaymentStatus(client, bookingId, toStatus, {
+      note: paymentType === 'final' ? 'Balance paid online' : 'Deposit paid online'
+    });
+
+    if (paymentType === 'final') {
+      await awardLoyalty(client, bookingId);
+    } else {
+      referral = await rewardReferral(client, bookingId);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (statusChange) {
+    await runStatusSideEffects(statusChange.booking, statusChange.previousStatus, { source: 'payment' });
+  }
+  if (referral) {
+    await notifyReferralCredits(referral);
+  }
+  return true;
+}
 
 // Create payment for deposit
 router.post('/create-deposit-payment', async (req, res) => {
@@ -46,6 +110,14 @@ router.post('/create-deposit-payment', async (req, res) => {
       return res.status(400).json({ error: 'Deposit already paid' });
     }
 
+    if (booking.status === 'expired') {
+      return res.status(410).json({ error: 'This booking expired because the deposit was not paid in time. Please book a new time.' });
+    }
+
+    if (!UPCOMING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ error: 'This booking is no longer active, so its deposit cannot be paid' });
+    }
+
     // Create Square payment
     const paymentResult = await squareClient.payments.create({
       sourceId: sourceId,
@@ -67,12 +139,7 @@ router.post('/create-deposit-payment', async (req, res) => {
     );
 
     // If payment completed immediately, update booking status
-    if (paymentResult.status === 'COMPLETED') {
-      await pool.query(
-        'UPDATE bookings SET deposit_paid = true, status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['confirmed', bookingId]
-      );
-
+    if (paymentResult.status === 'COMPLETED' && await markPaymentReceived(bookingId, 'deposit')) {
       // Send confirmation notification
       const updatedBooking = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
       await sendNotification({
@@ -133,6 +200,10 @@ router.post('/create-final-payment', async (req, res) => {
       return res.status(400).json({ error: "Final payment already completed" });
     }
 
+    if (!PAYABLE_STATUSES.final.includes(booking.status)) {
+      return res.status(400).json({ error: 'This booking is no longer active, so its balance cannot be paid' });
+    }
+
     const remainingAmount = booking.total_amount - booking.deposit_amount;
 
     // Create Square payment for remaining amount
@@ -156,12 +227,7 @@ router.post('/create-final-payment', async (req, res) => {
     );
 
     // If payment completed immediately, update booking status
-    if (paymentResult.status === 'COMPLETED') {
-      await pool.query(
-        'UPDATE bookings SET status = $1, final_paid = true, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['completed', bookingId]
-      );
-
+    if (paymentResult.status === 'COMPLETED' && await markPaymentReceived(bookingId, 'final')) {
       const updatedBooking = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
       await sendNotification({
         type: 'payment_completed',
@@ -229,10 +295,9 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 
         if (paymentType === 'deposit') {
           // Mark deposit as paid
-          await pool.query(
-            'UPDATE bookings SET deposit_paid = true, status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            ['confirmed', bookingId]
-          );
+          if (!await markPaymentReceived(bookingId, 'deposit')) {
+            return res.json({ received: true });
+          }
 
           // Send confirmation notification
           const booking = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
@@ -244,10 +309,9 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
           }
         } else if (paymentType === 'final') {
           // Mark booking as completed
-          await pool.query(
-            'UPDATE bookings SET status = $1, final_paid = true, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            ['completed', bookingId]
-          );
+          if (!await markPaymentReceived(bookingId, 'final')) {
+            return res.json({ received: true });
+          }
 
           const booking = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
           if (booking.rows.length > 0) {
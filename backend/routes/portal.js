@@ -0,0 +1,332 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { sendNotification, sendCustomerMessage } from '../middleware/notifications.js';
+import { bookingLimiter, portalLimiter } from '../middleware/rateLimiter.js';
+import {
+  idParamValidation,
+  portalCodeRequestValidation,
+  portalCodeVerifyValidation,
+  portalRebookValidation
+} from '../middleware/validators.js';
+import {
+  LOGIN_CODE_MINUTES,
+  authenticateCustomer,
+  clearSessionCookie,
+  createCustomerSession,
+  createLoginCode,
+  revokeCustomerSession,
+  setSessionCookie,
+  verifyLoginCode
+} from '../middleware/customerSessions.js';
+import { findCustomer, getCustomer } from '../middleware/customers.js';
+import { buildReceipt, getPortalBooking, listPortalBookings } from '../middleware/customerPortal.js';
+import { getLoyaltySummary } from '../middleware/loyalty.js';
+import { ensureReferralCode, getReferralProgram } from '../middleware/referrals.js';
+import {
+  buildManageLink,
+  buildPaymentLink,
+  generatePaymentToken,
+  insertBooking,
+  prepareBooking
+} from '../middleware/bookings.js';
+import {
+  findConflictingBooking,
+  getAvailableSlots,
+  getDateRestriction,
+  getSchedulingRules,
+  lockBookingDate
+} from '../middleware/availability.js';
+import { priceVehicles } from '../middleware/pricing.js';
+import { formatVehicleSummary, getBookingVehicles } from '../middleware/vehicles.js';
+import { decodeEscaped } from '../middleware/csv.js';
+
+const router = express.Router();
+
+// What the portal shows about the signed-in customer
+function formatPortalCustomer(customer) {
+  return {
+    name: decodeEscaped(customer.name),
+    email: customer.email,
+    phone: customer.phone,
+    visits: customer.visits,
+    balanceDue: customer.balanceDue
+  };
+}
+
+// The services, add-ons and saved vehicles of a booking, to book them again
+async function getRebookVehicles(bookingId) {
+  return (await getBookingVehicles(bookingId)).map(vehicle => ({
+    vehicleType: vehicle.vehicleType,
+    serviceId: vehicle.serviceId,
+    packageId: vehicle.packageId,
+    addonIds: vehicle.addons.map(addon => addon.id),
+    customerVehicleId: vehicle.customerVehicle ? vehicle.customerVehicle.id : null
+  }));
+}
+
+// The customer's referral code to share and what it earns, or null while the program is off
+async function getPortalReferral(customerId) {
+  const program = await getReferralProgram();
+  if (!program.enabled) {
+    return null;
+  }
+  return {
+    code: await ensureReferralCode(customerId),
+    referrerCredit: program.referrerCredit,
+    referredCredit: program.referredCredit
+  };
+}
+
+// Send a sign-in code by email or text (public, rate limited). The reply is
+// the same whether or not the email or phone belongs to a customer, so the
+// form can't be used to find out who our customers are.
+router.post('/request-code', portalLimiter, portalCodeRequestValidation, async (req, res) => {
+  const { email, phone } = req.body;
+  const channel = email ? 'email' : 'sms';
+
+  try {
+    const customerId = await findCustomer(pool, email ? { email } : { phone });
+    const customer = customerId ? await getCustomer(customerId) : null;
+
+    if (customer && (channel === 'email' ? customer.email : customer.phone)) {
+      const code = await createLoginCode(customer.id, channel);
+      const result = await sendCustomerMessage({
+        type: 'portal_login_code',
+        data: {
+          customerName: decodeEscaped(customer.name) || 'there',
+          customerEmail: customer.email,
+          customerPhone: customer.phone,
+          code,
+          codeMinutes: LOGIN_CODE_MINUTES
+        },
+        channels: [channel]
+      });
+      if (result.errors.length > 0) {
+        console.error('Failed to send sign-in code:', result.errors.join('; '));
+      }
+    }
+
+    res.json({ sent: true, channel, codeMinutes: LOGIN_CODE_MINUTES });
+  } catch (error) {
+    console.error('Error sending sign-in code:', error);
+    res.status(500).json({ error: 'Failed to send sign-in code' });
+  }
+});
+
+// Sign in with the code; starts a portal session (httpOnly cookie)
+router.post('/verify-code', portalLimiter, portalCodeVerifyValidation, async (req, res) => {
+  const { email, phone, code } = req.body;
+
+  try {
+    const customerId = await findCustomer(pool, email ? { email } : { phone });
+    if (!customerId || !await verifyLoginCode(customerId, code)) {
+      return res.status(401).json({ error: 'That code is wrong or has expired' });
+    }
+
+    const token = await createCustomerSession(customerId, req.headers['user-agent']);
+    setSessionCookie(res, token);
+
+    res.json({ customer: formatPortalCustomer(await getCustomer(customerId)) });
+  } catch (error) {
+    console.error('Error verifying sign-in code:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// Sign out (ends the session)
+router.post('/logout', authenticateCustomer, async (req, res) => {
+  try {
+    await revokeCustomerSession(req.customer.sessionToken);
+  } catch (error) {
+    console.error('Customer logout error:', error);
+  }
+
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// The signed-in customer, with their loyalty points, punch cards and referral code
+router.get('/me', authenticateCustomer, async (req, res) => {
+  try {
+    const customer = await getCustomer(req.customer.id);
+    if (!customer) {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'Please sign in' });
+    }
+    res.json({
+      customer: formatPortalCustomer(customer),
+      loyalty: await getLoyaltySummary(customer.id),
+      referral: await getPortalReferral(customer.id)
+    });
+  } catch (error) {
+    console.error('Error fetching portal customer:', error);
+    res.status(500).json({ error: 'Failed to load your account' });
+  }
+});
+
+// The customer's upcoming and past bookings
+router.get('/bookings', authenticateCustomer, async (req, res) => {
+  try {
+    res.json(await listPortalBookings(req.customer.id));
+  } catch (error) {
+    console.error('Error fetching portal bookings:', error);
+    res.status(500).json({ error: 'Failed to load your bookings' });
+  }
+});
+
+// Receipt for one of the customer's bookings, once something has been paid
+router.get('/bookings/:id/receipt', authenticateCustomer, idParamValidation, async (req, res) => {
+  try {
+    const booking = await getPortalBooking(req.customer.id, req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (parseFloat(booking.amount_paid) <= 0) {
+      return res.status(404).json({ error: 'There are no payments on this booking yet' });
+    }
+
+    res.json(await buildReceipt(booking));
+  } catch (error) {
+    console.error('Error building receipt:', error);
+    res.status(500).json({ error: 'Failed to load the receipt' });
+  }
+});
+
+// Open start times for booking the same services again on a date
+router.get('/bookings/:id/rebook-availability', authenticateCustomer, idParamValidation, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Valid date is required' });
+    }
+
+    const booking = await getPortalBooking(req.customer.id, req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const pricing = await priceVehicles(await getRebookVehicles(booking.id));
+    if (pricing.error) {
+      return res.status(pricing.status).json({ error: `This service can't be booked online anymore: ${pricing.error}` });
+    }
+
+    const rules = await getSchedulingRules();
+    const restriction = getDateRestriction(date, rules);
+    const slots = restriction ? [] : await getAvailableSlots(date, pricing.durationMinutes, rules);
+
+    res.json({ date, durationMinutes: pricing.durationMinutes, slots, reason: restriction });
+  } catch (error) {
+    console.error('Error fetching rebook availability:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Book the same services, add-ons, vehicles and address again at a new time.
+// Prices are today's; the new booking waits on its deposit like any other.
+router.post('/bookings/:id/rebook', authenticateCustomer, bookingLimiter, idParamValidation, portalRebookValidation, async (req, res) => {
+  try {
+    const { bookingDate, bookingTime } = req.body;
+
+    const previous = await getPortalBooking(req.customer.id, req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const prepared = await prepareBooking({
+      vehicles: await getRebookVehicles(previous.id),
+      address: previous.address,
+      bookingDate,
+      bookingTime
+    });
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
+    const pricedVehicles = prepared.vehicles;
+    const [primaryVehicle] = pricedVehicles;
+    const { totalAmount, depositAmount, durationMinutes, travelFee } = prepared;
+    const { depositHoldMinutes } = await getSchedulingRules();
+    const paymentToken = generatePaymentToken();
+    const customer = {
+      customerName: previous.customer_name,
+      customerEmail: previous.customer_email,
+      customerPhone: previous.customer_phone
+    };
+
+    const client = await pool.connect();
+    let booking;
+
+    try {
+      await client.query('BEGIN');
+
+      await lockBookingDate(client, bookingDate);
+
+      const conflict = await findConflictingBooking({
+        date: bookingDate,
+        time: bookingTime,
+        duration: durationMinutes
+      }, client);
+
+      if (conflict) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Selected time slot is no longer available' });
+      }
+
+      booking = await insertBooking(client, {
+        ...prepared,
+        ...customer,
+        bookingDate,
+        bookingTime,
+        address: previous.address,
+        notes: `Rebooked from #${previous.id} in the customer portal`,
+        paymentToken,
+        holdMinutes: depositHoldMinutes
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const paymentLink = buildPaymentLink(booking.id, paymentToken);
+    const manageLink = buildManageLink(booking.id, paymentToken);
+
+    await sendNotification({
+      type: 'new_booking',
+      data: {
+        bookingId: booking.id,
+        ...customer,
+        vehicleType: primaryVehicle.vehicleType,
+        vehicleSummary: formatVehicleSummary(pricedVehicles),
+        serviceName: primaryVehicle.serviceName,
+        bookingDate,
+        bookingTime,
+        totalAmount,
+        depositAmount,
+        addons: pricedVehicles.flatMap(vehicle => vehicle.addons),
+        travelFee,
+        holdMinutes: depositHoldMinutes,
+        paymentLink,
+        manageLink
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      bookingId: booking.id,
+      totalAmount: parseFloat(totalAmount.toFixed(2)),
+      depositAmount: parseFloat(depositAmount.toFixed(2)),
+      holdMinutes: depositHoldMinutes,
+      paymentLink,
+      manageLink
+    });
+  } catch (error) {
+    console.error('Error rebooking:', error);
+    res.status(500).json({ error: 'Failed to book again' });
+  }
+});
+
+export default router;
@@ -1,12 +1,89 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { sendNotification } from '../middleware/notifications.js';
-import { quoteValidation } from '../middleware/validators.js';
+import {
+  idParamValidation,
+  listQueryValidation,
+  quoteConversionValidation,
+  quoteValidation
+} from '../middleware/validators.js';
 import { quoteLimiter } from '../middleware/rateLimiter.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { buildListQuery, formatListPage } from '../middleware/listQuery.js';
+import { findConflictingBooking, lockBookingDate } from '../middleware/availability.js';
+import {
+  buildManageLink,
+  buildPaymentLink,
+  generatePaymentToken,
+  insertBooking,
+  prepareBooking
+} from '../middleware/bookings.js';
+import { formatVehicleSummary } from '../middleware/vehicles.js';
+import { matchCustomer } from '../middleware/customers.js';
+import {
+  createCustomerVehicle,
+  hasVehicleDetails,
+  resolveCustomerVehicles
+} from '../middleware/customerVehicles.js';
 
 const router = express.Router();
 
+const QUOTE_STATUSES = ['new', 'contacted', 'converted', 'closed'];
+
+// Service names for the quote form's service levels (see QuoteCalculator)
+const QUOTE_SERVICE_NAMES = {
+  'exterior': 'Exterior Wash/Wax/Sealant',
+  'interior': 'Interior Detail',
+  'deep-interior': 'Interior DEEP Cleaning',
+  'package-deal': 'Package Deal',
+  'disaster': 'Disaster Vehicle'
+};
+
+// Filters and sorts for the admin quote list, the same parameters as the booking
+// list. Dates are when the quote came in; service is the requested service level.
+const QUOTE_LIST = {
+  name: 'quote',
+  statuses: QUOTE_STATUSES,
+  columns: {
+    status: 'q.status',
+    date: 'q.created_at::date',
+    search: ['q.customer_name', 'q.customer_email', 'q.customer_phone'],
+    phone: 'q.customer_phone'
+  },
+  filters: {
+    vehicleType: value => `LOWER(q.vehicle_type) = LOWER(${value})`,
+    service: value => `LOWER(q.service_level) = LOWER(${value})`
+  },
+  sorts: {
+    created_at: 'q.created_at',
+    customer_name: 'q.customer_name',
+    estimated_price: 'q.estimated_price',
+    status: 'q.status',
+    id: 'q.id'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'q.id'
+};
+
+// The service and active add-ons a quote asked for, matched by name.
+// Add-ons that no longer exist are left out.
+async function getQuotedServices(quote, db = pool) {
+  const serviceName = QUOTE_SERVICE_NAMES[(quote.service_level || '').toLowerCase()];
+  const service = serviceName
+    ? await db.query('SELECT id FROM services WHERE name = $1 LIMIT 1', [serviceName])
+    : { rows: [] };
+
+  const addonNames = (quote.selected_addons || []).map(addon => String(addon.name).toLowerCase());
+  const addons = addonNames.length > 0
+    ? await db.query('SELECT id FROM addons WHERE LOWER(name) = ANY($1) AND is_active = true ORDER BY id', [addonNames])
+    : { rows: [] };
+
+  return {
+    serviceId: service.rows.length > 0 ? service.rows[0].id : null,
+    addonIds: addons.rows.map(row => row.id)
+  };
+}
+
 // Submit a quote request (public with rate limiting and validation)
 router.post('/', quoteLimiter, quoteValidation, async (req, res) => {
   try {
@@ -14,14 +91,25 @@ router.post('/', quoteLimiter, quoteValidation, async (req, res) => {
       customerName,
       customerEmail,
       customerPhone,
-      vehicleType,
       serviceLevel,
       message,
       selectedAddons,
       addonTotal,
-      totalEstimate
+      totalEstimate,
+      customerVehicleId,
+      vehicle: vehicleDetails
     } = req.body;
 
+    // A saved vehicle is quoted as its size class
+    const resolved = await resolveCustomerVehicles(
+      [{ vehicleType: req.body.vehicleType, customerVehicleId }],
+      customerEmail
+    );
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    const { vehicleType } = resolved.vehicles[0];
+
     // Calculate estimated price based on service level
     const prices = {
       'exterior': { sedan: 50, suv: 60, commercial: 80 },
@@ -40,18 +128,51 @@ router.post('/', quoteLimiter, quoteValidation, async (req, res) => {
       if (selectedAddons.length > 20) {
         return res.status(400).json({ error: 'Too many addons selected' });
       }
+      // The quote form sends add-on names; older clients send { name, price }
       sanitizedAddons = selectedAddons
+        .map(a => (typeof a === 'string' ? { name: a } : a))
         .filter(a => a && typeof a === 'object' && typeof a.name === 'string')
         .map(a => ({ name: String(a.name).substring(0, 200), price: Number(a.price) || 0 }));
     }
 
-    const result = await pool.query(
-      `INSERT INTO quote_requests
-       (customer_name, customer_email, customer_phone, vehicle_type, service_level, estimated_price, message, selected_addons)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [customerName, customerEmail, customerPhone, vehicleType, serviceLevel, estimatedPrice, message, JSON.stringify(sanitizedAddons)]
-    );
+    const client = await pool.connect();
+    let quote;
+
+    try {
+      await client.query('BEGIN');
+
+      const customerId = await matchCustomer(client, { name: customerName, email: customerEmail, phone: customerPhone });
+
+      // Details of a new vehicle are saved so the customer needn't type them again
+      let savedVehicleId = resolved.vehicles[0].customerVehicleId;
+      if (!savedVehicleId && hasVehicleDetails(vehicleDetails)) {
+        savedVehicleId = (await createCustomerVehicle(client, {
+          ...vehicleDetails,
+          customerId,
+          customerEmail,
+          customerPhone,
+          sizeClass: vehicle
+        })).id;
+      }
+
+      const result = await client.query(
+        `INSERT INTO quote_requests
+         (customer_name, customer_email, customer_phone, vehicle_type, service_level, estimated_price, message,
+          selected_addons, customer_vehicle_id, customer_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [customerName, customerEmail, customerPhone, vehicleType, serviceLevel, estimatedPrice, message,
+         JSON.stringify(sanitizedAddons), savedVehicleId, customerId]
+      );
+      quote = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     // Send notification to business owner
     await sendNotification({
@@ -71,7 +192,7 @@ router.post('/', quoteLimiter, quoteValidation, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      quote: result.rows[0],
+      quote,
       estimatedPrice
     });
   } catch (error) {
@@ -80,13 +201,26 @@ router.post('/', quoteLimiter, quoteValidation, async (req, res) => {
   }
 });
 
-// Get all quote requests (admin only)
-router.get('/', authenticateToken, async (req, res) => {
+// Get all quote requests (admin only).
+// Passing page or limit returns { data, pagination } instead of every match.
+router.get('/', authenticateToken, requireRole('admin'), listQueryValidation, async (req, res) => {
   try {
+    const list = buildListQuery(req.query, QUOTE_LIST);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
     const result = await pool.query(
-      'SELECT * FROM quote_requests ORDER BY created_at DESC'
+      `SELECT q.* FROM quote_requests q ${list.where} ${list.orderBy} ${list.limit}`,
+      list.values
     );
-    res.json(result.rows);
+
+    if (!list.paged) {
+      return res.json(result.rows);
+    }
+
+    const count = await pool.query(`SELECT COUNT(*) FROM quote_requests q ${list.where}`, list.values);
+    res.json(formatListPage(result.rows, parseInt(count.rows[0].count, 10), list));
   } catch (error) {
     console.error('Error fetching quotes:', error);
     res.status(500).json({ error: 'Failed to fetch quotes' });
@@ -94,25 +228,31 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Update quote status (admin only)
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
-    const validStatuses = ['new', 'contacted', 'converted', 'closed'];
-
-    if (!validStatuses.includes(status)) {
+    if (!QUOTE_STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
+    if (status === 'converted') {
+      return res.status(400).json({ error: 'Convert the quote to create its booking' });
+    }
+
+    const existing = await pool.query('SELECT booking_id FROM quote_requests WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    if (existing.rows[0].booking_id) {
+      return res.status(400).json({ error: `This quote was converted into booking #${existing.rows[0].booking_id}` });
+    }
+
     const result = await pool.query(
       'UPDATE quote_requests SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
       [status, id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Quote not found' });
-    }
-
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error updating quote status:', error);
@@ -120,4 +260,148 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
   }
 });
 
+// Turn a quote into a pending booking at the date and time the admin picked and
+// send the customer the deposit payment link (admin only). The customer and
+// vehicle come from the quote; the service and add-ons default to what it asked for.
+router.post('/:id/convert', authenticateToken, requireRole('admin'), idParamValidation, quoteConversionValidation, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookingDate, bookingTime, address, sendEmail } = req.body;
+
+    const quoteResult = await pool.query('SELECT * FROM quote_requests WHERE id = $1', [id]);
+    if (quoteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const quote = quoteResult.rows[0];
+    if (quote.booking_id) {
+      return res.status(400).json({ error: `This quote was already converted into booking #${quote.booking_id}` });
+    }
+
+    const quoted = await getQuotedServices(quote);
+    const serviceId = req.body.serviceId || (req.body.packageId ? null : quoted.serviceId);
+    if (!serviceId && !req.body.packageId) {
+      return res.status(400).json({ error: 'Pick the service to book for this quote' });
+    }
+
+    const prepared = await prepareBooking({
+      vehicles: [{
+        vehicleType: quote.vehicle_type,
+        customerVehicleId: quote.customer_vehicle_id,
+        serviceId,
+        packageId: serviceId ? null : req.body.packageId,
+        addonIds: req.body.addonIds || quoted.addonIds
+      }],
+      address,
+      bookingDate,
+      bookingTime
+    });
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
+    const notes = req.body.notes !== undefined ? req.body.notes : quote.message;
+    const paymentToken = generatePaymentToken();
+    const client = await pool.connect();
+    let booking;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the quote so two admins can't convert it at once
+      const locked = await client.query('SELECT booking_id FROM quote_requests WHERE id = $1 FOR UPDATE', [id]);
+      if (locked.rows[0].booking_id) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `This quote was already converted into booking #${locked.rows[0].booking_id}` });
+      }
+
+      await lockBookingDate(client, bookingDate);
+
+      const conflict = await findConflictingBooking({
+        date: bookingDate,
+        time: bookingTime,
+        duration: prepared.durationMinutes
+      }, client);
+
+      if (conflict) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Selected time slot is no longer available' });
+      }
+
+      booking = await insertBooking(client, {
+        ...prepared,
+        customerName: quote.customer_name,
+        customerEmail: quote.customer_email,
+        customerPhone: quote.customer_phone,
+        bookingDate,
+        bookingTime,
+        address,
+        notes,
+        paymentToken
+      });
+
+      const linked = await client.query(
+        'UPDATE bookings SET quote_id = $1 WHERE id = $2 RETURNING *',
+        [quote.id, booking.id]
+      );
+      booking = linked.rows[0];
+
+      await client.query(
+        `UPDATE quote_requests
+         SET status = 'converted', booking_id = $1, converted_at = NOW(), converted_by = $2, updated_at = NOW()
+         WHERE id = $3`,
+        [booking.id, req.user.id, quote.id]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const paymentLink = buildPaymentLink(booking.id, paymentToken);
+    const manageLink = buildManageLink(booking.id, paymentToken);
+    const [primaryVehicle] = prepared.vehicles;
+
+    if (sendEmail !== false) {
+      await sendNotification({
+        type: 'quote_converted',
+        data: {
+          bookingId: booking.id,
+          quoteId: quote.id,
+          customerName: quote.customer_name,
+          customerEmail: quote.customer_email,
+          customerPhone: quote.customer_phone,
+          vehicleType: primaryVehicle.vehicleType,
+          vehicleSummary: formatVehicleSummary(prepared.vehicles),
+          serviceName: primaryVehicle.serviceName,
+          addons: primaryVehicle.addons,
+          bookingDate,
+          bookingTime,
+          totalAmount: parseFloat(prepared.totalAmount.toFixed(2)),
+          depositAmount: parseFloat(prepared.depositAmount.toFixed(2)),
+          travelFee: prepared.travelFee,
+          paymentLink,
+          manageLink
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      booking,
+      totalAmount: parseFloat(prepared.totalAmount.toFixed(2)),
+      depositAmount: parseFloat(prepared.depositAmount.toFixed(2)),
+      vehicles: prepared.vehicles,
+      paymentLink,
+      manageLink
+    });
+  } catch (error) {
+    console.error('Error converting quote:', error);
+    res.status(500).json({ error: 'Failed to convert quote' });
+  }
+});
+
 export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  idParamValidation,
+  referralReportValidation,
+  referralReviewValidation
+} from '../middleware/validators.js';
+import {
+  approveReferral,
+  getReferralReport,
+  notifyReferralCredits,
+  rejectReferral
+} from '../middleware/referrals.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Referral report: totals, top referrers, chains and the referrals themselves.
+// Takes from and to (YYYY-MM-DD) and status.
+router.get('/', referralReportValidation, async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    res.json(await getReferralReport({ from, to, status }));
+  } catch (error) {
+    console.error('Error fetching referral report:', error);
+    res.status(500).json({ error: 'Failed to fetch referral report' });
+  }
+});
+
+// Approve a flagged referral: both customers get their credits
+router.post('/:id/approve', idParamValidation, referralReviewValidation, async (req, res) => {
+  const client = await pool.connect();
+  let approved;
+
+  try {
+    await client.query('BEGIN');
+
+    approved = await approveReferral(client, req.params.id, { reviewedBy: req.user.id, note: req.body.note });
+    if (approved.error) {
+      await client.query('ROLLBACK');
+      return res.status(approved.status).json({ error: approved.error });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error approving referral:', error);
+    return res.status(500).json({ error: 'Failed to approve referral' });
+  } finally {
+    client.release();
+  }
+
+  await notifyReferralCredits(approved.referral);
+  res.json({ success: true, referral: approved.referral });
+});
+
+// Reject a referral, or reverse one already rewarded (its unspent credits stop working)
+router.post('/:id/reject', idParamValidation, referralReviewValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const rejected = await rejectReferral(client, req.params.id, { reviewedBy: req.user.id, note: req.body.note });
+    if (rejected.error) {
+      await client.query('ROLLBACK');
+      return res.status(rejected.status).json({ error: rejected.error });
+    }
+
+    await client.query('COMMIT');
+    res.json({ success: true, referral: rejected.referral });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error rejecting referral:', error);
+    res.status(500).json({ error: 'Failed to reject referral' });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { reviewValidation } from '../middleware/validators.js';
+import { findCustomer } from '../middleware/customers.js';
 
 const router = express.Router();
 
@@ -28,11 +29,14 @@ router.post('/', reviewValidation, async (req, res) => {
       bookingId
     } = req.body;
 
+    // Reviews are linked to a known customer but never create one
+    const customerId = await findCustomer(pool, { email: customerEmail });
+
     const result = await pool.query(
-      `INSERT INTO reviews (customer_name, customer_email, rating, review_text, booking_id, is_approved)
-       VALUES ($1, $2, $3, $4, $5, false)
+      `INSERT INTO reviews (customer_name, customer_email, rating, review_text, booking_id, is_approved, customer_id)
+       VALUES ($1, $2, $3, $4, $5, false, $6)
        RETURNING *`,
-      [customerName, customerEmail, rating, reviewText, bookingId]
+      [customerName, customerEmail, rating, reviewText, bookingId, customerId]
     );
 
     res.status(201).json({
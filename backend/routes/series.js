@@ -0,0 +1,481 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { sendCustomerMessage, sendNotification } from '../middleware/notifications.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  idParamValidation,
+  seriesValidation,
+  seriesUpdateValidation,
+  seriesDateValidation
+} from '../middleware/validators.js';
+import {
+  generateSeriesOccurrences,
+  getRegenerableOccurrences,
+  getSeries,
+  removeRegenerableOccurrences
+} from '../middleware/series.js';
+import { buildManageLink } from '../middleware/bookings.js';
+import { getBusinessNow } from '../middleware/availability.js';
+import { offerOpenSlots } from '../middleware/waitlist.js';
+import { resolveServiceZone } from '../middleware/serviceZones.js';
+
+const router = express.Router();
+
+// Every series route is admin only
+router.use(authenticateToken, requireRole('admin'));
+
+async function getOccurrences(seriesId, db = pool) {
+  const result = await db.query(
+    `SELECT id, booking_date::text as booking_date, booking_time, status, deposit_paid, final_paid,
+            total_amount, series_exception
+     FROM bookings
+     WHERE series_id = $1
+     ORDER BY booking_date ASC`,
+    [seriesId]
+  );
+  return result.rows;
+}
+
+// Tell the customer about visits a series edit moved or removed. Moved visits
+// keep their links and get an updated calendar invite. The edit is already
+// saved, so a failure here is only logged.
+async function notifyOccurrenceChanges(series, { updated, removed }) {
+  try {
+    const moved = updated.filter(occurrence =>
+      occurrence.date !== occurrence.previousDate || occurrence.time !== occurrence.previousTime);
+    const tokens = await pool.query(
+      'SELECT id, payment_token FROM bookings WHERE id = ANY($1)',
+      [moved.map(occurrence => occurrence.id)]
+    );
+    const tokenById = new Map(tokens.rows.map(row => [row.id, row.payment_token]));
+    const customer = {
+      customerName: series.customer_name,
+      customerEmail: series.customer_email,
+      customerPhone: series.customer_phone,
+      serviceName: series.service_name
+    };
+
+    for (const occurrence of moved) {
+      await sendCustomerMessage({
+        type: 'booking_rescheduled',
+        channels: ['email'],
+        data: {
+          ...customer,
+          bookingId: occurrence.id,
+          previousDate: occurrence.previousDate,
+          previousTime: occurrence.previousTime,
+          bookingDate: occurrence.date,
+          bookingTime: occurrence.time,
+          manageLink: buildManageLink(occurrence.id, tokenById.get(occurrence.id))
+        }
+      });
+    }
+
+    for (const occurrence of removed) {
+      await sendCustomerMessage({
+        type: 'booking_cancelled',
+        channels: ['email'],
+        data: {
+          ...customer,
+          bookingId: occurrence.id,
+          bookingDate: occurrence.booking_date,
+          bookingTime: occurrence.booking_time,
+          cancelledBy: 'business'
+        }
+      });
+      await offerOpenSlots(occurrence.booking_date);
+    }
+  } catch (error) {
+    console.error('Error notifying customer of series changes:', error);
+  }
+}
+
+// List all series with their next upcoming visit
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT bs.*, bs.start_date::text as start_date, bs.end_date::text as end_date,
+              COALESCE(s.name, p.name) as service_name,
+              (SELECT MIN(b.booking_date)::text FROM bookings b
+               WHERE b.series_id = bs.id AND b.booking_date >= CURRENT_DATE AND b.status != 'cancelled') as next_date
+       FROM booking_series bs
+       LEFT JOIN services s ON bs.service_id = s.id
+       LEFT JOIN packages p ON bs.package_id = p.id
+       ORDER BY bs.status ASC, bs.created_at DESC`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// Get a series with all of its occurrences
+router.get('/:id', idParamValidation, async (req, res) => {
+  try {
+    const series = await getSeries(req.params.id, pool);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json({ ...series, occurrences: await getOccurrences(series.id) });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// Create a recurring series and book its upcoming visits
+router.post('/', seriesValidation, async (req, res) => {
+  const {
+    customerName,
+    customerEmail,
+    customerPhone,
+    vehicleType,
+    serviceId,
+    packageId,
+    addonIds,
+    address,
+    notes,
+    startDate,
+    bookingTime,
+    intervalWeeks,
+    endDate,
+    sendEmail
+  } = req.body;
+
+  if (!serviceId && !packageId) {
+    return res.status(400).json({ error: 'Service or package ID required' });
+  }
+
+  if (endDate && endDate < startDate) {
+    return res.status(400).json({ error: 'End date must be after the start date' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const serviceZone = await resolveServiceZone(address, client);
+    if (serviceZone.error) {
+      await client.query('ROLLBACK');
+      return res.status(serviceZone.status).json({ error: serviceZone.error });
+    }
+
+    const result = await client.query(
+      `INSERT INTO booking_series
+       (customer_name, customer_email, customer_phone, vehicle_type, service_id, package_id, addon_ids,
+        address, notes, start_date, booking_time, interval_weeks, end_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [customerName, customerEmail, customerPhone, vehicleType, serviceId || null, packageId || null,
+       JSON.stringify(addonIds || []), address, notes, startDate, bookingTime, intervalWeeks, endDate || null]
+    );
+
+    const seriesId = result.rows[0].id;
+    const { created, skipped } = await generateSeriesOccurrences(seriesId, client);
+
+    await client.query('COMMIT');
+
+    const series = await getSeries(seriesId, pool);
+
+    if (sendEmail !== false) {
+      await sendNotification({
+        type: 'series_created',
+        data: {
+          seriesId,
+          customerName,
+          customerEmail,
+          customerPhone,
+          vehicleType,
+          serviceName: series.service_name,
+          bookingTime,
+          intervalWeeks,
+          dates: created.map(occurrence => occurrence.date)
+        }
+      });
+    }
+
+    res.status(201).json({ success: true, series, created, skipped });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating series:', error);
+    res.status(500).json({ error: 'Failed to create series' });
+  } finally {
+    client.release();
+  }
+});
+
+// Edit the whole series. Future visits that are still unpaid and haven't been
+// edited individually are rebuilt from the new settings in place, so their
+// links keep working; paid or individually edited visits are kept as they are.
+router.put('/:id', idParamValidation, seriesUpdateValidation, async (req, res) => {
+  const { id } = req.params;
+  const fieldMap = {
+    vehicleType: 'vehicle_type',
+    serviceId: 'service_id',
+    bookingTime: 'booking_time',
+    intervalWeeks: 'interval_weeks',
+    endDate: 'end_date',
+    address: 'address',
+    notes: 'notes'
+  };
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [field, column] of Object.entries(fieldMap)) {
+    if (req.body[field] !== undefined) {
+      updates.push(column + ' = $' + paramCount++);
+      values.push(req.body[field]);
+    }
+  }
+
+  if (req.body.addonIds !== undefined) {
+    updates.push('addon_ids = $' + paramCount++);
+    values.push(JSON.stringify(req.body.addonIds));
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const client = await pool.connect();
+  let changes;
+  let series;
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await getSeries(id, client, { forUpdate: true });
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (existing.status !== 'active') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This series has ended' });
+    }
+
+    if (req.body.endDate && req.body.endDate < existing.start_date) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'End date must be after the start date' });
+    }
+
+    if (req.body.address !== undefined) {
+      const serviceZone = await resolveServiceZone(req.body.address, client);
+      if (serviceZone.error) {
+        await client.query('ROLLBACK');
+        return res.status(serviceZone.status).json({ error: serviceZone.error });
+      }
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    await client.query(
+      'UPDATE booking_series SET ' + updates.join(', ') + ' WHERE id = $' + paramCount,
+      values
+    );
+
+    const reuse = await getRegenerableOccurrences(id, client);
+
+    // Carry address and notes over to the future visits that were kept
+    if (req.body.address !== undefined || req.body.notes !== undefined) {
+      await client.query(
+        `UPDATE bookings b SET address = bs.address, notes = bs.notes, updated_at = CURRENT_TIMESTAMP
+         FROM booking_series bs
+         WHERE b.series_id = bs.id AND bs.id = $1 AND b.booking_date >= $2
+           AND b.series_exception = false AND b.status != 'cancelled'`,
+        [id, getBusinessNow().date]
+      );
+    }
+
+    changes = await generateSeriesOccurrences(id, client, { reuse });
+    series = await getSeries(id, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating series:', error);
+    return res.status(500).json({ error: 'Failed to update series' });
+  } finally {
+    client.release();
+  }
+
+  await notifyOccurrenceChanges(series, changes);
+
+  const { created, updated, removed, skipped } = changes;
+  res.json({
+    success: true,
+    series,
+    removed: removed.map(occurrence => ({ id: occurrence.id, booking_date: occurrence.booking_date })),
+    updated,
+    created,
+    skipped
+  });
+});
+
+// Book any visits that have come into the booking horizon since the last run
+router.post('/:id/generate', idParamValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const series = await getSeries(req.params.id, client);
+    if (!series) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const { created, skipped } = await generateSeriesOccurrences(series.id, client);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, created, skipped });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error generating series bookings:', error);
+    res.status(500).json({ error: 'Failed to generate series bookings' });
+  } finally {
+    client.release();
+  }
+});
+
+// Skip a single date in the series, removing its visit if one was booked
+router.post('/:id/skip', idParamValidation, seriesDateValidation, async (req, res) => {
+  const { id } = req.params;
+  const { date } = req.body;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const series = await getSeries(id, client, { forUpdate: true });
+    if (!series) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const occurrence = await client.query(
+      `SELECT id, deposit_paid FROM bookings
+       WHERE series_id = $1 AND booking_date = $2 AND status != 'cancelled'`,
+      [id, date]
+    );
+
+    if (occurrence.rows.length > 0 && occurrence.rows[0].deposit_paid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'A deposit was paid for this visit. Cancel or reschedule the booking instead.'
+      });
+    }
+
+    if (occurrence.rows.length > 0) {
+      await client.query('DELETE FROM bookings WHERE id = $1', [occurrence.rows[0].id]);
+    }
+
+    const skippedDates = Array.from(new Set([...(series.skipped_dates || []), date])).sort();
+    await client.query(
+      'UPDATE booking_series SET skipped_dates = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [JSON.stringify(skippedDates), id]
+    );
+
+    await client.query('COMMIT');
+
+    if (occurrence.rows.length > 0) {
+      await offerOpenSlots(date);
+    }
+
+    res.json({
+      success: true,
+      skippedDates,
+      removedBookingId: occurrence.rows[0]?.id || null
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error skipping series date:', error);
+    res.status(500).json({ error: 'Failed to skip date' });
+  } finally {
+    client.release();
+  }
+});
+
+// Undo a skipped date and book it again if the slot is still open
+router.delete('/:id/skip/:date', idParamValidation, async (req, res) => {
+  const { id, date } = req.params;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const series = await getSeries(id, client, { forUpdate: true });
+    if (!series) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const skippedDates = (series.skipped_dates || []).filter(skipped => skipped !== date);
+    await client.query(
+      'UPDATE booking_series SET skipped_dates = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [JSON.stringify(skippedDates), id]
+    );
+
+    const { created, skipped } = await generateSeriesOccurrences(id, client);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, skippedDates, created, skipped });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring series date:', error);
+    res.status(500).json({ error: 'Failed to restore date' });
+  } finally {
+    client.release();
+  }
+});
+
+// End a series: stop generating visits and remove future unpaid ones.
+// Past and paid visits stay on record.
+router.delete('/:id', idParamValidation, async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE booking_series SET status = 'ended', end_date = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING id`,
+      [getBusinessNow().date, id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const removed = await removeRegenerableOccurrences(id, client);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, removed });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error ending series:', error);
+    res.status(500).json({ error: 'Failed to end series' });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  idParamValidation,
+  serviceZoneValidation,
+  zipLookupValidation
+} from '../middleware/validators.js';
+import { lookupZipCode } from '../middleware/serviceZones.js';
+
+const router = express.Router();
+
+const ZONE_SELECT = `
+  SELECT z.*,
+         COALESCE(array_agg(zc.zip_code ORDER BY zc.zip_code) FILTER (WHERE zc.zip_code IS NOT NULL), '{}') as zip_codes
+  FROM service_zones z
+  LEFT JOIN service_zone_zip_codes zc ON zc.zone_id = z.id`;
+
+// ZIP codes in the request that already belong to a different zone
+async function findZipConflicts(client, zipCodes, zoneId = null) {
+  const result = await client.query(
+    `SELECT zc.zip_code, z.name as zone_name
+     FROM service_zone_zip_codes zc
+     JOIN service_zones z ON zc.zone_id = z.id
+     WHERE zc.zip_code = ANY($1) AND ($2::int IS NULL OR zc.zone_id != $2)
+     ORDER BY zc.zip_code`,
+    [zipCodes, zoneId]
+  );
+  return result.rows;
+}
+
+async function saveZipCodes(client, zoneId, zipCodes) {
+  await client.query('DELETE FROM service_zone_zip_codes WHERE zone_id = $1', [zoneId]);
+  await client.query(
+    `INSERT INTO service_zone_zip_codes (zip_code, zone_id)
+     SELECT zip, $2 FROM unnest($1::text[]) AS zip`,
+    [zipCodes, zoneId]
+  );
+}
+
+async function getZone(zoneId, db = pool) {
+  const result = await db.query(`${ZONE_SELECT} WHERE z.id = $1 GROUP BY z.id`, [zoneId]);
+  return result.rows[0] || null;
+}
+
+// Travel fee for a ZIP code (public - used by the quote calculator)
+router.get('/lookup', zipLookupValidation, async (req, res) => {
+  try {
+    const lookup = await lookupZipCode(req.query.zip);
+    res.json({
+      zipCode: lookup.zipCode,
+      serviceable: lookup.serviceable,
+      zoneName: lookup.serviceable && lookup.zone ? lookup.zone.name : null,
+      travelFee: lookup.travelFee
+    });
+  } catch (error) {
+    console.error('Error looking up ZIP code:', error);
+    res.status(500).json({ error: 'Failed to look up ZIP code' });
+  }
+});
+
+// List zones with their ZIP codes (admin only)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${ZONE_SELECT} GROUP BY z.id ORDER BY z.out_of_area ASC, z.travel_fee ASC, z.name ASC`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching service zones:', error);
+    res.status(500).json({ error: 'Failed to fetch service zones' });
+  }
+});
+
+// Create a zone (admin only)
+router.post('/', authenticateToken, requireRole('admin'), serviceZoneValidation, async (req, res) => {
+  const { name, travelFee, outOfArea, isActive } = req.body;
+  const zipCodes = [...new Set(req.body.zipCodes)];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const conflicts = await findZipConflicts(client, zipCodes);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Some ZIP codes already belong to another zone', conflicts });
+    }
+
+    const result = await client.query(
+      `INSERT INTO service_zones (name, travel_fee, out_of_area, is_active)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [name, outOfArea ? 0 : travelFee || 0, outOfArea || false, isActive !== false]
+    );
+
+    const zoneId = result.rows[0].id;
+    await saveZipCodes(client, zoneId, zipCodes);
+
+    await client.query('COMMIT');
+
+    res.status(201).json(await getZone(zoneId));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating service zone:', error);
+    res.status(500).json({ error: 'Failed to create service zone' });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace a zone's settings and ZIP codes (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), idParamValidation, serviceZoneValidation, async (req, res) => {
+  const { id } = req.params;
+  const { name, travelFee, outOfArea, isActive } = req.body;
+  const zipCodes = [...new Set(req.body.zipCodes)];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE service_zones
+       SET name = $1, travel_fee = $2, out_of_area = $3, is_active = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING id`,
+      [name, outOfArea ? 0 : travelFee || 0, outOfArea || false, isActive !== false, id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Service zone not found' });
+    }
+
+    const conflicts = await findZipConflicts(client, zipCodes, id);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Some ZIP codes already belong to another zone', conflicts });
+    }
+
+    await saveZipCodes(client, id, zipCodes);
+
+    await client.query('COMMIT');
+
+    res.json(await getZone(id));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating service zone:', error);
+    res.status(500).json({ error: 'Failed to update service zone' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a zone (admin only). Existing bookings keep the travel fee they were charged.
+router.delete('/:id', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM service_zones WHERE id = $1 RETURNING id, name',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service zone not found' });
+    }
+
+    res.json({ success: true, deleted: result.rows[0] });
+  } catch (error) {
+    console.error('Error deleting service zone:', error);
+    res.status(500).json({ error: 'Failed to delete service zone' });
+  }
+});
+
+export default router;
@@ -0,0 +1,283 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { saveSettings } from '../config/settings.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  cancellationPolicyValidation,
+  loyaltyProgramValidation,
+  referralProgramValidation,
+  reminderSettingsValidation,
+  schedulingSettingsValidation
+} from '../middleware/validators.js';
+import { getSchedulingRules, parseHoursRange } from '../middleware/availability.js';
+import { getCancellationPolicy } from '../middleware/cancellationPolicy.js';
+import { getReminderSettings } from '../middleware/reminders.js';
+import { getLoyaltyProgram } from '../middleware/loyalty.js';
+import { getReferralProgram } from '../middleware/referrals.js';
+
+const router = express.Router();
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Get booking schedule rules (public - used by booking date pickers)
+router.get('/scheduling', async (req, res) => {
+  try {
+    const rules = await getSchedulingRules();
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching scheduling settings:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduling settings' });
+  }
+});
+
+// Update working hours, blackout dates, lead time, horizon, cancellation window and deposit hold (admin only)
+router.put('/scheduling', authenticateToken, requireRole('admin'), schedulingSettingsValidation, async (req, res) => {
+  const {
+    businessHours,
+    blackoutDates,
+    minLeadTimeHours,
+    maxBookingDays,
+    cancellationWindowHours,
+    depositHoldMinutes
+  } = req.body;
+  const values = {};
+
+  if (businessHours !== undefined) {
+    const unknownDays = Object.keys(businessHours).filter(day => !WEEKDAYS.includes(day));
+    if (unknownDays.length > 0) {
+      return res.status(400).json({ error: `Unknown weekday: ${unknownDays.join(', ')}` });
+    }
+
+    for (const [day, range] of Object.entries(businessHours)) {
+      if (range !== 'closed' && !parseHoursRange(range)) {
+        return res.status(400).json({ error: `Closing time must be after opening time on ${day}` });
+      }
+    }
+
+    // Days left out of the update are treated as closed
+    values.business_hours = WEEKDAYS.reduce((acc, day) => {
+      acc[day] = businessHours[day] || 'closed';
+      return acc;
+    }, {});
+  }
+
+  if (blackoutDates !== undefined) {
+    values.blackout_dates = blackoutDates
+      .map(entry => ({ date: entry.date, reason: entry.reason || '' }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  if (minLeadTimeHours !== undefined) {
+    values.min_lead_time_hours = parseFloat(minLeadTimeHours);
+  }
+
+  if (maxBookingDays !== undefined) {
+    values.max_booking_days = parseInt(maxBookingDays, 10);
+  }
+
+  if (cancellationWindowHours !== undefined) {
+    values.cancellation_window_hours = parseFloat(cancellationWindowHours);
+  }
+
+  if (depositHoldMinutes !== undefined) {
+    values.deposit_hold_minutes = parseInt(depositHoldMinutes, 10);
+  }
+
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await saveSettings(values, client);
+    await client.query('COMMIT');
+
+    const rules = await getSchedulingRules();
+    res.json(rules);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating scheduling settings:', error);
+    res.status(500).json({ error: 'Failed to update scheduling settings' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get the cancellation and no-show deposit policy (public - shown to customers before they book or cancel)
+router.get('/cancellation-policy', async (req, res) => {
+  try {
+    res.json(await getCancellationPolicy());
+  } catch (error) {
+    console.error('Error fetching cancellation policy:', error);
+    res.status(500).json({ error: 'Failed to fetch cancellation policy' });
+  }
+});
+
+// Replace the cancellation and no-show deposit policy (admin only)
+router.put('/cancellation-policy', authenticateToken, requireRole('admin'), cancellationPolicyValidation, async (req, res) => {
+  const { rules, noShowOutcome, creditValidDays } = req.body;
+
+  const hours = rules.map(rule => parseFloat(rule.hoursBefore));
+  if (new Set(hours).size !== hours.length) {
+    return res.status(400).json({ error: 'Each cancellation rule needs a different number of hours' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await saveSettings({
+      cancellation_policy: {
+        rules: rules
+          .map(rule => ({ hoursBefore: parseFloat(rule.hoursBefore), outcome: rule.outcome }))
+          .sort((a, b) => b.hoursBefore - a.hoursBefore),
+        noShowOutcome,
+        creditValidDays: parseInt(creditValidDays, 10)
+      }
+    }, client);
+    await client.query('COMMIT');
+
+    res.json(await getCancellationPolicy());
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating cancellation policy:', error);
+    res.status(500).json({ error: 'Failed to update cancellation policy' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get automatic reminder timing and channels (admin only)
+router.get('/reminders', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await getReminderSettings());
+  } catch (error) {
+    console.error('Error fetching reminder settings:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder settings' });
+  }
+});
+
+// Replace automatic reminder timing and channels (admin only)
+router.put('/reminders', authenticateToken, requireRole('admin'), reminderSettingsValidation, async (req, res) => {
+  const { appointmentReminder, onTheWay, depositNudge } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await saveSettings({
+      reminder_settings: {
+        appointmentReminder: {
+          enabled: appointmentReminder.enabled,
+          hoursBefore: parseFloat(appointmentReminder.hoursBefore),
+          channels: [...new Set(appointmentReminder.channels)]
+        },
+        onTheWay: {
+          enabled: onTheWay.enabled,
+          minutesBefore: parseInt(onTheWay.minutesBefore, 10),
+          channels: [...new Set(onTheWay.channels)]
+        },
+        depositNudge: {
+          enabled: depositNudge.enabled,
+          minutesAfterBooking: [...new Set(depositNudge.minutesAfterBooking)].sort((a, b) => a - b),
+          channels: [...new Set(depositNudge.channels)]
+        }
+      }
+    }, client);
+    await client.query('COMMIT');
+
+    res.json(await getReminderSettings());
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating reminder settings:', error);
+    res.status(500).json({ error: 'Failed to update reminder settings' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get the loyalty program: points and punch cards (admin only)
+router.get('/loyalty', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await getLoyaltyProgram());
+  } catch (error) {
+    console.error('Error fetching loyalty program:', error);
+    res.status(500).json({ error: 'Failed to fetch loyalty program' });
+  }
+});
+
+// Replace the loyalty program (admin only). Changes apply to bookings paid from
+// now on; balances already earned are kept.
+router.put('/loyalty', authenticateToken, requireRole('admin'), loyaltyProgramValidation, async (req, res) => {
+  const { enabled, pointsPerDollar, redeemPoints, redeemValue, punchCards } = req.body;
+
+  const serviceIds = punchCards.map(card => card.serviceId);
+  if (new Set(serviceIds).size !== serviceIds.length) {
+    return res.status(400).json({ error: 'Each service can only have one punch card' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const services = await client.query('SELECT id FROM services WHERE id = ANY($1)', [serviceIds]);
+    const missing = serviceIds.find(id => !services.rows.some(service => service.id === id));
+    if (missing) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Service #${missing} not found` });
+    }
+
+    await saveSettings({
+      loyalty_program: {
+        enabled,
+        pointsPerDollar,
+        redeemPoints,
+        redeemValue,
+        punchCards: punchCards.map(card => ({ serviceId: card.serviceId, paidVisits: card.paidVisits }))
+      }
+    }, client);
+    await client.query('COMMIT');
+
+    res.json(await getLoyaltyProgram());
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating loyalty program:', error);
+    res.status(500).json({ error: 'Failed to update loyalty program' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get the referral program: credits for both customers and the fraud limit (admin only)
+router.get('/referrals', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await getReferralProgram());
+  } catch (error) {
+    console.error('Error fetching referral program:', error);
+    res.status(500).json({ error: 'Failed to fetch referral program' });
+  }
+});
+
+// Replace the referral program (admin only). Credits are issued at the amounts
+// set when a referred deposit is paid (or a flagged referral is approved).
+router.put('/referrals', authenticateToken, requireRole('admin'), referralProgramValidation, async (req, res) => {
+  const { enabled, referrerCredit, referredCredit, creditValidDays, dailyLimit } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await saveSettings({
+      referral_program: { enabled, referrerCredit, referredCredit, creditValidDays, dailyLimit }
+    }, client);
+    await client.query('COMMIT');
+
+    res.json(await getReferralProgram());
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating referral program:', error);
+    res.status(500).json({ error: 'Failed to update referral program' });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,203 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import pool from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  idParamValidation,
+  routePlanValidation,
+  staffUpdateValidation,
+  staffValidation,
+  timeOffValidation
+} from '../middleware/validators.js';
+import { TECHNICIAN_ROLE, getCrewCalendar } from '../middleware/staff.js';
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+
+const STAFF_SELECT = `
+  SELECT u.id, u.email, u.name, u.phone, u.role, u.working_hours, u.is_active, u.created_at,
+         COALESCE((
+           SELECT json_agg(json_build_object(
+                    'id', t.id, 'startDate', t.start_date::text, 'endDate', t.end_date::text, 'reason', t.reason
+                  ) ORDER BY t.start_date)
+           FROM staff_time_off t
+           WHERE t.user_id = u.id AND t.end_date >= CURRENT_DATE
+         ), '[]') as time_off
+  FROM admin_users u`;
+
+async function getTechnician(id, db = pool) {
+  const result = await db.query(`${STAFF_SELECT} WHERE u.id = $1 AND u.role = $2`, [id, TECHNICIAN_ROLE]);
+  return result.rows[0] || null;
+}
+
+router.use(authenticateToken, requireRole('admin'));
+
+// List technicians with their hours and upcoming time off
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${STAFF_SELECT} WHERE u.role = $1 ORDER BY u.is_active DESC, u.name ASC`,
+      [TECHNICIAN_ROLE]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ error: 'Failed to fetch staff' });
+  }
+});
+
+// Who is working a day and which jobs each technician is on - MUST be before /:id routes
+router.get('/calendar', routePlanValidation, async (req, res) => {
+  try {
+    res.json(await getCrewCalendar(req.query.date));
+  } catch (error) {
+    console.error('Error fetching crew calendar:', error);
+    res.status(500).json({ error: 'Failed to fetch crew calendar' });
+  }
+});
+
+// Create a technician login
+router.post('/', staffValidation, async (req, res) => {
+  const { name, email, password, phone, workingHours } = req.body;
+
+  try {
+    const existing = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const result = await pool.query(
+      `INSERT INTO admin_users (email, password_hash, name, phone, role, working_hours)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [email, passwordHash, name, phone || null, TECHNICIAN_ROLE, JSON.stringify(workingHours || {})]
+    );
+
+    res.status(201).json(await getTechnician(result.rows[0].id));
+  } catch (error) {
+    console.error('Error creating technician:', error);
+    res.status(500).json({ error: 'Failed to create technician' });
+  }
+});
+
+// Update a technician. Deactivating signs them out and keeps their past assignments.
+router.put('/:id', idParamValidation, staffUpdateValidation, async (req, res) => {
+  const { id } = req.params;
+  const { name, password, phone, workingHours, isActive } = req.body;
+
+  try {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      updates.push('name = $' + paramCount++);
+      values.push(name);
+    }
+    if (phone !== undefined) {
+      updates.push('phone = $' + paramCount++);
+      values.push(phone || null);
+    }
+    if (workingHours !== undefined) {
+      updates.push('working_hours = $' + paramCount++);
+      values.push(JSON.stringify(workingHours));
+    }
+    if (isActive !== undefined) {
+      updates.push('is_active = $' + paramCount++);
+      values.push(isActive);
+    }
+    if (password !== undefined) {
+      updates.push('password_hash = $' + paramCount++);
+      values.push(await bcrypt.hash(password, BCRYPT_ROUNDS));
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id, TECHNICIAN_ROLE);
+
+    const result = await pool.query(
+      'UPDATE admin_users SET ' + updates.join(', ') +
+      ' WHERE id = $' + paramCount + ' AND role = $' + (paramCount + 1) + ' RETURNING id',
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Technician not found' });
+    }
+
+    if (isActive === false || password !== undefined) {
+      await pool.query('UPDATE refresh_tokens SET is_revoked = true WHERE user_id = $1', [id]);
+    }
+
+    res.json(await getTechnician(id));
+  } catch (error) {
+    console.error('Error updating technician:', error);
+    res.status(500).json({ error: 'Failed to update technician' });
+  }
+});
+
+// Book time off for a technician
+router.post('/:id/time-off', idParamValidation, timeOffValidation, async (req, res) => {
+  const { startDate, endDate, reason } = req.body;
+
+  try {
+    const technician = await getTechnician(req.params.id);
+    if (!technician) {
+      return res.status(404).json({ error: 'Technician not found' });
+    }
+
+    // Jobs they're already on keep their assignment so the admin can reassign them
+    const affected = await pool.query(
+      `SELECT b.id, b.booking_date::text as booking_date, b.booking_time
+       FROM booking_technicians bt
+       JOIN bookings b ON bt.booking_id = b.id
+       WHERE bt.user_id = $1 AND b.status NOT IN ('cancelled', 'completed', 'no_show', 'expired')
+         AND b.booking_date BETWEEN $2 AND $3
+       ORDER BY b.booking_date, b.booking_time`,
+      [technician.id, startDate, endDate]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO staff_time_off (user_id, start_date, end_date, reason)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, start_date::text as start_date, end_date::text as end_date, reason`,
+      [technician.id, startDate, endDate, reason || null]
+    );
+
+    res.status(201).json({ ...result.rows[0], affectedBookings: affected.rows });
+  } catch (error) {
+    console.error('Error adding time off:', error);
+    res.status(500).json({ error: 'Failed to add time off' });
+  }
+});
+
+// Remove a time off entry
+router.delete('/:id/time-off/:timeOffId', idParamValidation, async (req, res) => {
+  const timeOffId = parseInt(req.params.timeOffId, 10);
+  if (!Number.isInteger(timeOffId) || timeOffId < 1) {
+    return res.status(400).json({ error: 'Valid time off ID is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM staff_time_off WHERE id = $1 AND user_id = $2 RETURNING id',
+      [timeOffId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Time off not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing time off:', error);
+    res.status(500).json({ error: 'Failed to remove time off' });
+  }
+});
+
+export default router;
@@ -0,0 +1,399 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { sendNotification } from '../middleware/notifications.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { bookingLimiter } from '../middleware/rateLimiter.js';
+import {
+  idParamValidation,
+  waitlistValidation,
+  waitlistClaimValidation
+} from '../middleware/validators.js';
+import {
+  checkBookingWindow,
+  findConflictingBooking,
+  getAvailableSlots,
+  getDateRestriction,
+  getSchedulingRules,
+  lockBookingDate
+} from '../middleware/availability.js';
+import { getDepositPercentage, priceVehicles } from '../middleware/pricing.js';
+import {
+  buildManageLink,
+  buildPaymentLink,
+  generatePaymentToken,
+  insertBooking
+} from '../middleware/bookings.js';
+import {
+  generateWaitlistToken,
+  getWaitlistEntry,
+  offerOpenSlots
+} from '../middleware/waitlist.js';
+import { resolveServiceZone } from '../middleware/serviceZones.js';
+
+const router = express.Router();
+
+// Price the entry's single vehicle the same way a booking would be
+function priceEntry(entry, db = pool) {
+  return priceVehicles([{
+    vehicleType: entry.vehicle_type,
+    serviceId: entry.service_id,
+    addonIds: entry.addon_ids || []
+  }], db);
+}
+
+// Join the waitlist for a fully booked date (public with rate limiting)
+router.post('/', bookingLimiter, waitlistValidation, async (req, res) => {
+  try {
+    const {
+      customerName,
+      customerEmail,
+      customerPhone,
+      vehicleType,
+      serviceId,
+      addonIds,
+      date,
+      address,
+      notes
+    } = req.body;
+
+    const rules = await getSchedulingRules();
+    const restriction = getDateRestriction(date, rules);
+    if (restriction) {
+      return res.status(400).json({ error: restriction });
+    }
+
+    const pricing = await priceVehicles([{ vehicleType, serviceId, addonIds: addonIds || [] }]);
+    if (pricing.error) {
+      return res.status(pricing.status).json({ error: pricing.error });
+    }
+
+    // Don't queue customers we couldn't serve once a slot opens
+    const serviceZone = await resolveServiceZone(address);
+    if (serviceZone.error) {
+      return res.status(serviceZone.status).json({ error: serviceZone.error });
+    }
+
+    const slots = await getAvailableSlots(date, pricing.durationMinutes, rules);
+    if (slots.length > 0) {
+      return res.status(409).json({ error: 'There are still open times on this date', slots });
+    }
+
+    const duplicate = await pool.query(
+      `SELECT id FROM waitlist_entries
+       WHERE customer_email = $1 AND requested_date = $2 AND service_id = $3
+         AND status IN ('waiting', 'notified')`,
+      [customerEmail, date, serviceId]
+    );
+
+    if (duplicate.rows.length > 0) {
+      return res.status(409).json({ error: 'You are already on the waitlist for this date' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO waitlist_entries
+       (customer_name, customer_email, customer_phone, vehicle_type, service_id, addon_ids,
+        requested_date, duration_minutes, address, notes, token)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id`,
+      [customerName, customerEmail, customerPhone, vehicleType, serviceId, JSON.stringify(addonIds || []),
+       date, pricing.durationMinutes, address, notes, generateWaitlistToken()]
+    );
+
+    const entryId = result.rows[0].id;
+    const positionResult = await pool.query(
+      `SELECT COUNT(*) FROM waitlist_entries
+       WHERE requested_date = $1 AND status IN ('waiting', 'notified') AND id <= $2`,
+      [date, entryId]
+    );
+    const position = parseInt(positionResult.rows[0].count, 10);
+
+    await sendNotification({
+      type: 'waitlist_joined',
+      data: {
+        waitlistId: entryId,
+        customerName,
+        customerEmail,
+        customerPhone,
+        serviceName: pricing.vehicles[0].serviceName,
+        bookingDate: date,
+        position
+      }
+    });
+
+    res.status(201).json({ success: true, id: entryId, position });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ error: 'Failed to join waitlist' });
+  }
+});
+
+// List waitlist entries (admin only), optionally for one date or status
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { date, status } = req.query;
+    const result = await pool.query(
+      `SELECT w.id, w.customer_name, w.customer_email, w.customer_phone, w.vehicle_type,
+              w.requested_date::text as requested_date, w.duration_minutes, w.status,
+              w.notified_at, w.claim_expires_at, w.booking_id, w.created_at,
+              s.name as service_name
+       FROM waitlist_entries w
+       LEFT JOIN services s ON w.service_id = s.id
+       WHERE ($1::date IS NULL OR w.requested_date = $1::date)
+         AND ($2::text IS NULL OR w.status = $2)
+       ORDER BY w.requested_date ASC, w.created_at ASC, w.id ASC`,
+      [date || null, status || null]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+// Get an entry and its open times for the claim page (public, requires valid token)
+router.get('/:id/claim-info', idParamValidation, async (req, res) => {
+  try {
+    const entry = await getWaitlistEntry(req.params.id, req.query.token);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Invalid waitlist link' });
+    }
+
+    const canClaim = entry.status === 'notified' && !entry.claim_expired;
+    const rules = await getSchedulingRules();
+    const slots = canClaim ? await getAvailableSlots(entry.requested_date, entry.duration_minutes, rules) : [];
+
+    res.json({
+      id: entry.id,
+      customerFirstName: entry.customer_name.split(' ')[0],
+      vehicleType: entry.vehicle_type,
+      serviceName: entry.service_name,
+      date: entry.requested_date,
+      durationMinutes: entry.duration_minutes,
+      status: entry.status === 'notified' && entry.claim_expired ? 'expired' : entry.status,
+      claimExpiresAt: entry.claim_expires_at,
+      canClaim,
+      slots
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist entry' });
+  }
+});
+
+// Claim an offered slot and turn the waitlist entry into a booking (public, requires valid token)
+router.post('/:id/claim', idParamValidation, waitlistClaimValidation, async (req, res) => {
+  const { id } = req.params;
+  const { token, bookingTime } = req.body;
+  const client = await pool.connect();
+  let entry;
+  let booking;
+  let pricing;
+  let serviceZone;
+  let totalAmount;
+  let depositAmount;
+  let holdMinutes = 0;
+  let expired = false;
+
+  try {
+    await client.query('BEGIN');
+
+    // Take the date lock before the entry's row lock, in the same order offerOpenSlots does
+    entry = await getWaitlistEntry(id, token, client);
+    if (entry) {
+      await lockBookingDate(client, entry.requested_date);
+      entry = await getWaitlistEntry(id, token, client, { forUpdate: true });
+    }
+
+    if (!entry) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Invalid waitlist link' });
+    }
+
+    if (entry.status !== 'notified') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: entry.status === 'claimed' ? 'This slot has already been claimed' : 'There is no open offer for this waitlist entry'
+      });
+    }
+
+    if (entry.claim_expired) {
+      await client.query(
+        "UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [entry.id]
+      );
+      await client.query('COMMIT');
+      expired = true;
+    } else {
+      pricing = await priceEntry(entry, client);
+      if (pricing.error) {
+        await client.query('ROLLBACK');
+        return res.status(pricing.status).json({ error: pricing.error });
+      }
+
+      const rules = await getSchedulingRules(client);
+      const windowError = checkBookingWindow({
+        date: entry.requested_date,
+        time: bookingTime,
+        duration: pricing.durationMinutes
+      }, rules);
+
+      if (windowError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: windowError });
+      }
+
+      const conflict = await findConflictingBooking({
+        date: entry.requested_date,
+        time: bookingTime,
+        duration: pricing.durationMinutes
+      }, client);
+
+      if (conflict) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Selected time slot is no longer available' });
+      }
+
+      serviceZone = await resolveServiceZone(entry.address, client);
+      if (serviceZone.error) {
+        await client.query('ROLLBACK');
+        return res.status(serviceZone.status).json({ error: serviceZone.error });
+      }
+
+      totalAmount = pricing.total + serviceZone.travelFee;
+      depositAmount = totalAmount * await getDepositPercentage(client);
+      holdMinutes = rules.depositHoldMinutes;
+
+      booking = await insertBooking(client, {
+        customerName: entry.customer_name,
+        customerEmail: entry.customer_email,
+        customerPhone: entry.customer_phone,
+        vehicles: pricing.vehicles,
+        bookingDate: entry.requested_date,
+        bookingTime,
+        durationMinutes: pricing.durationMinutes,
+        address: entry.address,
+        notes: entry.notes,
+        totalAmount,
+        depositAmount,
+        paymentToken: generatePaymentToken(),
+        travelFee: serviceZone.travelFee,
+        serviceZoneId: serviceZone.zone ? serviceZone.zone.id : null,
+        holdMinutes
+      });
+
+      await client.query(
+        `UPDATE waitlist_entries SET status = 'claimed', booking_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [booking.id, entry.id]
+      );
+
+      await client.query('COMMIT');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error claiming waitlist slot:', error);
+    return res.status(500).json({ error: 'Failed to claim slot' });
+  } finally {
+    client.release();
+  }
+
+  if (expired) {
+    // Pass the slot on to the next customer in line
+    await offerOpenSlots(entry.requested_date);
+    return res.status(410).json({ error: 'This offer has expired' });
+  }
+
+  const paymentLink = buildPaymentLink(booking.id, booking.payment_token);
+  const manageLink = buildManageLink(booking.id, booking.payment_token);
+
+  // If another slot is still open, offer it to the next customer in line
+  await offerOpenSlots(entry.requested_date);
+
+  await sendNotification({
+    type: 'new_booking',
+    data: {
+      bookingId: booking.id,
+      customerName: entry.customer_name,
+      customerEmail: entry.customer_email,
+      customerPhone: entry.customer_phone,
+      vehicleType: entry.vehicle_type,
+      serviceName: pricing.vehicles[0].serviceName,
+      bookingDate: entry.requested_date,
+      bookingTime,
+      totalAmount,
+      depositAmount,
+      addons: pricing.vehicles[0].addons,
+      customItems: [],
+      travelFee: serviceZone.travelFee,
+      holdMinutes,
+      paymentLink,
+      manageLink
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    bookingId: booking.id,
+    totalAmount: parseFloat(totalAmount.toFixed(2)),
+    depositAmount: parseFloat(depositAmount.toFixed(2)),
+    holdMinutes,
+    paymentLink,
+    manageLink
+  });
+});
+
+// Leave the waitlist (public, requires valid token)
+router.post('/:id/leave', idParamValidation, async (req, res) => {
+  try {
+    const entry = await getWaitlistEntry(req.params.id, req.body.token);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Invalid waitlist link' });
+    }
+
+    if (!['waiting', 'notified'].includes(entry.status)) {
+      return res.status(400).json({ error: 'You are no longer on the waitlist' });
+    }
+
+    await pool.query(
+      "UPDATE waitlist_entries SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [entry.id]
+    );
+
+    // An offer they were holding goes to the next customer
+    if (entry.status === 'notified') {
+      await offerOpenSlots(entry.requested_date);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
+// Remove an entry from the waitlist (admin only)
+router.delete('/:id', authenticateToken, requireRole('admin'), idParamValidation, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE waitlist_entries SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('waiting', 'notified')
+       RETURNING requested_date::text as requested_date, status`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Active waitlist entry not found' });
+    }
+
+    await offerOpenSlots(result.rows[0].requested_date);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to remove waitlist entry' });
+  }
+});
+
+export default router;
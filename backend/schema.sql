@@ -306,3 +306,482 @@ ALTER TABLE bookings ADD COLUMN IF NOT EXISTS coupon_discount DECIMAL(10, 2) DEF
 CREATE INDEX IF NOT EXISTS idx_custom_line_items_booking ON custom_line_items(booking_id);
 CREATE INDEX IF NOT EXISTS idx_coupons_code ON coupons(code);
 CREATE INDEX IF NOT EXISTS idx_coupons_active ON coupons(is_active);
+
+-- Job length in minutes (service + add-ons), used to detect overlapping bookings
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+CREATE INDEX IF NOT EXISTS idx_bookings_date_time ON bookings(booking_date, booking_time);
+
+-- Booking schedule rules (business_hours above holds the weekly working hours)
+INSERT INTO settings (key, value) VALUES
+('blackout_dates', '[]'),
+('min_lead_time_hours', '12'),
+('max_booking_days', '90'),
+('cancellation_window_hours', '24')
+ON CONFLICT (key) DO NOTHING;
+
+-- Recurring maintenance bookings: a template that generates future bookings rows
+CREATE TABLE IF NOT EXISTS booking_series (
+    id SERIAL PRIMARY KEY,
+    customer_name VARCHAR(200) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(20) NOT NULL,
+    vehicle_type VARCHAR(50) NOT NULL,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+    addon_ids JSONB DEFAULT '[]'::jsonb,
+    address TEXT,
+    notes TEXT,
+    start_date DATE NOT NULL,
+    booking_time TIME NOT NULL,
+    interval_weeks INTEGER NOT NULL CHECK (interval_weeks >= 1 AND interval_weeks <= 12),
+    end_date DATE, -- NULL = repeats until ended
+    skipped_dates JSONB DEFAULT '[]'::jsonb, -- 'YYYY-MM-DD' dates not to book
+    status VARCHAR(50) DEFAULT 'active', -- 'active' or 'ended'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL;
+-- Set when a single visit is edited so series-wide changes leave it alone
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_exception BOOLEAN DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON bookings(series_id);
+
+-- Vehicles on a booking: one household visit can cover several cars, each with
+-- its own vehicle type, service and add-ons. bookings.vehicle_type/service_id/package_id
+-- mirror the first vehicle.
+CREATE TABLE IF NOT EXISTS booking_vehicles (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    vehicle_type VARCHAR(50) NOT NULL,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+    service_price DECIMAL(10, 2) NOT NULL, -- price of the service for this vehicle type at booking time
+    subtotal DECIMAL(10, 2) NOT NULL, -- service plus this vehicle's add-ons
+    duration_minutes INTEGER,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_vehicles_booking ON booking_vehicles(booking_id);
+
+ALTER TABLE booking_addons ADD COLUMN IF NOT EXISTS booking_vehicle_id INTEGER REFERENCES booking_vehicles(id) ON DELETE CASCADE;
+
+-- Backfill: existing bookings become a single vehicle holding all of their add-ons
+-- (prices are before any coupon discount)
+INSERT INTO booking_vehicles (booking_id, vehicle_type, service_id, package_id, service_price, subtotal, duration_minutes)
+SELECT b.id, b.vehicle_type, b.service_id, b.package_id,
+       b.total_amount + COALESCE(b.coupon_discount, 0) - COALESCE(ba.total, 0) - COALESCE(cli.total, 0),
+       b.total_amount + COALESCE(b.coupon_discount, 0) - COALESCE(cli.total, 0),
+       b.duration_minutes
+FROM bookings b
+LEFT JOIN (SELECT booking_id, SUM(price_charged) as total FROM booking_addons GROUP BY booking_id) ba ON ba.booking_id = b.id
+LEFT JOIN (SELECT booking_id, SUM(price) as total FROM custom_line_items GROUP BY booking_id) cli ON cli.booking_id = b.id
+WHERE NOT EXISTS (SELECT 1 FROM booking_vehicles bv WHERE bv.booking_id = b.id);
+
+UPDATE booking_addons ba SET booking_vehicle_id = bv.id
+FROM booking_vehicles bv
+WHERE bv.booking_id = ba.booking_id AND ba.booking_vehicle_id IS NULL;
+
+-- Who moved a booking between statuses and when. changed_by is set for admin
+-- changes; customer, payment and system changes leave it NULL.
+CREATE TABLE IF NOT EXISTS booking_status_history (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    source VARCHAR(50) NOT NULL, -- 'admin', 'technician', 'customer', 'payment' or 'system'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking ON booking_status_history(booking_id);
+
+-- Customers waiting for a fully booked day. When a slot opens the earliest
+-- waiting entry that fits gets a time-limited claim link (status 'notified').
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    customer_name VARCHAR(200) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(20) NOT NULL,
+    vehicle_type VARCHAR(50) NOT NULL,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    addon_ids JSONB DEFAULT '[]'::jsonb,
+    requested_date DATE NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    address TEXT,
+    notes TEXT,
+    token VARCHAR(64) NOT NULL, -- customer's claim/leave link token
+    status VARCHAR(50) DEFAULT 'waiting', -- 'waiting', 'notified', 'claimed', 'expired' or 'cancelled'
+    notified_at TIMESTAMP,
+    claim_expires_at TIMESTAMP,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_date_status ON waitlist_entries(requested_date, status);
+
+-- Admin-defined service zones. Each ZIP code belongs to at most one zone, which
+-- either adds a travel fee or marks the ZIP as out of area. Once any zone is
+-- active, ZIP codes that aren't listed are treated as out of area.
+CREATE TABLE IF NOT EXISTS service_zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    travel_fee DECIMAL(10, 2) DEFAULT 0,
+    out_of_area BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS service_zone_zip_codes (
+    zip_code VARCHAR(5) PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES service_zones(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_zone_zip_codes_zone ON service_zone_zip_codes(zone_id);
+
+-- Travel fee charged for the booking's address (already included in total_amount)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS travel_fee DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS service_zone_id INTEGER REFERENCES service_zones(id) ON DELETE SET NULL;
+
+-- ZIP code centroids used to estimate drive times for daily route planning.
+-- Load from a ZIP/ZCTA gazetteer file, e.g.:
+--   \copy zip_centroids (zip_code, latitude, longitude) FROM 'zip_centroids.csv' CSV HEADER
+CREATE TABLE IF NOT EXISTS zip_centroids (
+    zip_code VARCHAR(5) PRIMARY KEY,
+    latitude DECIMAL(9, 6) NOT NULL,
+    longitude DECIMAL(9, 6) NOT NULL
+);
+
+-- Technicians are admin_users with role 'technician'. working_hours uses the
+-- same format as the business_hours setting ({"monday": "8:00-17:00", ...}).
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS phone VARCHAR(20);
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS working_hours JSONB DEFAULT '{}';
+
+-- Days a technician is off (inclusive)
+CREATE TABLE IF NOT EXISTS staff_time_off (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(200),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_time_off_user ON staff_time_off(user_id, start_date);
+
+-- Technicians assigned to a booking. Everyone assigned works the job together as one crew.
+CREATE TABLE IF NOT EXISTS booking_technicians (
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    assigned_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (booking_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_technicians_user ON booking_technicians(user_id);
+
+-- Bumped each time a customer is sent an updated or cancelled calendar invite
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER DEFAULT 0;
+
+-- Before/after values for every admin change to a booking
+CREATE TABLE IF NOT EXISTS booking_audit_log (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    changed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    changes JSONB NOT NULL, -- { "total_amount": { "from": "150.00", "to": "120.00" }, ... }
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_audit_log_booking ON booking_audit_log(booking_id);
+
+-- Archived bookings are hidden from the dashboard but kept for revenue history
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS archive_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_archived ON bookings(archived_at);
+
+-- Bookings brought in from a CSV of historical jobs
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS imported_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS imported_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+
+-- What happened to the deposit when a booking was cancelled or marked a no-show:
+-- 'refund', 'credit' (a single-use coupon in deposit_credit_code) or 'keep'.
+-- deposit_outcome_hours is how long before the appointment it happened.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_outcome VARCHAR(20);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_outcome_amount DECIMAL(10, 2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_outcome_hours DECIMAL(8, 1);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_outcome_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_credit_code VARCHAR(50);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_refund_id VARCHAR(255);
+
+-- Credit coupons point back at the booking whose deposit they came from
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS source_booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_deposit_outcome ON bookings(deposit_outcome_at) WHERE deposit_outcome IS NOT NULL;
+
+INSERT INTO settings (key, value) VALUES
+('cancellation_policy', '{"rules": [{"hoursBefore": 24, "outcome": "refund"}, {"hoursBefore": 0, "outcome": "keep"}], "noShowOutcome": "keep", "creditValidDays": 365}')
+ON CONFLICT (key) DO NOTHING;
+
+-- A quote converted into a booking points at it, and the booking points back
+ALTER TABLE quote_requests ADD COLUMN IF NOT EXISTS booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL;
+ALTER TABLE quote_requests ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP;
+ALTER TABLE quote_requests ADD COLUMN IF NOT EXISTS converted_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS quote_id INTEGER REFERENCES quote_requests(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_quote ON bookings(quote_id);
+
+-- An unpaid booking holds its slot until hold_expires_at; after that it expires
+-- (status 'expired') and the slot is freed. NULL holds it until paid.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_hold_expires ON bookings(hold_expires_at) WHERE status = 'pending';
+
+INSERT INTO settings (key, value) VALUES
+('deposit_hold_minutes', '60')
+ON CONFLICT (key) DO NOTHING;
+
+-- Automatic customer messages (appointment reminders, on-our-way messages and
+-- deposit nudges). A row is written before each send so nothing goes out twice;
+-- reminder_key includes the appointment time, so a rescheduled booking is reminded again.
+CREATE TABLE IF NOT EXISTS booking_reminders (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL, -- 'appointment_reminder', 'on_the_way' or 'deposit_nudge'
+    reminder_key VARCHAR(100) NOT NULL,
+    channels VARCHAR(50) NOT NULL,
+    sent_channels VARCHAR(50),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    UNIQUE (booking_id, reminder_key)
+);
+
+INSERT INTO settings (key, value) VALUES
+('reminder_settings', '{"appointmentReminder": {"enabled": true, "hoursBefore": 24, "channels": ["email"]}, "onTheWay": {"enabled": false, "minutesBefore": 60, "channels": ["sms"]}, "depositNudge": {"enabled": true, "minutesAfterBooking": [30, 1440], "channels": ["email"]}}')
+ON CONFLICT (key) DO NOTHING;
+
+-- Job completion reports. Each service lists the checklist a technician works
+-- through; the report records what was done, notes for the customer and
+-- before/after photos (stored here so they survive redeploys).
+ALTER TABLE services ADD COLUMN IF NOT EXISTS checklist JSONB NOT NULL DEFAULT '[]';
+
+CREATE TABLE IF NOT EXISTS job_reports (
+    booking_id INTEGER PRIMARY KEY REFERENCES bookings(id) ON DELETE CASCADE,
+    checklist JSONB NOT NULL DEFAULT '[]', -- [{ label, items: [{ item, done }] }]
+    notes TEXT,
+    submitted_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS job_report_photos (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL, -- 'before' or 'after'
+    content_type VARCHAR(50) NOT NULL,
+    data BYTEA NOT NULL,
+    uploaded_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_report_photos_booking ON job_report_photos(booking_id);
+
+UPDATE services SET checklist = '["Pre-rinse and foam", "Hand wash", "Wheels and tires cleaned", "Tires dressed", "Windows cleaned", "Wax and sealant applied"]'
+WHERE name = 'Exterior Wash/Wax/Sealant' AND checklist = '[]';
+UPDATE services SET checklist = '["Full vacuum", "Dashboard and console wiped down", "Door panels cleaned", "Interior glass cleaned", "Air freshener applied"]'
+WHERE name = 'Interior Detail' AND checklist = '[]';
+UPDATE services SET checklist = '["Full vacuum", "Seats and carpets steam cleaned", "Stains extracted", "Headliner cleaned", "Vents cleaned", "Interior sanitized", "Interior glass cleaned"]'
+WHERE name = 'Interior DEEP Cleaning' AND checklist = '[]';
+UPDATE services SET checklist = '["Full vacuum", "Dashboard and console wiped down", "Door panels cleaned", "Hand wash", "Wheels and tires cleaned", "Windows cleaned inside and out", "Wax and sealant applied"]'
+WHERE name = 'Package Deal' AND checklist = '[]';
+UPDATE services SET checklist = '["Deep interior clean", "Stains extracted", "Interior sanitized", "Hand wash", "Wax and sealant applied", "Headlights restored", "Ozone odor treatment"]'
+WHERE name = 'Disaster Vehicle' AND checklist = '[]';
+
+-- Saved customer vehicles, so returning customers needn't describe the car
+-- again and technicians can see what was done to it before. size_class is
+-- what the vehicle is priced as (the same values as vehicle_type).
+CREATE TABLE IF NOT EXISTS customer_vehicles (
+    id SERIAL PRIMARY KEY,
+    customer_email VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(20),
+    make VARCHAR(50),
+    model VARCHAR(50),
+    year INTEGER,
+    color VARCHAR(30),
+    plate VARCHAR(10),
+    size_class VARCHAR(20) NOT NULL, -- 'sedan', 'suv' or 'commercial'
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_vehicles_email ON customer_vehicles(LOWER(customer_email));
+
+ALTER TABLE booking_vehicles ADD COLUMN IF NOT EXISTS customer_vehicle_id INTEGER REFERENCES customer_vehicles(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS customer_vehicle_id INTEGER REFERENCES customer_vehicles(id) ON DELETE SET NULL;
+ALTER TABLE quote_requests ADD COLUMN IF NOT EXISTS customer_vehicle_id INTEGER REFERENCES customer_vehicles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_booking_vehicles_customer_vehicle ON booking_vehicles(customer_vehicle_id);
+
+-- Customers, matched by email (lowercased) and then by the last 10 digits of
+-- the phone number. Bookings, quotes, reviews and saved vehicles point at their
+-- customer. A merged customer keeps its row as a pointer (merged_into) so later
+-- bookings with its email still find the customer it was merged into.
+CREATE TABLE IF NOT EXISTS customers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL DEFAULT '',
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    email_key VARCHAR(255) GENERATED ALWAYS AS (LOWER(TRIM(email))) STORED UNIQUE,
+    phone_key VARCHAR(10) GENERATED ALWAYS AS (NULLIF(RIGHT(regexp_replace(COALESCE(phone, ''), '\D', '', 'g'), 10), '')) STORED,
+    notes TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    merged_into INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    merged_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customers_phone_key ON customers(phone_key);
+CREATE INDEX IF NOT EXISTS idx_customers_tags ON customers USING GIN (tags);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE quote_requests ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE customer_vehicles ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_customer ON bookings(customer_id);
+CREATE INDEX IF NOT EXISTS idx_quote_requests_customer ON quote_requests(customer_id);
+
+-- Backfill: one customer per email seen on bookings, quotes and reviews, named
+-- after the newest record that has a phone number. Safe to run again; only
+-- rows without a customer are touched.
+INSERT INTO customers (name, email, phone, created_at)
+SELECT DISTINCT ON (LOWER(TRIM(email))) name, LOWER(TRIM(email)), phone,
+       MIN(created_at) OVER (PARTITION BY LOWER(TRIM(email)))
+FROM (
+    SELECT customer_name as name, customer_email as email, customer_phone as phone, created_at
+    FROM bookings WHERE customer_id IS NULL
+    UNION ALL
+    SELECT customer_name, customer_email, customer_phone, created_at
+    FROM quote_requests WHERE customer_id IS NULL
+    UNION ALL
+    SELECT customer_name, customer_email, NULL, created_at
+    FROM reviews WHERE customer_id IS NULL
+) records
+WHERE email IS NOT NULL AND TRIM(email) <> ''
+ORDER BY LOWER(TRIM(email)), phone IS NULL, created_at DESC
+ON CONFLICT (email_key) DO NOTHING;
+
+UPDATE bookings b SET customer_id = COALESCE(c.merged_into, c.id)
+FROM customers c WHERE b.customer_id IS NULL AND c.email_key = LOWER(TRIM(b.customer_email));
+UPDATE quote_requests q SET customer_id = COALESCE(c.merged_into, c.id)
+FROM customers c WHERE q.customer_id IS NULL AND c.email_key = LOWER(TRIM(q.customer_email));
+UPDATE reviews r SET customer_id = COALESCE(c.merged_into, c.id)
+FROM customers c WHERE r.customer_id IS NULL AND c.email_key = LOWER(TRIM(r.customer_email));
+UPDATE customer_vehicles v SET customer_id = COALESCE(c.merged_into, c.id)
+FROM customers c WHERE v.customer_id IS NULL AND c.email_key = LOWER(TRIM(v.customer_email));
+
+-- Customer portal sign-in: one-time codes sent by email or text, and the
+-- sessions they start. Codes and session tokens are stored as SHA-256 hashes.
+-- Customer sessions are separate from admin refresh tokens and JWTs.
+CREATE TABLE IF NOT EXISTS customer_login_codes (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_login_codes_customer ON customer_login_codes(customer_id, created_at);
+
+CREATE TABLE IF NOT EXISTS customer_sessions (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    device_info VARCHAR(500),
+    is_revoked BOOLEAN NOT NULL DEFAULT false,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_sessions_customer ON customer_sessions(customer_id);
+
+-- Loyalty ledger: points earned per dollar on fully paid bookings, and punches
+-- toward a free service (e.g. every 6th exterior wash). A balance is the sum of
+-- a customer's entries; redemptions are negative. Entries are never edited: a
+-- booking that won't go ahead gets 'reversed' entries that cancel out its own.
+CREATE TABLE IF NOT EXISTS loyalty_ledger (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('points', 'punch')),
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    amount INTEGER NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('earned', 'redeemed', 'adjusted', 'reversed')),
+    note TEXT,
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_customer ON loyalty_ledger(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_booking ON loyalty_ledger(booking_id);
+
+-- A reward redeemed on a booking: 'points' or 'punch:<service id>', and what
+-- it took off the total (like coupon_discount)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS loyalty_reward VARCHAR(30);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS loyalty_discount DECIMAL(10, 2) DEFAULT 0;
+
+-- A completed job whose money was given back. Recording it takes back the
+-- loyalty the booking earned and returns any reward redeemed on it.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refunded_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refund_note TEXT;
+
+-- Referrals: every customer gets a personal code (made the first time it's
+-- shown). A new customer who books with it and pays the deposit earns both of
+-- them a credit. referred_by links each referred customer to whoever brought
+-- them in, so referral chains can be followed up and down.
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS referral_code VARCHAR(20) UNIQUE;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS referred_by INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_customers_referred_by ON customers(referred_by);
+
+-- One row per referral code used on a booking. Fraud checks that fail outright
+-- refuse the code; softer ones (flags) hold the credits for an admin to approve.
+CREATE TABLE IF NOT EXISTS referrals (
+    id SERIAL PRIMARY KEY,
+    referrer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    referred_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    code VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'flagged', 'rewarded', 'rejected', 'cancelled', 'reversed')),
+    flags TEXT[] NOT NULL DEFAULT '{}',
+    referrer_credit_code VARCHAR(50),
+    referred_credit_code VARCHAR(50),
+    reviewed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    review_note TEXT,
+    rewarded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_referrals_referred ON referrals(referred_id);
+CREATE INDEX IF NOT EXISTS idx_referrals_booking ON referrals(booking_id);
+CREATE INDEX IF NOT EXISTS idx_referrals_status ON referrals(status);
+
+-- The referral a credit coupon was issued for
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS source_referral_id INTEGER REFERENCES referrals(id) ON DELETE SET NULL;
@@ -15,6 +15,18 @@ import paymentRoutes from './routes/payments.js';
 import addonRoutes from './routes/addons.js';
 import googleReviewRoutes from './routes/google-reviews.js';
 import couponRoutes from './routes/coupons.js';
+import settingsRoutes from './routes/settings.js';
+import seriesRoutes from './routes/series.js';
+import waitlistRoutes from './routes/waitlist.js';
+import serviceZoneRoutes from './routes/service-zones.js';
+import staffRoutes from './routes/staff.js';
+import calendarRoutes from './routes/calendar.js';
+import csvRoutes from './routes/csv.js';
+import customerVehicleRoutes from './routes/customer-vehicles.js';
+import customerRoutes from './routes/customers.js';
+import portalRoutes from './routes/portal.js';
+import referralRoutes from './routes/referrals.js';
+import { startScheduledJobs } from './middleware/jobs.js';
 
 dotenv.config();
 
@@ -80,6 +92,17 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/addons', addonRoutes);
 app.use('/api/google-reviews', googleReviewRoutes);
 app.use('/api/coupons', couponRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/service-zones', serviceZoneRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/csv', csvRoutes);
+app.use('/api/customer-vehicles', customerVehicleRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/referrals', referralRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -94,4 +117,6 @@ app.use((err, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Backend API running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  startScheduledJobs();
 });
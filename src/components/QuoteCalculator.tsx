@@ -16,6 +16,19 @@ interface ServiceAddons {
   available: Addon[];
 }
 
+interface TravelZone {
+  zipCode: string;
+  serviceable: boolean;
+  zoneName: string | null;
+  travelFee: number;
+}
+
+interface SavedVehicle {
+  id: number;
+  label: string;
+  sizeClass: 'sedan' | 'suv' | 'commercial';
+}
+
 type VehicleType = 'sedan' | 'suv' | 'commercial' | '';
 type ServiceLevel = 'exterior' | 'interior' | 'deep-interior' | 'package-deal' | 'disaster' | '';
 
@@ -72,6 +85,8 @@ export default function QuoteCalculator() {
   const [includedAddons, setIncludedAddons] = useState<Addon[]>([]);
   const [estimate, setEstimate] = useState<number | null>(null);
   const [addonTotal, setAddonTotal] = useState(0);
+  const [zipCode, setZipCode] = useState('');
+  const [travelZone, setTravelZone] = useState<TravelZone | null>(null);
   const [showAddons, setShowAddons] = useState(false);
   const [showContactForm, setShowContactForm] = useState(false);
   const [formData, setFormData] = useState({
@@ -80,6 +95,14 @@ export default function QuoteCalculator() {
     phone: '',
     message: ''
   });
+  const [savedVehicles, setSavedVehicles] = useState<SavedVehicle[]>([]);
+  const [savedVehicleId, setSavedVehicleId] = useState<number | ''>('');
+  const [vehicleDetails, setVehicleDetails] = useState({
+    year: '',
+    make: '',
+    model: '',
+    color: ''
+  });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitted, setSubmitted] = useState(false);
 
@@ -109,6 +132,71 @@ export default function QuoteCalculator() {
     }
   }, [selectedAddons, vehicleType, availableAddons]);
 
+  // Look up the travel fee once a full ZIP code is entered
+  useEffect(() => {
+    if (!/^\d{5}$/.test(zipCode)) {
+      setTravelZone(null);
+      return;
+    }
+
+    const fetchTravelZone = async () => {
+      try {
+        const response = await fetch(
+          `${import.meta.env.PUBLIC_API_URL || ''}/api/service-zones/lookup?zip=${zipCode}`
+        );
+        if (response.ok) {
+          setTravelZone(await response.json());
+        }
+      } catch (error) {
+        console.error('Error looking up ZIP code:', error);
+        setTravelZone(null);
+      }
+    };
+
+    fetchTravelZone();
+  }, [zipCode]);
+
+  // Returning customers can pick a vehicle they've booked before, once their
+  // email and phone both match
+  useEffect(() => {
+    const phoneDigits = formData.phone.replace(/\D/g, '');
+    if (!formData.email.includes('@') || phoneDigits.length < 10) {
+      setSavedVehicles([]);
+      setSavedVehicleId('');
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${import.meta.env.PUBLIC_API_URL || ''}/api/customer-vehicles/lookup`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ customerEmail: formData.email, customerPhone: formData.phone })
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setSavedVehicles(data.vehicles);
+        }
+      } catch (error) {
+        console.error('Error looking up saved vehicles:', error);
+        setSavedVehicles([]);
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [formData.email, formData.phone]);
+
+  const selectSavedVehicle = (value: string) => {
+    const saved = savedVehicles.find(vehicle => vehicle.id === Number(value));
+    setSavedVehicleId(saved ? saved.id : '');
+    if (saved) {
+      setVehicleType(saved.sizeClass);
+    }
+  };
+
+  const travelFee = travelZone?.serviceable ? travelZone.travelFee : 0;
+  const outOfArea = travelZone !== null && !travelZone.serviceable;
+
   const fetchServiceAddons = async (serviceId: number) => {
     try {
       const response = await fetch(
@@ -133,14 +221,14 @@ export default function QuoteCalculator() {
       const service = services.find(s => s.id === serviceLevel);
       if (service) {
         const basePrice = service.prices[vehicleType];
-        setEstimate(basePrice + addonTotal);
+        setEstimate(basePrice + addonTotal + travelFee);
       }
     }
   };
 
   useEffect(() => {
     calculateEstimate();
-  }, [vehicleType, serviceLevel, addonTotal]);
+  }, [vehicleType, serviceLevel, addonTotal, travelFee]);
 
   const toggleAddon = (addonId: number) => {
     setSelectedAddons(prev =>
@@ -174,13 +262,17 @@ export default function QuoteCalculator() {
           message: formData.message,
           selectedAddons: availableAddons.filter(a => selectedAddons.includes(a.id)).map(a => a.name),
           addonTotal,
-          totalEstimate: estimate
+          totalEstimate: estimate,
+          customerVehicleId: savedVehicleId || undefined,
+          vehicle: savedVehicleId ? undefined : vehicleDetails
         })
       });
 
       if (response.ok) {
         setSubmitted(true);
         setFormData({ name: '', email: '', phone: '', message: '' });
+        setVehicleDetails({ year: '', make: '', model: '', color: '' });
+        setSavedVehicleId('');
       }
     } catch (error) {
       console.error('Error submitting quote:', error);
@@ -370,6 +462,37 @@ export default function QuoteCalculator() {
           </div>
         )}
 
+        {/* Service Location */}
+        {serviceLevel && vehicleType && (
+          <div className="pt-4 border-t border-gray-200">
+            <label htmlFor="zip-code" className="block text-sm font-semibold text-gray-900 mb-3">
+              4. Where is the vehicle? (ZIP code)
+            </label>
+            <input
+              type="text"
+              id="zip-code"
+              inputMode="numeric"
+              maxLength={5}
+              value={zipCode}
+              onChange={(e) => setZipCode(e.target.value.replace(/\D/g, ''))}
+              placeholder="92501"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#EB6C1D] focus:border-transparent"
+            />
+            {travelZone?.serviceable && (
+              <p className="mt-2 text-sm text-gray-600">
+                {travelFee > 0
+                  ? `$${travelFee} travel fee${travelZone.zoneName ? ` (${travelZone.zoneName})` : ''}`
+                  : 'No travel fee for your area'}
+              </p>
+            )}
+            {outOfArea && (
+              <p className="mt-2 text-sm text-red-600">
+                Sorry, ZIP code {zipCode} is outside our service area.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Estimate Display */}
         {estimate !== null && vehicleType && serviceLevel && (
           <div className="pt-6 border-t border-gray-200">
@@ -384,7 +507,12 @@ export default function QuoteCalculator() {
                     (includes ${addonTotal} in add-ons)
                   </div>
                 )}
-                {!showContactForm && (
+                {travelFee > 0 && (
+                  <div className="text-sm text-gray-600 mb-4">
+                    (includes ${travelFee} travel fee)
+                  </div>
+                )}
+                {!showContactForm && !outOfArea && (
                   <button
                     onClick={() => setShowContactForm(true)}
                     className="px-8 py-3 bg-[#EB6C1D] text-white rounded-full hover:bg-[#D35E14] font-semibold transition-colors"
@@ -398,7 +526,7 @@ export default function QuoteCalculator() {
         )}
 
         {/* Contact Form */}
-        {showContactForm && (
+        {showContactForm && !outOfArea && (
           <form onSubmit={handleSubmit} className="space-y-4 pt-4 border-t border-gray-200">
             <div>
               <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
@@ -439,6 +567,44 @@ export default function QuoteCalculator() {
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#EB6C1D] focus:border-transparent"
               />
             </div>
+            {savedVehicles.length > 0 && (
+              <div>
+                <label htmlFor="savedVehicle" className="block text-sm font-medium text-gray-700 mb-1">
+                  Your Vehicle
+                </label>
+                <select
+                  id="savedVehicle"
+                  value={savedVehicleId}
+                  onChange={(e) => selectSavedVehicle(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#EB6C1D] focus:border-transparent"
+                >
+                  <option value="">A different vehicle</option>
+                  {savedVehicles.map(vehicle => (
+                    <option key={vehicle.id} value={vehicle.id}>{vehicle.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {!savedVehicleId && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Vehicle Details (Optional)
+                </label>
+                <div className="grid grid-cols-2 gap-3">
+                  {(['year', 'make', 'model', 'color'] as const).map(field => (
+                    <input
+                      key={field}
+                      type={field === 'year' ? 'number' : 'text'}
+                      aria-label={field}
+                      placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                      value={vehicleDetails[field]}
+                      onChange={(e) => setVehicleDetails({ ...vehicleDetails, [field]: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#EB6C1D] focus:border-transparent"
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
             <div>
               <label htmlFor="message" className="block text-sm font-medium text-gray-700 mb-1">
                 Additional Details (Optional)